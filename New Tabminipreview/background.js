@@ -3,15 +3,37 @@
  * Handles extension activation, tab navigation, and message coordination
  */
 
+import CaptureJobStore from './js/capture-job-store.js';
+import DebuggerCaptureEngine from './js/debugger-capture-engine.js';
+import SettingsManager from './js/settings-manager.js';
+import PrivacyBlocklist from './js/privacy-blocklist.js';
+
 // Global state
 let extensionTabId = null;
 let captureData = {
+    jobId: null,
     tabId: null,
-    screenshots: [],
+    tileCount: 0,
     inProgress: false,
     returnTabId: null
 };
 
+// Screenshots allowed in one capture run - a resumed capture starts a new run
+const MAX_TILES_PER_RUN = 50;
+
+// Persistent job storage so a capture survives the service worker being suspended
+const captureJobStore = new CaptureJobStore();
+
+// Restore (or fail) any job that was running when the worker was last shut down.
+// Capture related handlers wait for this before touching captureData.
+const captureJobRestored = restoreCaptureJob();
+
+// User settings, read here so the privacy blocklist is enforced whatever a page asks for
+const settingsManager = new SettingsManager();
+const settingsLoaded = settingsManager.init();
+
+const BLOCKED_URL_ERROR = 'This site is on your privacy blocklist and is never captured';
+
 // Listen for clicks on the extension icon
 chrome.action.onClicked.addListener(async () => {
     try {
@@ -69,10 +91,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                 return true; // Keep the message channel open for async response
 
             case 'get_capture_progress':
-                return safeResponse({
-                    inProgress: captureData.inProgress,
-                    progress: captureData.progress || 0
-                });
+                getCaptureJobState(message.jobId).then(safeResponse);
+                return true;
 
             case 'capture_screenshot':
                 captureScreenshot(
@@ -86,7 +106,9 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                     safeResponse,
                     message.scrollPositionError,
                     message.requestedX,
-                    message.requestedY
+                    message.requestedY,
+                    message.crop,
+                    message.resume
                 );
                 return true;
 
@@ -98,6 +120,18 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                 handleCaptureError(message.error, safeResponse);
                 return true;
 
+            case 'cancel_capture':
+                handleCancelCapture(safeResponse);
+                return true;
+
+            case 'capture_interrupted':
+                handleCaptureInterrupted(message, sender.tab?.id, safeResponse);
+                return true;
+
+            case 'resume_capture':
+                handleResumeCapture(message.jobId, sender.tab?.id || extensionTabId, safeResponse);
+                return true;
+
             case 'scroll_position_issue':
                 handleScrollPositionIssue(message, sender.tab.id, safeResponse);
                 return true;
@@ -107,7 +141,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                 return true;
                 
             case 'capture_progress':
-                // Simply acknowledge progress updates, no processing needed
+                // Progress updates double as a heartbeat for the persisted job
+                touchCaptureJob(sender.tab?.id);
                 return safeResponse({ success: true });
 
             default:
@@ -130,18 +165,37 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
  */
 async function handleCaptureComplete(message, sendResponse) {
     try {
-        captureData.inProgress = false;
+        await captureJobRestored;
+
+        // A cancelled capture may still finish its last tile, ignore it
+        if (captureData.cancelled) {
+            sendResponse({ success: false, error: 'Capture cancelled' });
+            return;
+        }
+
+        await endCaptureJob(CaptureJobStore.STATUS.COMPLETED, null, {
+            progress: 100,
+            sourceUrl: message.url || '',
+            clip: message.clip || null,
+            suppressedOverlays: message.suppressedOverlays || []
+        });
 
         // Return to extension tab when capture is complete
         if (captureData.returnTabId) {
             await chrome.tabs.update(captureData.returnTabId, { active: true });
 
-            // Send message to the extension tab with screenshot data
+            // Tell the extension tab which job to stitch - the tiles themselves stay
+            // in the job store so no large payload goes through messaging
             chrome.tabs.sendMessage(captureData.returnTabId, {
                 action: 'show_screenshots',
-                screenshots: captureData.screenshots,
+                jobId: captureData.jobId,
+                tileCount: captureData.tileCount,
+                clip: message.clip || null, // Area of an element or region capture
                 sourceTabId: captureData.tabId,
-                sourceUrl: message.url || ''
+                sourceUrl: message.url || '',
+                suppressedOverlays: message.suppressedOverlays || [], // Banners and widgets hidden during capture
+                viewport: message.viewport || null, // Viewport size of the captured tab
+                sensitiveText: message.sensitiveText || null // Text boxes offered for redaction
             });
         }
 
@@ -157,8 +211,18 @@ async function handleCaptureComplete(message, sendResponse) {
  * @param {string} errorMessage - Error message
  * @param {Function} sendResponse - Function to send response
  */
-function handleCaptureError(errorMessage, sendResponse) {
-    captureData.inProgress = false;
+async function handleCaptureError(errorMessage, sendResponse) {
+    await captureJobRestored;
+
+    // Errors after a cancel are expected and not worth reporting
+    if (captureData.cancelled) {
+        if (sendResponse) {
+            sendResponse({ success: false, error: 'Capture cancelled' });
+        }
+        return;
+    }
+
+    await endCaptureJob(CaptureJobStore.STATUS.FAILED, errorMessage);
 
     // Forward error to extension tab
     if (captureData.returnTabId) {
@@ -173,6 +237,189 @@ function handleCaptureError(errorMessage, sendResponse) {
     }
 }
 
+/**
+ * Cancel the running capture: stop the content script, discard the collected
+ * tiles and bring the extension tab back to the front
+ * @param {Function} sendResponse - Function to send response
+ */
+async function handleCancelCapture(sendResponse) {
+    await captureJobRestored;
+
+    if (!captureData.inProgress) {
+        sendResponse({ success: false, error: 'No capture in progress' });
+        return;
+    }
+
+    const { jobId, tabId, returnTabId } = captureData;
+    captureData.cancelled = true;
+    await endCaptureJob(CaptureJobStore.STATUS.CANCELLED);
+
+    // The content script restores the scroll position and fixed elements itself
+    chrome.tabs.sendMessage(tabId, { action: 'cancel_capture' }).catch(() => {
+        // The content script may not be injected yet or the tab was closed
+    });
+
+    try {
+        await captureJobStore.clearTiles(jobId);
+        captureData.tileCount = 0;
+        captureData.progress = 0;
+        await persistCaptureJob();
+    } catch (error) {
+        console.error('Error discarding tiles of cancelled capture:', error);
+    }
+
+    if (returnTabId) {
+        try {
+            await chrome.tabs.update(returnTabId, { active: true });
+        } catch (error) {
+            console.warn('Could not return to the extension tab:', error);
+        }
+
+        chrome.tabs.sendMessage(returnTabId, {
+            action: 'capture_cancelled',
+            jobId: jobId
+        }).catch(() => {
+            // The extension tab may have been closed in the meantime
+        });
+    }
+
+    sendResponse({ success: true });
+}
+
+/**
+ * Handle a capture the content script had to stop partway. The tiles captured so
+ * far stay in the job store together with the positions still missing, so the
+ * capture can be resumed later.
+ * @param {Object} message - Message with the error, remaining positions and page geometry
+ * @param {number} tabId - ID of the tab that was being captured
+ * @param {Function} sendResponse - Function to send response
+ */
+async function handleCaptureInterrupted(message, tabId, sendResponse) {
+    await captureJobRestored;
+
+    if (!captureData.inProgress || captureData.tabId !== tabId || captureData.cancelled) {
+        sendResponse({ success: false, error: 'No active capture job for this tab' });
+        return;
+    }
+
+    const remaining = Array.isArray(message.remaining) ? message.remaining : [];
+    const errorMessage = message.error || 'The capture stopped before it could finish';
+    const resume = { arrangements: remaining, geometry: message.geometry || {} };
+
+    await endCaptureJob(CaptureJobStore.STATUS.FAILED, errorMessage, {
+        resumable: remaining.length > 0,
+        resume: resume,
+        clip: resume.geometry.clip || null
+    });
+
+    if (captureData.returnTabId) {
+        try {
+            await chrome.tabs.update(captureData.returnTabId, { active: true });
+        } catch (error) {
+            console.warn('Could not return to the extension tab:', error);
+        }
+
+        chrome.tabs.sendMessage(captureData.returnTabId, {
+            action: 'capture_error',
+            error: errorMessage,
+            jobId: captureData.jobId,
+            resumable: remaining.length > 0,
+            tileCount: captureData.tileCount,
+            clip: resume.geometry.clip || null
+        }).catch(() => {
+            // The extension tab may have been closed in the meantime
+        });
+    }
+
+    sendResponse({ success: true });
+}
+
+/**
+ * Resume an interrupted capture, capturing only the positions that are still missing
+ * @param {string} jobId - ID of the interrupted job
+ * @param {number} returnTabId - Tab to return to after capture
+ * @param {Function} sendResponse - Function to send response
+ */
+async function handleResumeCapture(jobId, returnTabId, sendResponse) {
+    try {
+        await captureJobRestored;
+
+        if (captureData.inProgress) {
+            sendResponse({ success: false, error: 'Capture already in progress' });
+            return;
+        }
+
+        const job = await captureJobStore.getJob(jobId);
+        if (!captureJobStore.isJobResumable(job)) {
+            sendResponse({ success: false, error: 'This capture can no longer be resumed. Please start a new capture.' });
+            return;
+        }
+
+        let tab;
+        try {
+            tab = await chrome.tabs.get(job.tabId);
+        } catch (error) {
+            sendResponse({ success: false, error: 'The captured tab was closed. Please start a new capture.' });
+            return;
+        }
+
+        if (await isBlockedUrl(tab.url)) {
+            sendResponse({ success: false, blocked: true, error: BLOCKED_URL_ERROR });
+            return;
+        }
+
+        // Tiles from a different page would not line up
+        if (job.sourceUrl && tab.url !== job.sourceUrl) {
+            sendResponse({ success: false, error: 'The page has changed since the capture stopped. Please start a new capture.' });
+            return;
+        }
+
+        await captureJobStore.updateJob(job.id, {
+            status: CaptureJobStore.STATUS.IN_PROGRESS,
+            error: null,
+            resumable: false
+        });
+
+        captureData = {
+            jobId: job.id,
+            tabId: job.tabId,
+            tileCount: job.tileCount || 0,
+            inProgress: true,
+            progress: job.progress || 0,
+            returnTabId: returnTabId || job.returnTabId,
+            captureParams: job.captureParams
+        };
+
+        console.log(`Resuming capture job ${job.id} with ${job.resume.arrangements.length} positions left`);
+
+        try {
+            await chrome.tabs.update(job.tabId, { active: true });
+        } catch (navigationError) {
+            await endCaptureJob(CaptureJobStore.STATUS.FAILED, navigationError.message, { resumable: true });
+            sendResponse({ success: false, error: 'Failed to navigate to tab: ' + navigationError.message });
+            return;
+        }
+
+        // Wait a moment for the tab to become active, like a fresh capture
+        setTimeout(() => {
+            startScrollCapture(job.tabId, { ...job.captureParams, resume: job.resume }, sendResponse);
+        }, 500);
+    } catch (error) {
+        console.error('Error resuming capture:', error);
+        sendResponse({ success: false, error: 'Failed to resume capture: ' + error.message });
+    }
+}
+
+/**
+ * Check a URL against the user's privacy blocklist
+ * @param {string} url - Page URL
+ * @returns {Promise<boolean>} - Whether the page must not be captured
+ */
+async function isBlockedUrl(url) {
+    await settingsLoaded;
+    return PrivacyBlocklist.isBlocked(url, settingsManager.get('privacyBlocklist'));
+}
+
 /**
  * Handle request to capture a tab
  * @param {number} tabId - ID of the tab to capture
@@ -193,9 +440,18 @@ async function handleCaptureTabRequest(tabId, returnTabId, sendResponse, capture
             // We'll continue with a potentially invalid returnTabId, it's non-critical
         }
 
+        await captureJobRestored;
+
         if (captureData.inProgress) {
-            sendResponse({ success: false, error: 'Capture already in progress' });
-            return;
+            // A job whose content script stopped reporting should not block new captures forever
+            const activeJob = await captureJobStore.getJob(captureData.jobId).catch(() => null);
+            if (!captureJobStore.isJobStale(activeJob)) {
+                sendResponse({ success: false, error: 'Capture already in progress' });
+                return;
+            }
+
+            console.warn('Previous capture job stopped responding, marking it as failed:', captureData.jobId);
+            await endCaptureJob(CaptureJobStore.STATUS.FAILED, 'Capture stopped responding');
         }
 
         // Log capture parameters if provided
@@ -206,8 +462,8 @@ async function handleCaptureTabRequest(tabId, returnTabId, sendResponse, capture
         }
 
         // Verify the tab exists and is accessible
+        let tab;
         try {
-            let tab;
             try {
                 tab = await chrome.tabs.get(tabId);
             } catch (tabError) {
@@ -235,6 +491,13 @@ async function handleCaptureTabRequest(tabId, returnTabId, sendResponse, capture
                 return;
             }
 
+            // Sites on the privacy blocklist are never captured, not even on request
+            if (await isBlockedUrl(tab.url)) {
+                console.log('Refusing to capture a blocklisted site');
+                sendResponse({ success: false, blocked: true, error: BLOCKED_URL_ERROR });
+                return;
+            }
+
             // Check if tab is in a group and handle potential errors
             if (tab.groupId && tab.groupId !== chrome.tabGroups?.TAB_GROUP_ID_NONE) {
                 try {
@@ -255,10 +518,26 @@ async function handleCaptureTabRequest(tabId, returnTabId, sendResponse, capture
             return;
         }
 
+        // Persist a new job before anything is captured
+        let job;
+        try {
+            job = await captureJobStore.createJob({
+                tabId: tabId,
+                returnTabId: returnTabId,
+                sourceUrl: tab.url,
+                captureParams: captureParams
+            });
+        } catch (jobError) {
+            console.error('Error creating capture job:', jobError);
+            sendResponse({ success: false, error: 'Failed to create capture job: ' + jobError.message });
+            return;
+        }
+
         // Reset capture data
         captureData = {
+            jobId: job.id,
             tabId: tabId,
-            screenshots: [],
+            tileCount: 0,
             inProgress: true,
             progress: 0,
             returnTabId: returnTabId,
@@ -271,70 +550,247 @@ async function handleCaptureTabRequest(tabId, returnTabId, sendResponse, capture
         } catch (navigationError) {
             console.error('Error navigating to tab:', navigationError);
             sendResponse({ success: false, error: 'Failed to navigate to tab: ' + navigationError.message });
-            captureData.inProgress = false;
+            endCaptureJob(CaptureJobStore.STATUS.FAILED, navigationError.message);
             return;
         }
 
         // Wait a moment for the tab to become active
         setTimeout(async () => {
             try {
-                // Inject the content script if needed
-                try {
-                    await chrome.scripting.executeScript({
-                        target: { tabId: tabId },
-                        files: ['js/page-capture.js']
-                    });
-                } catch (scriptError) {
-                    console.error('Error injecting content script:', scriptError);
-                    sendResponse({
-                        success: false,
-                        error: 'Failed to inject content script: ' + scriptError.message
-                    });
-                    captureData.inProgress = false;
-                    return;
-                }
+                // The DevTools protocol engine is opt-in, only handles full pages and falls back to scrolling.
+                // It only captures the document: inner scroll containers, picked or found by the
+                // content script, are only reachable by scrolling them from the page
+                if (captureParams.engine === 'debugger' && (captureParams.mode || 'page') === 'page' &&
+                    captureParams.scrollTarget !== 'pick') {
+                    const debuggerResult = await captureWithDebugger(tabId, tab.url, captureParams, sendResponse);
+                    if (debuggerResult.captured || debuggerResult.cancelled) {
+                        return;
+                    }
 
-                // Send message to start capture with adaptive parameters
-                try {
-                    chrome.tabs.sendMessage(tabId, {
-                        action: 'begin_capture',
-                        captureParams: captureParams // Pass the capture parameters to the content script
-                    }, (response) => {
-                        if (chrome.runtime.lastError) {
-                            console.error('Error starting capture:', chrome.runtime.lastError);
-                            captureData.inProgress = false;
-                            sendResponse({ success: false, error: chrome.runtime.lastError.message });
-                        } else if (!response || !response.success) {
-                            captureData.inProgress = false;
-                            sendResponse({
-                                success: false,
-                                error: response?.error || 'Unknown error starting capture'
-                            });
-                        } else {
-                            sendResponse({ success: true });
-                        }
-                    });
-                } catch (messageError) {
-                    console.error('Error sending message to content script:', messageError);
-                    captureData.inProgress = false;
-                    sendResponse({
-                        success: false,
-                        error: 'Failed to communicate with content script: ' + messageError.message
-                    });
+                    // Once the request was acknowledged, later failures go to the extension tab instead
+                    if (debuggerResult.responded) {
+                        sendResponse = (response) => {
+                            if (!response || !response.success) {
+                                handleCaptureError(response?.error || 'Unknown error starting capture');
+                            }
+                        };
+                    }
                 }
+
+                await startScrollCapture(tabId, captureParams, sendResponse);
             } catch (error) {
                 console.error('Unexpected error in captureTab delayed execution:', error);
-                captureData.inProgress = false;
+                endCaptureJob(CaptureJobStore.STATUS.FAILED, error.message);
                 sendResponse({ success: false, error: 'Unexpected error: ' + error.message });
             }
         }, 500);
     } catch (error) {
         console.error('Critical error in handleCaptureTabRequest:', error);
-        captureData.inProgress = false;
+        endCaptureJob(CaptureJobStore.STATUS.FAILED, error.message);
         sendResponse({ success: false, error: 'Critical error: ' + error.message });
     }
 }
 
+/**
+ * Start the scroll-and-stitch capture by injecting the content script
+ * @param {number} tabId - ID of the tab to capture
+ * @param {Object} captureParams - Capture parameters for the content script
+ * @param {function} sendResponse - Function to send response back
+ */
+async function startScrollCapture(tabId, captureParams, sendResponse) {
+    // Inject the content script if needed
+    try {
+        await chrome.scripting.executeScript({
+            target: { tabId: tabId },
+            files: ['js/page-capture.js']
+        });
+    } catch (scriptError) {
+        console.error('Error injecting content script:', scriptError);
+        sendResponse({
+            success: false,
+            error: 'Failed to inject content script: ' + scriptError.message
+        });
+        endCaptureJob(CaptureJobStore.STATUS.FAILED, scriptError.message);
+        return;
+    }
+
+    await injectFreezeScript(tabId, captureParams);
+
+    // Send message to start capture with adaptive parameters
+    try {
+        chrome.tabs.sendMessage(tabId, {
+            action: 'begin_capture',
+            captureParams: captureParams // Pass the capture parameters to the content script
+        }, (response) => {
+            if (chrome.runtime.lastError) {
+                console.error('Error starting capture:', chrome.runtime.lastError);
+                endCaptureJob(CaptureJobStore.STATUS.FAILED, chrome.runtime.lastError.message);
+                sendResponse({ success: false, error: chrome.runtime.lastError.message });
+            } else if (!response || !response.success) {
+                endCaptureJob(CaptureJobStore.STATUS.FAILED, response?.error || 'Unknown error starting capture');
+                sendResponse({
+                    success: false,
+                    error: response?.error || 'Unknown error starting capture'
+                });
+            } else {
+                sendResponse({ success: true });
+            }
+        });
+    } catch (messageError) {
+        console.error('Error sending message to content script:', messageError);
+        endCaptureJob(CaptureJobStore.STATUS.FAILED, messageError.message);
+        sendResponse({
+            success: false,
+            error: 'Failed to communicate with content script: ' + messageError.message
+        });
+    }
+}
+
+/**
+ * Load the carousel freeze script into the page's own context. It runs before the
+ * capture starts so the freeze event of the content script reaches it.
+ * @param {number} tabId - ID of the tab to capture
+ * @param {Object} captureParams - Capture parameters
+ */
+async function injectFreezeScript(tabId, captureParams) {
+    if (captureParams.freezeAnimations === false) {
+        return;
+    }
+
+    try {
+        await chrome.scripting.executeScript({
+            target: { tabId: tabId },
+            world: 'MAIN',
+            files: ['js/capture-freeze.js']
+        });
+    } catch (scriptError) {
+        // Carousels keep moving, the capture itself still works
+        console.warn('Could not load the carousel freeze script:', scriptError);
+    }
+}
+
+/**
+ * Capture a tab with the DevTools protocol engine
+ * @param {number} tabId - ID of the tab to capture
+ * @param {string} sourceUrl - URL of the tab
+ * @param {Object} captureParams - Capture parameters
+ * @param {function} sendResponse - Function to send response back
+ * @returns {Promise<Object>} - Whether the capture finished, was cancelled and whether a response was sent
+ */
+async function captureWithDebugger(tabId, sourceUrl, captureParams, sendResponse) {
+    const result = { captured: false, responded: false, cancelled: false };
+
+    if (!(await DebuggerCaptureEngine.isAvailable())) {
+        console.warn('Debugger capture engine unavailable, falling back to scroll capture');
+        return result;
+    }
+
+    // Overlays are hidden, motion frozen, sensitive fields covered and sensitive text found by the
+    // capture content script, as for the scroll engine
+    const preparation = await prepareDebuggerCapture(tabId, captureParams);
+    if (!preparation) {
+        console.warn('Could not prepare the page for the debugger engine, falling back to scroll capture');
+        return result;
+    }
+    if (preparation.scrollContainer) {
+        console.log('Page scrolls an inner container, using scroll capture');
+        return result;
+    }
+
+    const jobId = captureData.jobId;
+
+    try {
+        const captureResult = await DebuggerCaptureEngine.capture(tabId, {
+            maxCaptureHeight: captureParams.maxCaptureHeight,
+            onAttached: () => {
+                result.responded = true;
+                sendResponse({ success: true });
+            },
+            onSegment: (tile, progress) => storeCaptureTile(tile, progress),
+            isCancelled: () => captureData.jobId !== jobId || !captureData.inProgress
+        });
+
+        // Reuse the scroll engine's truncation notice for very long pages
+        if (captureResult.truncated && captureData.returnTabId) {
+            chrome.tabs.sendMessage(captureData.returnTabId, {
+                action: 'capture_truncated',
+                maximumHeight: captureResult.height,
+                actualHeight: captureResult.fullHeight
+            }).catch(() => {
+                // The extension tab may have been closed in the meantime
+            });
+        }
+
+        // The tab size is the viewport the page was laid out for
+        const tab = await chrome.tabs.get(tabId).catch(() => null);
+        await handleCaptureComplete({
+            url: sourceUrl,
+            viewport: tab && tab.width ? { width: tab.width, height: tab.height } : null,
+            suppressedOverlays: preparation.suppressedOverlays,
+            sensitiveText: preparation.sensitiveText
+        }, () => {});
+        result.captured = true;
+    } catch (error) {
+        // A cancelled capture must not fall back to scrolling
+        if (captureData.cancelled && captureData.jobId === jobId) {
+            result.cancelled = true;
+            return result;
+        }
+
+        console.warn('Debugger capture failed, falling back to scroll capture:', error);
+
+        // Drop any segments so the scroll engine starts from a clean job
+        if (captureData.jobId === jobId) {
+            await captureJobStore.clearTiles(jobId);
+            captureData.tileCount = 0;
+            captureData.progress = 0;
+        }
+    } finally {
+        await finishDebuggerCapture(tabId);
+    }
+
+    return result;
+}
+
+/**
+ * Inject the capture content script and let it prepare the page for the debugger engine
+ * @param {number} tabId - ID of the tab to capture
+ * @param {Object} captureParams - Capture parameters
+ * @returns {Promise<Object|null>} - Response of the content script (scrollContainer is set when the page
+ *   scrolls an inner container and was left as it is), null when the page could not be prepared
+ */
+async function prepareDebuggerCapture(tabId, captureParams) {
+    try {
+        await chrome.scripting.executeScript({
+            target: { tabId: tabId },
+            files: ['js/page-capture.js']
+        });
+        await injectFreezeScript(tabId, captureParams);
+
+        const response = await chrome.tabs.sendMessage(tabId, {
+            action: 'prepare_debugger_capture',
+            captureParams: captureParams
+        });
+        return response && response.success ? response : null;
+    } catch (error) {
+        console.warn('Error preparing page for debugger capture:', error);
+        return null;
+    }
+}
+
+/**
+ * Restore the page after a debugger engine capture
+ * @param {number} tabId - ID of the captured tab
+ */
+async function finishDebuggerCapture(tabId) {
+    try {
+        await chrome.tabs.sendMessage(tabId, { action: 'finish_debugger_capture' });
+    } catch (error) {
+        // The tab may have been closed or navigated away
+        console.warn('Error restoring page after debugger capture:', error);
+    }
+}
+
 /**
  * Handle scroll position issues
  * @param {Object} message - Message with scroll position data
@@ -427,12 +883,22 @@ function handleCapturePositionFailed(message, tabId, sendResponse) {
  * @param {boolean} scrollPositionError - Flag indicating scroll position issues
  * @param {number} requestedX - Originally requested X position
  * @param {number} requestedY - Originally requested Y position
+ * @param {Object} crop - Visible box of an inner scroll container to keep from the screenshot
+ * @param {Object} resume - Positions still missing after this one and the page geometry
  */
-async function captureScreenshot(tabId, x, y, totalWidth, totalHeight, viewportWidth, viewportHeight, sendResponse, scrollPositionError, requestedX, requestedY) {
+async function captureScreenshot(tabId, x, y, totalWidth, totalHeight, viewportWidth, viewportHeight, sendResponse, scrollPositionError, requestedX, requestedY, crop = null, resume = null) {
+    await captureJobRestored;
+
+    // Ignore tiles from tabs that do not belong to the current job
+    if (!captureData.jobId || captureData.tabId !== tabId || captureData.cancelled) {
+        sendResponse({ success: false, error: 'No active capture job for this tab' });
+        return;
+    }
+
     // Implement robust error handling and rate limiting
     try {
         // Check if we've hit Chrome's screenshot capture rate limit
-        if (captureData.screenshots.length >= 50) {
+        if ((captureData.runTileCount || 0) >= MAX_TILES_PER_RUN) {
             throw new Error('Maximum screenshot capture limit reached');
         }
 
@@ -441,7 +907,7 @@ async function captureScreenshot(tabId, x, y, totalWidth, totalHeight, viewportW
         captureData.progress = progress;
 
         // For scroll position errors, use adjusted delay to allow page to settle
-        const baseDelay = captureData.screenshots.length > 0 ? 300 : 100;
+        const baseDelay = captureData.tileCount > 0 ? 300 : 100;
         const delay = scrollPositionError ? baseDelay + 200 : baseDelay;
         await new Promise(resolve => setTimeout(resolve, delay));
 
@@ -481,55 +947,77 @@ async function captureScreenshot(tabId, x, y, totalWidth, totalHeight, viewportW
             throw new Error('Captured screenshot is invalid or too small');
         }
 
-        // Store the screenshot with position data - also record requested position if different
-        captureData.screenshots.push({
-            dataUrl: dataUrl,
+        // Persist the screenshot as a Blob with position data - also record requested position if different
+        const blob = await (await fetch(dataUrl)).blob();
+
+        // The capture may have been cancelled while the screenshot was taken
+        if (captureData.cancelled) {
+            sendResponse({ success: false, error: 'Capture cancelled' });
+            return;
+        }
+
+        await storeCaptureTile({
+            blob: blob,
             x: x,
             y: y,
             requestedX: requestedX !== undefined ? requestedX : x,
             requestedY: requestedY !== undefined ? requestedY : y,
-            scrollPositionError: scrollPositionError || false
-        });
+            scrollPositionError: scrollPositionError || false,
+            crop: crop || null
+        }, progress, resume);
 
         // Send success response with progress
         sendResponse({
             success: true,
             progress: progress,
-            screenshotCount: captureData.screenshots.length
+            screenshotCount: captureData.tileCount
         });
 
     } catch (error) {
         console.error('Error capturing screenshot:', error);
 
-        // Reset capture state on critical errors
-        captureData.inProgress = false;
-
-        // Send detailed error to extension tab
-        if (captureData.returnTabId) {
-            try {
-                chrome.tabs.sendMessage(captureData.returnTabId, {
-                    action: 'capture_error',
-                    error: `Screenshot capture failed: ${error.message}`,
-                    details: {
-                        x, y,
-                        requestedX, requestedY,
-                        scrollPositionError,
-                        totalWidth,
-                        totalHeight,
-                        viewportWidth,
-                        viewportHeight
-                    }
-                });
-            } catch (messagingError) {
-                console.error('Failed to send error message:', messagingError);
-            }
+        // A cancelled job is already finished, do not turn it into a failure
+        if (captureData.cancelled) {
+            sendResponse({ success: false, error: 'Capture cancelled' });
+            return;
         }
 
-        // Send error response
+        // Keep the job and its tiles - the content script retries the position or
+        // stops with the remaining positions so the capture can be resumed
         sendResponse({
             success: false,
-            error: error.message,
-            details: error.toString()
+            error: `Screenshot capture failed: ${error.message}`,
+            details: error.toString(),
+            resumable: true,
+            limitReached: (captureData.runTileCount || 0) >= MAX_TILES_PER_RUN
+        });
+    }
+}
+
+/**
+ * Store a captured tile in the current job and report partial progress
+ * @param {Object} tile - Tile with blob and position data
+ * @param {number} progress - Capture progress percentage
+ * @param {Object} resume - Optional positions still missing and page geometry
+ */
+async function storeCaptureTile(tile, progress, resume = null) {
+    captureData.progress = progress;
+    captureData.tileCount = await captureJobStore.addTile(captureData.jobId, tile);
+    captureData.runTileCount = (captureData.runTileCount || 0) + 1;
+    if (resume) {
+        captureData.resume = resume;
+    }
+    await persistCaptureJob();
+
+    // Let the extension tab show partial progress while the capture runs
+    if (captureData.returnTabId) {
+        chrome.tabs.sendMessage(captureData.returnTabId, {
+            action: 'capture_tile_stored',
+            jobId: captureData.jobId,
+            tileCount: captureData.tileCount,
+            progress: progress
+        }).catch(() => {
+            // The extension tab may have been closed in the meantime
         });
     }
 }
@@ -553,4 +1041,158 @@ function calculateProgress(x, y, totalWidth, totalHeight, viewportWidth, viewpor
     const capturedArea = (x + viewportWidth) * (totalHeight - y);
     const progress = Math.min(Math.round((capturedArea / totalArea) * 100), 100);
     return progress;
-} 
\ No newline at end of file
+} 
+
+/**
+ * Restore the capture job that was running when the service worker was suspended.
+ * Jobs whose tab is gone or that stopped reporting are failed and the extension
+ * tab is told about it, keeping them resumable when positions are left; otherwise
+ * the content script simply keeps going.
+ */
+async function restoreCaptureJob() {
+    try {
+        await captureJobStore.pruneFinishedJobs();
+
+        const job = await captureJobStore.getActiveJob();
+        if (!job) {
+            return;
+        }
+
+        captureData = {
+            jobId: job.id,
+            tabId: job.tabId,
+            tileCount: job.tileCount || 0,
+            inProgress: true,
+            progress: job.progress || 0,
+            returnTabId: job.returnTabId,
+            captureParams: job.captureParams || {},
+            runTileCount: job.runTileCount || 0,
+            resume: job.resume || null
+        };
+
+        let tabExists = true;
+        try {
+            await chrome.tabs.get(job.tabId);
+        } catch (tabError) {
+            tabExists = false;
+        }
+
+        if (!tabExists || captureJobStore.isJobStale(job)) {
+            const errorMessage = 'The capture was interrupted before it could finish. Please try again.';
+            const resume = job.resume || null;
+            const resumable = !!(resume && Array.isArray(resume.arrangements) && resume.arrangements.length > 0);
+            const clip = resume && resume.geometry ? resume.geometry.clip || null : null;
+
+            console.warn('Failing interrupted capture job:', job.id);
+            await endCaptureJob(CaptureJobStore.STATUS.FAILED, errorMessage, {
+                resumable: resumable,
+                resume: resume,
+                clip: clip
+            });
+
+            if (captureData.returnTabId) {
+                chrome.tabs.sendMessage(captureData.returnTabId, {
+                    action: 'capture_error',
+                    error: errorMessage,
+                    jobId: job.id,
+                    resumable: resumable,
+                    tileCount: captureData.tileCount,
+                    clip: clip
+                }).catch(() => {
+                    // The extension tab may have been closed in the meantime
+                });
+            }
+            return;
+        }
+
+        console.log('Resuming capture job after service worker restart:', job.id);
+    } catch (error) {
+        console.error('Error restoring capture job:', error);
+    }
+}
+
+/**
+ * Write the in-memory capture state of the current job to the job store
+ * @param {Object} changes - Additional job fields to update
+ */
+async function persistCaptureJob(changes = {}) {
+    if (!captureData.jobId) {
+        return;
+    }
+
+    try {
+        await captureJobStore.updateJob(captureData.jobId, {
+            progress: captureData.progress || 0,
+            tileCount: captureData.tileCount || 0,
+            runTileCount: captureData.runTileCount || 0,
+            ...(captureData.resume ? { resume: captureData.resume } : {}),
+            ...changes
+        });
+    } catch (error) {
+        console.error('Error persisting capture job:', error);
+    }
+}
+
+/**
+ * Mark the current job as finished
+ * @param {string} status - Final job status
+ * @param {string} errorMessage - Error message for failed jobs
+ * @param {Object} changes - Additional job fields to update
+ */
+async function endCaptureJob(status, errorMessage = null, changes = {}) {
+    captureData.inProgress = false;
+    await persistCaptureJob({ ...changes, status: status, error: errorMessage });
+}
+
+/**
+ * Refresh the heartbeat of the current job when its tab reports progress
+ * @param {number} tabId - ID of the tab reporting progress
+ */
+async function touchCaptureJob(tabId) {
+    await captureJobRestored;
+
+    if (captureData.inProgress && captureData.tabId === tabId) {
+        await persistCaptureJob();
+    }
+}
+
+/**
+ * Get the state of a capture job for the extension page
+ * @param {string} jobId - Optional job ID, defaults to the current or latest job
+ * @returns {Promise<Object>} - Job state
+ */
+async function getCaptureJobState(jobId = null) {
+    try {
+        await captureJobRestored;
+
+        const job = await captureJobStore.getJob(jobId || captureData.jobId) ||
+            (jobId ? null : await captureJobStore.getLatestJob());
+
+        if (!job) {
+            return { inProgress: false, progress: 0, jobId: null, status: null };
+        }
+
+        return {
+            inProgress: job.status === CaptureJobStore.STATUS.IN_PROGRESS,
+            progress: job.progress || 0,
+            jobId: job.id,
+            status: job.status,
+            tabId: job.tabId,
+            sourceUrl: job.sourceUrl,
+            tileCount: job.tileCount || 0,
+            error: job.error,
+            resumable: !!job.resumable,
+            clip: job.clip || null,
+            updatedAt: job.updatedAt
+        };
+    } catch (error) {
+        console.error('Error reading capture job state:', error);
+        return {
+            inProgress: captureData.inProgress,
+            progress: captureData.progress || 0,
+            jobId: captureData.jobId,
+            status: null,
+            error: error.message
+        };
+    }
+}
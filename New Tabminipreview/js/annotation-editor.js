@@ -0,0 +1,590 @@
+/**
+ * Annotation Editor Module
+ * Full-screen editor on top of the fullscreen preview for marking up a
+ * screenshot with arrows, rectangles, freehand lines, text labels and
+ * numbered callouts. Shapes stay vector data so they can be edited later.
+ */
+
+import AnnotationRenderer from './annotation-renderer.js';
+
+class AnnotationEditor {
+    static TOOLS = {
+        select: 'Select',
+        arrow: 'Arrow',
+        rect: 'Rectangle',
+        freehand: 'Freehand',
+        text: 'Text',
+        callout: 'Callout'
+    };
+
+    static COLORS = ['#e53935', '#fb8c00', '#43a047', '#1e88e5', '#212121'];
+
+    // Shapes smaller than this (in annotation pixels) are treated as stray clicks
+    static MIN_SHAPE_SIZE = 3;
+
+    /**
+     * @param {string} imageUrl - Screenshot to annotate (object URL or data URL)
+     * @param {Object} options - Editor options
+     * @param {Object} options.annotations - Existing annotations to edit
+     * @param {boolean} options.canSave - Whether the annotations can be saved to the cache
+     * @param {Function} options.onSave - Called with the annotation data (null when empty)
+     * @param {Function} options.onExport - Called with the annotation data to download the annotated image
+     */
+    constructor(imageUrl, options = {}) {
+        this.imageUrl = imageUrl;
+        this.options = options;
+        this.tool = 'arrow';
+        this.color = AnnotationEditor.COLORS[0];
+        this.shapes = [];
+        this.history = [];
+        this.selectedIndex = -1;
+        this.current = null;
+        this.image = null;
+        this.element = null;
+        this.textInput = null;
+        this.redrawPending = false;
+
+        this.onKeyDown = this.onKeyDown.bind(this);
+    }
+
+    /**
+     * Load the screenshot and show the editor
+     * @returns {Promise<void>}
+     */
+    async open() {
+        const blob = await (await fetch(this.imageUrl)).blob();
+        this.image = await createImageBitmap(blob);
+
+        // Existing shapes keep the coordinate space they were drawn in
+        const annotations = this.options.annotations;
+        this.annotationWidth = annotations && annotations.width ? annotations.width : this.image.width;
+        this.scale = this.image.width / this.annotationWidth;
+        this.shapes = AnnotationRenderer.hasShapes(annotations) ? [...annotations.shapes] : [];
+
+        // Stroke and text sizes follow the screenshot width so they look the same on any page
+        this.lineWidth = Math.max(2, Math.round(this.annotationWidth / 320));
+        this.fontSize = Math.max(14, Math.round(this.annotationWidth / 60));
+        this.calloutRadius = Math.max(12, Math.round(this.annotationWidth / 80));
+
+        this.render();
+        this.redraw();
+
+        // Capture phase so Escape does not also close the fullscreen preview underneath
+        window.addEventListener('keydown', this.onKeyDown, true);
+    }
+
+    /**
+     * Build the editor overlay
+     */
+    render() {
+        const toolButtons = Object.entries(AnnotationEditor.TOOLS).map(([tool, label]) => `
+            <button class="btn annotation-tool${tool === this.tool ? ' active' : ''}" data-tool="${tool}">${label}</button>
+        `).join('');
+        const colorButtons = AnnotationEditor.COLORS.map(color => `
+            <button class="annotation-color${color === this.color ? ' active' : ''}" data-color="${color}"
+                style="background-color: ${color}" title="${color}"></button>
+        `).join('');
+
+        this.element = document.createElement('div');
+        this.element.className = 'annotation-editor';
+        this.element.innerHTML = `
+            <div class="annotation-toolbar">
+                <div class="annotation-tools">${toolButtons}</div>
+                <div class="annotation-colors">${colorButtons}</div>
+                <button class="btn annotation-undo" title="Undo (Ctrl+Z)">Undo</button>
+                <button class="btn annotation-delete" title="Delete the selected shape (Del)" disabled>Delete</button>
+                <button class="btn annotation-clear" title="Remove all shapes">Clear</button>
+                <div class="annotation-actions">
+                    <button class="btn cancel-btn annotation-cancel">Cancel</button>
+                    <button class="btn annotation-save" ${this.options.canSave ? '' : 'disabled title="Only previews of listed tabs are cached"'}>Save</button>
+                    <button class="btn btn-primary annotation-export">Download</button>
+                </div>
+            </div>
+            <div class="annotation-canvas-container">
+                <div class="annotation-stage">
+                    <canvas class="annotation-image"></canvas>
+                    <canvas class="annotation-layer"></canvas>
+                </div>
+            </div>
+        `;
+
+        this.stage = this.element.querySelector('.annotation-stage');
+        this.stage.style.maxWidth = `${this.image.width}px`;
+
+        const imageCanvas = this.element.querySelector('.annotation-image');
+        imageCanvas.width = this.image.width;
+        imageCanvas.height = this.image.height;
+        imageCanvas.getContext('2d').drawImage(this.image, 0, 0);
+
+        // Shapes live on their own layer so the screenshot is only drawn once
+        this.layer = this.element.querySelector('.annotation-layer');
+        this.layer.width = this.image.width;
+        this.layer.height = this.image.height;
+
+        this.element.querySelectorAll('.annotation-tool').forEach(button => {
+            button.addEventListener('click', () => this.setTool(button.dataset.tool));
+        });
+        this.element.querySelectorAll('.annotation-color').forEach(button => {
+            button.addEventListener('click', () => this.setColor(button.dataset.color));
+        });
+
+        this.element.querySelector('.annotation-undo').addEventListener('click', () => this.undo());
+        this.element.querySelector('.annotation-delete').addEventListener('click', () => this.deleteSelected());
+        this.element.querySelector('.annotation-clear').addEventListener('click', () => {
+            if (this.shapes.length === 0) return;
+            this.pushHistory();
+            this.shapes = [];
+            this.select(-1);
+        });
+        this.element.querySelector('.annotation-cancel').addEventListener('click', () => this.close());
+        this.element.querySelector('.annotation-save').addEventListener('click', (e) => this.finish(e.target, this.options.onSave, true));
+        this.element.querySelector('.annotation-export').addEventListener('click', (e) => this.finish(e.target, this.options.onExport, false));
+
+        this.layer.addEventListener('mousedown', (e) => this.onPointerDown(e));
+
+        document.body.appendChild(this.element);
+    }
+
+    /**
+     * Switch the active tool
+     * @param {string} tool - Tool name
+     */
+    setTool(tool) {
+        this.commitText();
+        this.tool = tool;
+        this.layer.style.cursor = tool === 'select' ? 'default' : tool === 'text' ? 'text' : 'crosshair';
+        this.element.querySelectorAll('.annotation-tool').forEach(button => {
+            button.classList.toggle('active', button.dataset.tool === tool);
+        });
+        if (tool !== 'select') {
+            this.select(-1);
+        }
+    }
+
+    /**
+     * Switch the colour, recolouring the selected shape
+     * @param {string} color - CSS colour
+     */
+    setColor(color) {
+        this.color = color;
+        this.element.querySelectorAll('.annotation-color').forEach(button => {
+            button.classList.toggle('active', button.dataset.color === color);
+        });
+
+        if (this.selectedIndex >= 0) {
+            this.pushHistory();
+            this.shapes[this.selectedIndex] = { ...this.shapes[this.selectedIndex], color: color };
+            this.redraw();
+        }
+    }
+
+    /**
+     * Convert a mouse position to annotation pixels
+     * @param {MouseEvent} e - Mouse event
+     * @returns {Object} - Point (x, y)
+     */
+    toAnnotationPoint(e) {
+        const bounds = this.layer.getBoundingClientRect();
+        const factor = this.layer.width / bounds.width / this.scale;
+        return {
+            x: Math.round((e.clientX - bounds.left) * factor),
+            y: Math.round((e.clientY - bounds.top) * factor)
+        };
+    }
+
+    /**
+     * Start a shape, place a label or pick a shape to move
+     * @param {MouseEvent} e - Mouse down event
+     */
+    onPointerDown(e) {
+        if (e.button !== 0) return;
+        e.preventDefault();
+
+        // Clicking elsewhere finishes a label that is being typed
+        if (this.textInput) {
+            this.commitText();
+            return;
+        }
+
+        const start = this.toAnnotationPoint(e);
+
+        switch (this.tool) {
+            case 'select':
+                this.select(this.hitTest(start));
+                if (this.selectedIndex >= 0) {
+                    const original = this.shapes[this.selectedIndex];
+                    let moved = false;
+                    this.trackPointer(
+                        (point) => {
+                            if (!moved) {
+                                this.pushHistory();
+                                moved = true;
+                            }
+                            this.shapes[this.selectedIndex] = AnnotationRenderer.moveShape(original, point.x - start.x, point.y - start.y);
+                        },
+                        () => {}
+                    );
+                }
+                return;
+            case 'text':
+                this.openTextInput(start);
+                return;
+            case 'callout':
+                this.addShape({
+                    type: 'callout',
+                    color: this.color,
+                    x: start.x,
+                    y: start.y,
+                    radius: this.calloutRadius,
+                    number: this.getNextCalloutNumber()
+                });
+                return;
+            case 'arrow':
+                this.current = { type: 'arrow', color: this.color, lineWidth: this.lineWidth, x1: start.x, y1: start.y, x2: start.x, y2: start.y };
+                break;
+            case 'rect':
+                this.current = { type: 'rect', color: this.color, lineWidth: this.lineWidth, x: start.x, y: start.y, width: 0, height: 0 };
+                break;
+            case 'freehand':
+                this.current = { type: 'freehand', color: this.color, lineWidth: this.lineWidth, points: [[start.x, start.y]] };
+                break;
+            default:
+                return;
+        }
+
+        this.trackPointer(
+            (point) => this.updateCurrent(start, point),
+            () => {
+                const shape = this.current;
+                this.current = null;
+                if (this.isLargeEnough(shape)) {
+                    this.addShape(shape);
+                } else {
+                    this.redraw();
+                }
+            }
+        );
+    }
+
+    /**
+     * Follow the mouse until the button is released
+     * @param {Function} onMove - Called with each new point
+     * @param {Function} onEnd - Called once the button is released
+     */
+    trackPointer(onMove, onEnd) {
+        const move = (e) => {
+            onMove(this.toAnnotationPoint(e));
+            this.scheduleRedraw();
+        };
+        const up = () => {
+            document.removeEventListener('mousemove', move);
+            document.removeEventListener('mouseup', up);
+            onEnd();
+        };
+        document.addEventListener('mousemove', move);
+        document.addEventListener('mouseup', up);
+    }
+
+    /**
+     * Update the shape being drawn
+     * @param {Object} start - Point where drawing started
+     * @param {Object} point - Current point
+     */
+    updateCurrent(start, point) {
+        const shape = this.current;
+        if (!shape) return;
+
+        switch (shape.type) {
+            case 'arrow':
+                shape.x2 = point.x;
+                shape.y2 = point.y;
+                break;
+            case 'rect':
+                shape.x = Math.min(start.x, point.x);
+                shape.y = Math.min(start.y, point.y);
+                shape.width = Math.abs(point.x - start.x);
+                shape.height = Math.abs(point.y - start.y);
+                break;
+            case 'freehand': {
+                const [lastX, lastY] = shape.points[shape.points.length - 1];
+                if (Math.abs(point.x - lastX) + Math.abs(point.y - lastY) >= 2) {
+                    shape.points.push([point.x, point.y]);
+                }
+                break;
+            }
+        }
+    }
+
+    /**
+     * Check that a finished shape is more than a stray click
+     * @param {Object} shape - Shape
+     * @returns {boolean} - Whether to keep it
+     */
+    isLargeEnough(shape) {
+        if (!shape) return false;
+        const min = AnnotationEditor.MIN_SHAPE_SIZE;
+        switch (shape.type) {
+            case 'arrow':
+                return Math.hypot(shape.x2 - shape.x1, shape.y2 - shape.y1) >= min * 3;
+            case 'rect':
+                return shape.width >= min && shape.height >= min;
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Show a text box where a label is typed
+     * @param {Object} point - Top-left corner of the label in annotation pixels
+     */
+    openTextInput(point) {
+        const displayScale = this.layer.getBoundingClientRect().width / this.annotationWidth;
+
+        this.textInput = document.createElement('textarea');
+        this.textInput.className = 'annotation-text-input';
+        this.textInput.rows = 1;
+        this.textInput.placeholder = 'Label';
+        Object.assign(this.textInput.style, {
+            left: `${point.x * displayScale}px`,
+            top: `${point.y * displayScale}px`,
+            fontSize: `${Math.max(10, this.fontSize * displayScale)}px`,
+            color: this.color
+        });
+        this.textInput.dataset.x = point.x;
+        this.textInput.dataset.y = point.y;
+
+        this.textInput.addEventListener('keydown', (e) => {
+            // Enter adds the label, Shift+Enter starts a new line
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                this.commitText();
+            }
+        });
+        this.textInput.addEventListener('blur', () => this.commitText());
+
+        this.stage.appendChild(this.textInput);
+        this.textInput.focus();
+    }
+
+    /**
+     * Turn the typed text into a label
+     */
+    commitText() {
+        const input = this.textInput;
+        if (!input) return;
+        this.textInput = null;
+
+        const text = input.value.trim();
+        input.remove();
+
+        if (text) {
+            this.addShape({
+                type: 'text',
+                color: this.color,
+                x: Number(input.dataset.x),
+                y: Number(input.dataset.y),
+                fontSize: this.fontSize,
+                text: text
+            });
+        }
+    }
+
+    /**
+     * Cancel the label being typed
+     */
+    cancelText() {
+        if (this.textInput) {
+            const input = this.textInput;
+            this.textInput = null;
+            input.remove();
+        }
+    }
+
+    /**
+     * Get the number for the next callout
+     * @returns {number} - One more than the highest callout number
+     */
+    getNextCalloutNumber() {
+        return this.shapes
+            .filter(shape => shape.type === 'callout')
+            .reduce((highest, shape) => Math.max(highest, shape.number), 0) + 1;
+    }
+
+    /**
+     * Find the topmost shape at a point
+     * @param {Object} point - Point in annotation pixels
+     * @returns {number} - Shape index or -1
+     */
+    hitTest(point) {
+        const ctx = this.layer.getContext('2d');
+        for (let index = this.shapes.length - 1; index >= 0; index--) {
+            const bounds = AnnotationRenderer.getBounds(this.shapes[index], ctx);
+            if (point.x >= bounds.x && point.x <= bounds.x + bounds.width &&
+                point.y >= bounds.y && point.y <= bounds.y + bounds.height) {
+                return index;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Select a shape
+     * @param {number} index - Shape index or -1 to clear the selection
+     */
+    select(index) {
+        this.selectedIndex = index;
+        this.element.querySelector('.annotation-delete').disabled = index < 0;
+        this.redraw();
+    }
+
+    /**
+     * Add a shape as a new step in the history
+     * @param {Object} shape - Shape to add
+     */
+    addShape(shape) {
+        this.pushHistory();
+        this.shapes.push(shape);
+        this.redraw();
+    }
+
+    /**
+     * Remove the selected shape
+     */
+    deleteSelected() {
+        if (this.selectedIndex < 0) return;
+        this.pushHistory();
+        this.shapes.splice(this.selectedIndex, 1);
+        this.select(-1);
+    }
+
+    /**
+     * Remember the current shapes so the next change can be undone
+     */
+    pushHistory() {
+        this.history.push([...this.shapes]);
+    }
+
+    /**
+     * Undo the last change
+     */
+    undo() {
+        if (this.history.length === 0) return;
+        this.shapes = this.history.pop();
+        this.select(-1);
+    }
+
+    /**
+     * Redraw on the next animation frame, at most once per frame
+     */
+    scheduleRedraw() {
+        if (this.redrawPending) return;
+        this.redrawPending = true;
+        requestAnimationFrame(() => {
+            this.redrawPending = false;
+            this.redraw();
+        });
+    }
+
+    /**
+     * Draw all shapes, the one being drawn and the selection outline
+     */
+    redraw() {
+        if (!this.layer) return;
+        const ctx = this.layer.getContext('2d');
+        ctx.clearRect(0, 0, this.layer.width, this.layer.height);
+
+        const shapes = this.current ? [...this.shapes, this.current] : this.shapes;
+        AnnotationRenderer.drawShapes(ctx, shapes, this.scale);
+
+        if (this.selectedIndex >= 0 && this.shapes[this.selectedIndex]) {
+            const bounds = AnnotationRenderer.getBounds(this.shapes[this.selectedIndex], ctx);
+            ctx.save();
+            ctx.scale(this.scale, this.scale);
+            ctx.strokeStyle = '#2196f3';
+            ctx.lineWidth = Math.max(1, this.lineWidth / 2);
+            ctx.setLineDash([this.lineWidth * 2, this.lineWidth * 2]);
+            ctx.strokeRect(bounds.x - this.lineWidth, bounds.y - this.lineWidth, bounds.width + this.lineWidth * 2, bounds.height + this.lineWidth * 2);
+            ctx.restore();
+        }
+    }
+
+    /**
+     * Get the annotations as stored data
+     * @returns {Object|null} - Annotation data or null when there are no shapes
+     */
+    getAnnotations() {
+        return this.shapes.length > 0
+            ? { width: this.annotationWidth, shapes: [...this.shapes] }
+            : null;
+    }
+
+    /**
+     * Hand the annotations to a callback
+     * @param {HTMLElement} button - Clicked button, disabled while working
+     * @param {Function} callback - onSave or onExport
+     * @param {boolean} closeAfter - Whether to close the editor when done
+     */
+    async finish(button, callback, closeAfter) {
+        if (!callback) return;
+        this.commitText();
+        button.disabled = true;
+
+        try {
+            await callback(this.getAnnotations());
+            if (closeAfter) {
+                this.close();
+            }
+        } catch (error) {
+            console.error('Error finishing annotations:', error);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Handle editor shortcuts
+     * @param {KeyboardEvent} e - Key event
+     */
+    onKeyDown(e) {
+        if (e.key === 'Escape') {
+            e.stopPropagation();
+            if (this.textInput) {
+                this.cancelText();
+            } else {
+                this.close();
+            }
+            return;
+        }
+
+        // Leave editing keys to the label being typed
+        if (this.textInput) return;
+
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+            e.preventDefault();
+            e.stopPropagation();
+            this.undo();
+        } else if (e.key === 'Delete' || e.key === 'Backspace') {
+            e.preventDefault();
+            this.deleteSelected();
+        }
+    }
+
+    /**
+     * Close the editor and release the decoded image
+     */
+    close() {
+        window.removeEventListener('keydown', this.onKeyDown, true);
+        this.cancelText();
+        if (this.element) {
+            this.element.remove();
+            this.element = null;
+            this.layer = null;
+        }
+        if (this.image) {
+            this.image.close();
+            this.image = null;
+        }
+    }
+}
+
+export default AnnotationEditor;
@@ -0,0 +1,245 @@
+/**
+ * Annotation Renderer Module
+ * Draws annotation shapes (arrows, rectangles, freehand lines, text labels
+ * and numbered callouts) onto a canvas and flattens them into screenshots.
+ * Annotations are stored as vector data in the pixel space of the image they
+ * were drawn on: { width, shapes: [...] }.
+ */
+
+class AnnotationRenderer {
+    static FONT_FAMILY = 'Arial, Helvetica, sans-serif';
+
+    /**
+     * Check whether annotation data contains anything to draw
+     * @param {Object} annotations - Annotation data
+     * @returns {boolean} - Whether there are shapes
+     */
+    static hasShapes(annotations) {
+        return !!(annotations && Array.isArray(annotations.shapes) && annotations.shapes.length > 0);
+    }
+
+    /**
+     * Draw annotations on top of a screenshot and return the combined image
+     * @param {Blob} blob - Screenshot
+     * @param {Object} annotations - Annotation data
+     * @returns {Promise<Blob>} - PNG with the annotations drawn in, or the screenshot when there are none
+     */
+    static async flatten(blob, annotations) {
+        if (!this.hasShapes(annotations)) {
+            return blob;
+        }
+
+        const image = await createImageBitmap(blob);
+        try {
+            const canvas = new OffscreenCanvas(image.width, image.height);
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(image, 0, 0);
+            this.drawShapes(ctx, annotations.shapes, this.getScale(annotations, image.width));
+            return await canvas.convertToBlob({ type: 'image/png' });
+        } finally {
+            image.close();
+        }
+    }
+
+    /**
+     * Get the factor between the image the annotations were drawn on and another copy of it
+     * @param {Object} annotations - Annotation data
+     * @param {number} imageWidth - Width of the image to draw on
+     * @returns {number} - Scale factor
+     */
+    static getScale(annotations, imageWidth) {
+        return annotations && annotations.width ? imageWidth / annotations.width : 1;
+    }
+
+    /**
+     * Draw a list of shapes
+     * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx - Target context
+     * @param {Array<Object>} shapes - Shapes in annotation pixels
+     * @param {number} scale - Factor from annotation pixels to canvas pixels
+     */
+    static drawShapes(ctx, shapes, scale = 1) {
+        ctx.save();
+        ctx.scale(scale, scale);
+        shapes.forEach(shape => this.drawShape(ctx, shape));
+        ctx.restore();
+    }
+
+    /**
+     * Draw a single shape
+     * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx - Target context
+     * @param {Object} shape - Shape to draw
+     */
+    static drawShape(ctx, shape) {
+        ctx.save();
+        ctx.strokeStyle = shape.color;
+        ctx.fillStyle = shape.color;
+        ctx.lineWidth = shape.lineWidth || 4;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+
+        switch (shape.type) {
+            case 'arrow':
+                this.drawArrow(ctx, shape);
+                break;
+            case 'rect':
+                ctx.strokeRect(shape.x, shape.y, shape.width, shape.height);
+                break;
+            case 'freehand':
+                this.drawFreehand(ctx, shape);
+                break;
+            case 'text':
+                this.drawText(ctx, shape);
+                break;
+            case 'callout':
+                this.drawCallout(ctx, shape);
+                break;
+            default:
+                console.warn('Unknown annotation shape:', shape.type);
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Draw a line with an arrow head at its end
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {Object} shape - Arrow (x1, y1, x2, y2)
+     */
+    static drawArrow(ctx, shape) {
+        const angle = Math.atan2(shape.y2 - shape.y1, shape.x2 - shape.x1);
+        const headLength = ctx.lineWidth * 4;
+
+        ctx.beginPath();
+        ctx.moveTo(shape.x1, shape.y1);
+        // Stop the line inside the head so its round cap doesn't poke through the tip
+        ctx.lineTo(shape.x2 - Math.cos(angle) * headLength * 0.5, shape.y2 - Math.sin(angle) * headLength * 0.5);
+        ctx.stroke();
+
+        ctx.beginPath();
+        ctx.moveTo(shape.x2, shape.y2);
+        ctx.lineTo(shape.x2 - headLength * Math.cos(angle - Math.PI / 7), shape.y2 - headLength * Math.sin(angle - Math.PI / 7));
+        ctx.lineTo(shape.x2 - headLength * Math.cos(angle + Math.PI / 7), shape.y2 - headLength * Math.sin(angle + Math.PI / 7));
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    /**
+     * Draw a freehand line
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {Object} shape - Freehand line (points as [x, y] pairs)
+     */
+    static drawFreehand(ctx, shape) {
+        const points = shape.points || [];
+        if (points.length === 0) return;
+
+        ctx.beginPath();
+        ctx.moveTo(points[0][0], points[0][1]);
+        points.slice(1).forEach(([x, y]) => ctx.lineTo(x, y));
+        if (points.length === 1) {
+            // A single click still leaves a dot
+            ctx.lineTo(points[0][0] + 0.1, points[0][1]);
+        }
+        ctx.stroke();
+    }
+
+    /**
+     * Draw a text label with a light outline so it stays readable on any background
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {Object} shape - Text label (x, y of the top-left corner, fontSize, text)
+     */
+    static drawText(ctx, shape) {
+        ctx.font = `bold ${shape.fontSize}px ${this.FONT_FAMILY}`;
+        ctx.textBaseline = 'top';
+        ctx.lineWidth = Math.max(2, shape.fontSize / 6);
+        ctx.strokeStyle = '#ffffff';
+
+        String(shape.text).split('\n').forEach((line, index) => {
+            const y = shape.y + index * shape.fontSize * 1.2;
+            ctx.strokeText(line, shape.x, y);
+            ctx.fillText(line, shape.x, y);
+        });
+    }
+
+    /**
+     * Draw a numbered circle
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {Object} shape - Callout (x, y of the centre, radius, number)
+     */
+    static drawCallout(ctx, shape) {
+        ctx.beginPath();
+        ctx.arc(shape.x, shape.y, shape.radius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.lineWidth = Math.max(2, shape.radius / 6);
+        ctx.strokeStyle = '#ffffff';
+        ctx.stroke();
+
+        ctx.fillStyle = '#ffffff';
+        ctx.font = `bold ${Math.round(shape.radius * 1.1)}px ${this.FONT_FAMILY}`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(String(shape.number), shape.x, shape.y + shape.radius * 0.05);
+    }
+
+    /**
+     * Get the area a shape covers, used to pick shapes with the mouse
+     * @param {Object} shape - Shape
+     * @param {CanvasRenderingContext2D} ctx - Context used to measure text
+     * @returns {Object} - Bounds (x, y, width, height) in annotation pixels
+     */
+    static getBounds(shape, ctx) {
+        const pad = (shape.lineWidth || 4) / 2;
+        switch (shape.type) {
+            case 'arrow': {
+                const x = Math.min(shape.x1, shape.x2);
+                const y = Math.min(shape.y1, shape.y2);
+                return {
+                    x: x - pad,
+                    y: y - pad,
+                    width: Math.abs(shape.x2 - shape.x1) + pad * 2,
+                    height: Math.abs(shape.y2 - shape.y1) + pad * 2
+                };
+            }
+            case 'rect':
+                return { x: shape.x - pad, y: shape.y - pad, width: shape.width + pad * 2, height: shape.height + pad * 2 };
+            case 'freehand': {
+                const xs = shape.points.map(point => point[0]);
+                const ys = shape.points.map(point => point[1]);
+                const x = Math.min(...xs);
+                const y = Math.min(...ys);
+                return { x: x - pad, y: y - pad, width: Math.max(...xs) - x + pad * 2, height: Math.max(...ys) - y + pad * 2 };
+            }
+            case 'text': {
+                ctx.save();
+                ctx.font = `bold ${shape.fontSize}px ${this.FONT_FAMILY}`;
+                const lines = String(shape.text).split('\n');
+                const width = Math.max(...lines.map(line => ctx.measureText(line).width));
+                ctx.restore();
+                return { x: shape.x, y: shape.y, width: width, height: lines.length * shape.fontSize * 1.2 };
+            }
+            case 'callout':
+                return { x: shape.x - shape.radius, y: shape.y - shape.radius, width: shape.radius * 2, height: shape.radius * 2 };
+            default:
+                return { x: 0, y: 0, width: 0, height: 0 };
+        }
+    }
+
+    /**
+     * Move a shape by an offset
+     * @param {Object} shape - Shape to move
+     * @param {number} dx - Horizontal offset
+     * @param {number} dy - Vertical offset
+     * @returns {Object} - Moved copy of the shape
+     */
+    static moveShape(shape, dx, dy) {
+        switch (shape.type) {
+            case 'arrow':
+                return { ...shape, x1: shape.x1 + dx, y1: shape.y1 + dy, x2: shape.x2 + dx, y2: shape.y2 + dy };
+            case 'freehand':
+                return { ...shape, points: shape.points.map(([x, y]) => [x + dx, y + dy]) };
+            default:
+                return { ...shape, x: shape.x + dx, y: shape.y + dy };
+        }
+    }
+}
+
+export default AnnotationRenderer;
@@ -0,0 +1,376 @@
+/**
+ * Backup Manager Module
+ * Exports everything the extension stores (cached previews and thumbnails,
+ * tab metadata, workspaces and settings) to a single ZIP file and restores it.
+ *
+ * Archive layout:
+ *   manifest.json          Format and schema version, contents
+ *   stores/<store>.json    Records of each database store
+ *   images/<store>/<n>.*   Images of those records, referenced as {"$blob": path}
+ *   storage.json           Items of chrome.storage.local
+ */
+
+import StorageDatabase from './storage-database.js';
+import ZipArchive from './zip-archive.js';
+
+class BackupManager {
+    static FORMAT = 'declutterx-backup';
+    static FORMAT_VERSION = 1;
+
+    static MANIFEST_FILE = 'manifest.json';
+    static STORAGE_FILE = 'storage.json';
+
+    // Database stores in a backup; capture jobs only exist while a capture runs
+    static STORES = ['screenshots', 'thumbnails', 'tabMetadata', 'workspaces'];
+
+    // Restore modes
+    static MODES = {
+        MERGE: 'merge', // Add what's missing, keep the newer copy of records on both sides
+        REPLACE: 'replace' // Only keep what the backup holds
+    };
+
+    static IMAGE_EXTENSIONS = {
+        'image/png': 'png',
+        'image/jpeg': 'jpg',
+        'image/webp': 'webp'
+    };
+
+    /**
+     * Build a backup of all extension data
+     * @returns {Promise<Object>} - The ZIP file (blob) and its manifest
+     */
+    static async createBackup() {
+        const files = [];
+        const manifest = {
+            format: this.FORMAT,
+            formatVersion: this.FORMAT_VERSION,
+            schemaVersion: StorageDatabase.VERSION,
+            extensionVersion: chrome.runtime.getManifest().version,
+            createdAt: new Date().toISOString(),
+            stores: {},
+            images: 0
+        };
+
+        for (const storeName of this.STORES) {
+            const records = await StorageDatabase.transaction([storeName], 'readonly',
+                transaction => transaction.objectStore(storeName).getAll());
+
+            const images = [];
+            const packed = (records || []).map(record => this.packValue(record, images, storeName));
+            const file = `stores/${storeName}.json`;
+
+            files.push({ name: file, data: JSON.stringify(packed) }, ...images);
+            manifest.stores[storeName] = { file: file, count: packed.length };
+            manifest.images += images.length;
+        }
+
+        const storage = await chrome.storage.local.get(null);
+        files.push({ name: this.STORAGE_FILE, data: JSON.stringify(storage || {}) });
+        manifest.storage = { file: this.STORAGE_FILE, count: Object.keys(storage || {}).length };
+
+        files.unshift({ name: this.MANIFEST_FILE, data: JSON.stringify(manifest, null, 2) });
+
+        return { blob: await ZipArchive.create(files), manifest: manifest };
+    }
+
+    /**
+     * Restore a backup
+     * @param {Blob} file - Backup file
+     * @param {string} mode - One of BackupManager.MODES
+     * @returns {Promise<Object>} - Manifest and the number of restored records and settings
+     */
+    static async restoreBackup(file, mode = this.MODES.MERGE) {
+        if (!Object.values(this.MODES).includes(mode)) {
+            throw new Error(`Unknown restore mode: ${mode}`);
+        }
+
+        // Everything is read and checked before anything is written
+        const { manifest, records, storage } = await this.readBackup(file);
+
+        // The settings are put back as they were when the records cannot be written
+        const previousStorage = await chrome.storage.local.get(null);
+        const settings = await this.writeStorage(storage, mode);
+
+        let restored;
+        try {
+            restored = await this.writeRecords(records, mode);
+        } catch (error) {
+            try {
+                await this.writeStorage(previousStorage || {}, this.MODES.REPLACE);
+            } catch (rollbackError) {
+                console.error('Error restoring the previous settings:', rollbackError);
+            }
+            throw error;
+        }
+
+        return { manifest: manifest, restored: restored, settings: settings };
+    }
+
+    /**
+     * Read and validate a backup file
+     * @param {Blob} file - Backup file
+     * @returns {Promise<Object>} - Manifest, records keyed by store and chrome.storage items
+     */
+    static async readBackup(file) {
+        let entries;
+        try {
+            entries = await ZipArchive.read(file);
+        } catch (error) {
+            throw new Error(`This is not a backup file: ${error.message}`);
+        }
+
+        const manifest = await this.readJson(entries, this.MANIFEST_FILE);
+        this.validateManifest(manifest);
+
+        const records = {};
+        for (const [storeName, details] of Object.entries(manifest.stores)) {
+            if (!this.STORES.includes(storeName)) {
+                console.warn(`Skipping unknown store ${storeName} in backup`);
+                continue;
+            }
+
+            const stored = await this.readJson(entries, details.file);
+            if (!Array.isArray(stored) || stored.length !== details.count) {
+                throw new Error(`The backup of ${storeName} is incomplete`);
+            }
+
+            const { keyPath } = StorageDatabase.STORES[storeName];
+            const unpacked = await Promise.all(stored.map(record => this.unpackValue(record, entries)));
+            unpacked.forEach(record => {
+                if (!record || typeof record !== 'object' || record[keyPath] === undefined || record[keyPath] === null) {
+                    throw new Error(`The backup of ${storeName} contains a record without ${keyPath}`);
+                }
+            });
+
+            records[storeName] = StorageDatabase.convertRecords(manifest.schemaVersion, storeName, unpacked);
+        }
+
+        const storage = manifest.storage ? await this.readJson(entries, manifest.storage.file) : {};
+        if (!storage || typeof storage !== 'object' || Array.isArray(storage)) {
+            throw new Error('The settings in the backup are damaged');
+        }
+
+        return { manifest: manifest, records: records, storage: storage };
+    }
+
+    /**
+     * Check that a manifest describes a backup this version can restore
+     * @param {Object} manifest - Parsed manifest
+     */
+    static validateManifest(manifest) {
+        if (!manifest || manifest.format !== this.FORMAT) {
+            throw new Error('This is not a backup file of this extension');
+        }
+        if (!Number.isInteger(manifest.formatVersion) || manifest.formatVersion < 1) {
+            throw new Error('The backup has an invalid format version');
+        }
+        if (manifest.formatVersion > this.FORMAT_VERSION) {
+            throw new Error('The backup was made by a newer version of the extension, update it to restore this file');
+        }
+        if (!Number.isInteger(manifest.schemaVersion) || manifest.schemaVersion < 1) {
+            throw new Error('The backup has an invalid schema version');
+        }
+        if (manifest.schemaVersion > StorageDatabase.VERSION) {
+            throw new Error(`The backup uses storage schema ${manifest.schemaVersion}, this version of the extension supports up to ${StorageDatabase.VERSION}`);
+        }
+        if (!manifest.stores || typeof manifest.stores !== 'object') {
+            throw new Error('The backup does not list its contents');
+        }
+    }
+
+    /**
+     * Write restored records in one transaction, so a failed restore changes nothing
+     * @param {Object} records - Records keyed by store
+     * @param {string} mode - One of BackupManager.MODES
+     * @returns {Promise<number>} - Number of records written
+     */
+    static async writeRecords(records, mode) {
+        const replace = mode === this.MODES.REPLACE;
+        // Replacing clears every store of a backup, including ones the file has no records for
+        const storeNames = replace ? this.STORES : this.STORES.filter(storeName => records[storeName]);
+        if (storeNames.length === 0) {
+            return 0;
+        }
+
+        let written = 0;
+        const replacedPreviews = new Set();
+
+        await StorageDatabase.transaction(storeNames, 'readwrite', transaction => {
+            storeNames.forEach(storeName => {
+                const store = transaction.objectStore(storeName);
+                const { keyPath } = StorageDatabase.STORES[storeName];
+
+                if (replace) {
+                    store.clear();
+                }
+
+                (records[storeName] || []).forEach(record => {
+                    if (replace) {
+                        store.put(record);
+                        written++;
+                        return;
+                    }
+
+                    const request = store.get(record[keyPath]);
+                    request.onsuccess = () => {
+                        if (!this.shouldMerge(storeName, record, request.result, replacedPreviews)) {
+                            return;
+                        }
+                        store.put(record);
+                        written++;
+                        if (storeName === 'screenshots') {
+                            replacedPreviews.add(record.url);
+                        }
+                    };
+                });
+            });
+        });
+
+        return written;
+    }
+
+    /**
+     * Decide whether a record from the backup replaces the stored one when merging
+     * @param {string} storeName - Store of the record
+     * @param {Object} record - Record from the backup
+     * @param {Object|undefined} existing - Stored record with the same key
+     * @param {Set<string>} replacedPreviews - Preview keys already taken from the backup
+     * @returns {boolean} - Whether to write the record
+     */
+    static shouldMerge(storeName, record, existing, replacedPreviews) {
+        if (!existing) {
+            return true;
+        }
+
+        // A thumbnail follows its preview. Requests complete in order and the
+        // previews are queued first, so their decisions are known at this point.
+        if (storeName === 'thumbnails') {
+            return replacedPreviews.has(record.url);
+        }
+
+        return this.recordTime(record) > this.recordTime(existing);
+    }
+
+    /**
+     * Get the time a record was last changed
+     * @param {Object} record - Stored record
+     * @returns {number} - Milliseconds since the epoch, 0 when unknown
+     */
+    static recordTime(record) {
+        const value = record.metadata?.timestamp ?? record.lastUpdated ?? record.updatedAt ?? record.createdAt;
+        const time = typeof value === 'string' ? Date.parse(value) : value;
+        return Number.isFinite(time) ? time : 0;
+    }
+
+    /**
+     * Restore chrome.storage.local items
+     * @param {Object} items - Items from the backup
+     * @param {string} mode - One of BackupManager.MODES
+     * @returns {Promise<number>} - Number of items written
+     */
+    static async writeStorage(items, mode) {
+        const current = await chrome.storage.local.get(null) || {};
+        const replace = mode === this.MODES.REPLACE;
+
+        // Settings made in this browser win over the backup when merging
+        const restore = replace
+            ? items
+            : Object.fromEntries(Object.entries(items).filter(([key]) => !(key in current)));
+
+        if (Object.keys(restore).length > 0) {
+            await chrome.storage.local.set(restore);
+        }
+
+        // Items the backup doesn't have are only removed once its items are written,
+        // so a failed write never leaves the extension without settings
+        if (replace) {
+            const stale = Object.keys(current).filter(key => !(key in items));
+            if (stale.length > 0) {
+                await chrome.storage.local.remove(stale);
+            }
+        }
+
+        return Object.keys(restore).length;
+    }
+
+    /**
+     * Replace the Blobs in a record with references to image files
+     * @param {any} value - Record or part of it
+     * @param {Array<Object>} images - Collected image files
+     * @param {string} storeName - Store the record is from
+     * @returns {any} - JSON-serializable value
+     */
+    static packValue(value, images, storeName) {
+        if (value instanceof Blob) {
+            const extension = this.IMAGE_EXTENSIONS[value.type] || 'bin';
+            const name = `images/${storeName}/${images.length + 1}.${extension}`;
+            images.push({ name: name, data: value });
+            return { $blob: name, type: value.type };
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.packValue(item, images, storeName));
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value)
+                .map(([key, item]) => [key, this.packValue(item, images, storeName)]));
+        }
+        return value;
+    }
+
+    /**
+     * Put the referenced images back into a record
+     * @param {any} value - Record or part of it, as read from the backup
+     * @param {Map<string, Blob>} entries - Archive entries
+     * @returns {Promise<any>} - Record with Blobs
+     */
+    static async unpackValue(value, entries) {
+        if (Array.isArray(value)) {
+            return Promise.all(value.map(item => this.unpackValue(item, entries)));
+        }
+        if (value && typeof value === 'object') {
+            if (typeof value.$blob === 'string') {
+                const data = entries.get(value.$blob);
+                if (!data) {
+                    throw new Error(`The backup is missing the image ${value.$blob}`);
+                }
+                return new Blob([data], { type: value.type || '' });
+            }
+
+            const unpacked = await Promise.all(Object.entries(value)
+                .map(async ([key, item]) => [key, await this.unpackValue(item, entries)]));
+            return Object.fromEntries(unpacked);
+        }
+        return value;
+    }
+
+    /**
+     * Parse a JSON file of the archive
+     * @param {Map<string, Blob>} entries - Archive entries
+     * @param {string} name - File name
+     * @returns {Promise<any>} - Parsed contents
+     */
+    static async readJson(entries, name) {
+        const data = typeof name === 'string' ? entries.get(name) : null;
+        if (!data) {
+            throw new Error(`The backup is missing ${name || 'a file'}`);
+        }
+
+        try {
+            return JSON.parse(await data.text());
+        } catch (error) {
+            throw new Error(`The backup file ${name} is damaged`);
+        }
+    }
+
+    /**
+     * Build the file name of a backup
+     * @param {Date} date - Time of the backup
+     * @returns {string} - File name
+     */
+    static getFilename(date = new Date()) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `declutter-backup-${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}.zip`;
+    }
+}
+
+export default BackupManager;
@@ -0,0 +1,134 @@
+/**
+ * Capture Freeze Page Script
+ * Runs in the page's own JavaScript context (content scripts cannot reach page
+ * libraries) and pauses common carousel libraries while a capture is running.
+ * The background script loads it into the page before the capture starts, so
+ * the page's Content Security Policy does not apply; page-capture.js talks to
+ * it through CustomEvents on the document.
+ */
+
+(function () {
+    // Only install the listeners once per page
+    if (window.__gfpCaptureFreezeInstalled) {
+        return;
+    }
+    window.__gfpCaptureFreezeInstalled = true;
+
+    const FREEZE_EVENT = 'gfp-capture-freeze';
+    const UNFREEZE_EVENT = 'gfp-capture-unfreeze';
+
+    // Functions that resume whatever was paused by the last freeze
+    let resumeCallbacks = [];
+
+    /**
+     * Run a library specific action without letting one broken carousel stop the others
+     * @param {Function} action - Action to run
+     */
+    function safely(action) {
+        try {
+            action();
+        } catch (error) {
+            console.warn('Capture freeze: carousel action failed', error);
+        }
+    }
+
+    /**
+     * Pause Swiper instances (attached to their container as element.swiper)
+     */
+    function pauseSwiper() {
+        document.querySelectorAll('.swiper, .swiper-container').forEach(element => {
+            const swiper = element.swiper;
+            if (swiper && swiper.autoplay && swiper.autoplay.running) {
+                swiper.autoplay.stop();
+                resumeCallbacks.push(() => swiper.autoplay.start());
+            }
+        });
+    }
+
+    /**
+     * Pause Slick and Owl Carousel instances (jQuery plugins)
+     */
+    function pauseJQueryCarousels() {
+        const $ = window.jQuery;
+        if (!$) return;
+
+        $('.slick-initialized').each(function () {
+            const $element = $(this);
+            safely(() => {
+                $element.slick('slickPause');
+                resumeCallbacks.push(() => $element.slick('slickPlay'));
+            });
+        });
+
+        $('.owl-carousel.owl-loaded').each(function () {
+            const $element = $(this);
+            safely(() => {
+                $element.trigger('stop.owl.autoplay');
+                resumeCallbacks.push(() => $element.trigger('play.owl.autoplay'));
+            });
+        });
+    }
+
+    /**
+     * Pause Bootstrap carousels (Bootstrap 5 API, with the Bootstrap 4 jQuery plugin as fallback)
+     */
+    function pauseBootstrap() {
+        document.querySelectorAll('.carousel').forEach(element => {
+            const Carousel = window.bootstrap && window.bootstrap.Carousel;
+            if (Carousel && Carousel.getInstance) {
+                const carousel = Carousel.getInstance(element);
+                if (carousel) {
+                    carousel.pause();
+                    resumeCallbacks.push(() => carousel.cycle());
+                }
+                return;
+            }
+
+            const $ = window.jQuery;
+            if ($ && $.fn && $.fn.carousel) {
+                $(element).carousel('pause');
+                resumeCallbacks.push(() => $(element).carousel('cycle'));
+            }
+        });
+    }
+
+    /**
+     * Pause Flickity players
+     */
+    function pauseFlickity() {
+        const Flickity = window.Flickity;
+        if (!Flickity || !Flickity.data) return;
+
+        document.querySelectorAll('.flickity-enabled').forEach(element => {
+            const flickity = Flickity.data(element);
+            if (flickity && flickity.player && flickity.player.state === 'playing') {
+                flickity.stopPlayer();
+                resumeCallbacks.push(() => flickity.playPlayer());
+            }
+        });
+    }
+
+    /**
+     * Pause Splide instances that expose their autoplay component
+     */
+    function pauseSplide() {
+        document.querySelectorAll('.splide.is-initialized').forEach(element => {
+            const splide = element.splide;
+            const autoplay = splide && splide.Components && splide.Components.Autoplay;
+            if (autoplay && !autoplay.isPaused()) {
+                autoplay.pause();
+                resumeCallbacks.push(() => autoplay.play());
+            }
+        });
+    }
+
+    document.addEventListener(FREEZE_EVENT, () => {
+        resumeCallbacks = [];
+        [pauseSwiper, pauseJQueryCarousels, pauseBootstrap, pauseFlickity, pauseSplide].forEach(safely);
+    });
+
+    document.addEventListener(UNFREEZE_EVENT, () => {
+        resumeCallbacks.forEach(safely);
+        resumeCallbacks = [];
+    });
+})();
@@ -0,0 +1,269 @@
+/**
+ * Capture Job Store Module
+ * Persists capture jobs and their captured tiles in IndexedDB so a capture
+ * survives the background service worker being suspended mid-capture
+ */
+
+import StorageDatabase from './storage-database.js';
+
+class CaptureJobStore {
+    // Job lifecycle states
+    static STATUS = {
+        IN_PROGRESS: 'in_progress',
+        COMPLETED: 'completed',
+        FAILED: 'failed',
+        CANCELLED: 'cancelled'
+    };
+
+    // A running job that has not been updated for this long is considered dead
+    static STALE_JOB_TIMEOUT = 30 * 1000; // 30 seconds
+
+    // Finished jobs are kept around briefly so the extension page can still read them
+    static FINISHED_JOB_RETENTION = 10 * 60 * 1000; // 10 minutes
+
+    // Interrupted jobs keep their tiles until the user gets back to resume them
+    static RESUMABLE_JOB_RETENTION = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+    constructor() {
+        // Stores of the shared storage database
+        this.JOB_STORE = 'captureJobs';
+        this.TILE_STORE = 'captureTiles';
+    }
+
+    /**
+     * Open the database connection (shared by the whole context)
+     * @returns {Promise<IDBDatabase>} - Open database
+     */
+    async init() {
+        return StorageDatabase.open();
+    }
+
+    /**
+     * Run a callback inside a transaction and resolve once it commits
+     * @param {Array<string>} storeNames - Object stores used by the transaction
+     * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+     * @param {Function} callback - Receives the transaction, returns a value or request
+     * @returns {Promise<any>} - Result of the callback (request results are unwrapped)
+     */
+    async _transaction(storeNames, mode, callback) {
+        return StorageDatabase.transaction(storeNames, mode, callback);
+    }
+
+    /**
+     * Create and persist a new capture job
+     * @param {Object} details - Job details (tabId, returnTabId, sourceUrl, captureParams)
+     * @returns {Promise<Object>} - Stored job record
+     */
+    async createJob(details) {
+        const now = Date.now();
+        const job = {
+            id: `job_${now}_${Math.random().toString(36).slice(2, 8)}`,
+            tabId: details.tabId,
+            returnTabId: details.returnTabId || null,
+            sourceUrl: details.sourceUrl || '',
+            captureParams: details.captureParams || {},
+            status: CaptureJobStore.STATUS.IN_PROGRESS,
+            progress: 0,
+            tileCount: 0,
+            error: null,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        await this._transaction([this.JOB_STORE], 'readwrite', (transaction) => {
+            transaction.objectStore(this.JOB_STORE).put(job);
+        });
+
+        return job;
+    }
+
+    /**
+     * Get a job by ID
+     * @param {string} jobId - Job ID
+     * @returns {Promise<Object|null>} - Job record or null
+     */
+    async getJob(jobId) {
+        if (!jobId) return null;
+
+        const job = await this._transaction([this.JOB_STORE], 'readonly', (transaction) => {
+            return transaction.objectStore(this.JOB_STORE).get(jobId);
+        });
+
+        return job || null;
+    }
+
+    /**
+     * Get the most recently updated job that is still marked as running
+     * @returns {Promise<Object|null>} - Running job or null
+     */
+    async getActiveJob() {
+        const jobs = await this._transaction([this.JOB_STORE], 'readonly', (transaction) => {
+            return transaction.objectStore(this.JOB_STORE)
+                .index('status')
+                .getAll(CaptureJobStore.STATUS.IN_PROGRESS);
+        });
+
+        if (!jobs || jobs.length === 0) return null;
+
+        return jobs.sort((a, b) => b.updatedAt - a.updatedAt)[0];
+    }
+
+    /**
+     * Get the most recently updated job regardless of its status
+     * @returns {Promise<Object|null>} - Latest job or null
+     */
+    async getLatestJob() {
+        const jobs = await this._transaction([this.JOB_STORE], 'readonly', (transaction) => {
+            return transaction.objectStore(this.JOB_STORE).getAll();
+        });
+
+        if (!jobs || jobs.length === 0) return null;
+
+        return jobs.sort((a, b) => b.updatedAt - a.updatedAt)[0];
+    }
+
+    /**
+     * Merge changes into a stored job
+     * @param {string} jobId - Job ID
+     * @param {Object} changes - Fields to update
+     * @returns {Promise<Object|null>} - Updated job or null if it no longer exists
+     */
+    async updateJob(jobId, changes) {
+        let updatedJob = null;
+
+        await this._transaction([this.JOB_STORE], 'readwrite', (transaction) => {
+            const store = transaction.objectStore(this.JOB_STORE);
+            const request = store.get(jobId);
+
+            request.onsuccess = () => {
+                if (!request.result) return;
+
+                updatedJob = { ...request.result, ...changes, updatedAt: Date.now() };
+                store.put(updatedJob);
+            };
+        });
+
+        return updatedJob;
+    }
+
+    /**
+     * Store a captured tile for a job
+     * @param {string} jobId - Job ID
+     * @param {Object} tile - Tile data (image Blob plus position information)
+     * @returns {Promise<number>} - Number of tiles stored for the job
+     */
+    async addTile(jobId, tile) {
+        let tileCount = 0;
+
+        await this._transaction([this.TILE_STORE], 'readwrite', (transaction) => {
+            const store = transaction.objectStore(this.TILE_STORE);
+            store.add({ ...tile, jobId: jobId, capturedAt: Date.now() });
+
+            const countRequest = store.index('jobId').count(jobId);
+            countRequest.onsuccess = () => {
+                tileCount = countRequest.result;
+            };
+        });
+
+        return tileCount;
+    }
+
+    /**
+     * Get all tiles for a job in capture order
+     * @param {string} jobId - Job ID
+     * @returns {Promise<Array>} - Stored tiles
+     */
+    async getTiles(jobId) {
+        const tiles = await this._transaction([this.TILE_STORE], 'readonly', (transaction) => {
+            return transaction.objectStore(this.TILE_STORE).index('jobId').getAll(jobId);
+        });
+
+        return (tiles || []).sort((a, b) => a.id - b.id);
+    }
+
+    /**
+     * Delete a job together with all of its tiles
+     * @param {string} jobId - Job ID
+     */
+    async deleteJob(jobId) {
+        await this._transaction([this.JOB_STORE, this.TILE_STORE], 'readwrite', (transaction) => {
+            transaction.objectStore(this.JOB_STORE).delete(jobId);
+            this._deleteTilesInTransaction(transaction, jobId);
+        });
+    }
+
+    /**
+     * Delete the tiles of a job but keep the job itself
+     * @param {string} jobId - Job ID
+     */
+    async clearTiles(jobId) {
+        await this._transaction([this.TILE_STORE], 'readwrite', (transaction) => {
+            this._deleteTilesInTransaction(transaction, jobId);
+        });
+    }
+
+    /**
+     * Queue deletion of every tile of a job inside an open transaction
+     * @param {IDBTransaction} transaction - Transaction including the tile store
+     * @param {string} jobId - Job ID
+     */
+    _deleteTilesInTransaction(transaction, jobId) {
+        const tileStore = transaction.objectStore(this.TILE_STORE);
+        const cursorRequest = tileStore.index('jobId').openKeyCursor(IDBKeyRange.only(jobId));
+        cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (cursor) {
+                tileStore.delete(cursor.primaryKey);
+                cursor.continue();
+            }
+        };
+    }
+
+    /**
+     * Check whether a running job has stopped receiving updates
+     * @param {Object} job - Job record
+     * @returns {boolean} - Whether the job should be treated as dead
+     */
+    isJobStale(job) {
+        return !job || (Date.now() - job.updatedAt) > CaptureJobStore.STALE_JOB_TIMEOUT;
+    }
+
+    /**
+     * Check whether a job stopped with tiles that can still be completed
+     * @param {Object} job - Job record
+     * @returns {boolean} - Whether the job can be resumed
+     */
+    isJobResumable(job) {
+        return !!job && job.status === CaptureJobStore.STATUS.FAILED && !!job.resumable && !!job.resume;
+    }
+
+    /**
+     * Remove finished jobs that are older than the retention window. Jobs that
+     * can be resumed are kept much longer.
+     * @returns {Promise<number>} - Number of jobs removed
+     */
+    async pruneFinishedJobs() {
+        const jobs = await this._transaction([this.JOB_STORE], 'readonly', (transaction) => {
+            return transaction.objectStore(this.JOB_STORE).getAll();
+        });
+
+        const now = Date.now();
+        const expiredJobs = (jobs || []).filter(job => {
+            if (job.status === CaptureJobStore.STATUS.IN_PROGRESS) {
+                return false;
+            }
+            const retention = this.isJobResumable(job)
+                ? CaptureJobStore.RESUMABLE_JOB_RETENTION
+                : CaptureJobStore.FINISHED_JOB_RETENTION;
+            return job.updatedAt < now - retention;
+        });
+
+        for (const job of expiredJobs) {
+            await this.deleteJob(job.id);
+        }
+
+        return expiredJobs.length;
+    }
+}
+
+export default CaptureJobStore;
@@ -0,0 +1,202 @@
+/**
+ * Clipboard Exporter Module
+ * Copies screenshots to the clipboard as an image, a cropped area,
+ * a Markdown link or an HTML snippet with an embedded thumbnail
+ */
+
+import ImageProcessor from './image-processor.js';
+import HtmlUtils from './html-utils.js';
+
+class ClipboardExporter {
+    // Chat apps and editors struggle with bigger images, larger ones are scaled down
+    static MAX_PIXELS = 20 * 1000 * 1000;
+
+    // Scaling narrower than this leaves the text unreadable, so we refuse instead
+    static MIN_WIDTH = 480;
+
+    static THUMBNAIL_SIZE = 400;
+
+    /**
+     * Copy an image, scaled down when it exceeds the clipboard size limit.
+     * Only PNG can be written to the clipboard, other formats are converted.
+     * @param {Blob|Promise<Blob>} source - Image to copy, may still be loading
+     * @returns {Promise<Object>} - Copied width and height and whether the image was scaled
+     */
+    static async copyImage(source) {
+        let target = null;
+        const png = (async () => {
+            const blob = await source;
+            const size = await this.getImageSize(blob);
+            target = this.fitToClipboard(size.width, size.height);
+            return ImageProcessor.encodeImage(blob, {
+                format: 'png',
+                maxWidth: target.scaled ? target.width : 0
+            });
+        })();
+
+        await this.write({ 'image/png': png }, png);
+        return target;
+    }
+
+    /**
+     * Copy part of an image
+     * @param {Blob|Promise<Blob>} source - Full image, may still be loading
+     * @param {Object} rect - Area to copy in image pixels (x, y, width, height)
+     * @returns {Promise<Object>} - Copied width and height and whether the area was scaled
+     */
+    static async copyArea(source, rect) {
+        const x = Math.max(0, Math.round(rect.x));
+        const y = Math.max(0, Math.round(rect.y));
+        const width = Math.max(1, Math.round(rect.width));
+        const height = Math.max(1, Math.round(rect.height));
+        const target = this.fitToClipboard(width, height);
+
+        const png = (async () => {
+            const image = await createImageBitmap(await source, x, y, width, height);
+            try {
+                const canvas = new OffscreenCanvas(target.width, target.height);
+                const ctx = canvas.getContext('2d');
+                ctx.imageSmoothingQuality = 'high';
+                ctx.drawImage(image, 0, 0, target.width, target.height);
+                return await canvas.convertToBlob({ type: 'image/png' });
+            } finally {
+                image.close();
+            }
+        })();
+
+        await this.write({ 'image/png': png }, png);
+        return target;
+    }
+
+    /**
+     * Copy a Markdown link to the captured page
+     * @param {Object} tabInfo - Source tab (title, url)
+     * @returns {Promise<string>} - Copied Markdown
+     */
+    static async copyMarkdown(tabInfo) {
+        const markdown = this.buildMarkdown(tabInfo);
+        await navigator.clipboard.writeText(markdown);
+        return markdown;
+    }
+
+    /**
+     * Copy an HTML snippet with a linked thumbnail and title, plus a plain text fallback
+     * @param {Blob|Promise<Blob>} source - Full image, may still be loading
+     * @param {Object} tabInfo - Source tab (title, url)
+     */
+    static async copyHtml(source, tabInfo) {
+        const html = (async () => {
+            const thumbnail = await ImageProcessor.generateThumbnail(await source, this.THUMBNAIL_SIZE);
+            return new Blob([this.buildHtml(await this.blobToDataUrl(thumbnail), tabInfo)], { type: 'text/html' });
+        })();
+
+        await this.write({
+            'text/html': html,
+            'text/plain': new Blob([this.buildMarkdown(tabInfo)], { type: 'text/plain' })
+        }, html);
+    }
+
+    /**
+     * Write to the clipboard. The write has to start before anything is awaited or the
+     * user gesture is lost; ClipboardItem accepts promises, so the data is made while it runs.
+     * @param {Object} data - Blobs or promises of Blobs keyed by MIME type
+     * @param {Promise} pending - Work producing the data
+     */
+    static async write(data, pending) {
+        try {
+            await navigator.clipboard.write([new ClipboardItem(data)]);
+        } catch (error) {
+            // Report why the data could not be made (e.g. too large) rather than the failed write
+            await pending;
+            throw error;
+        }
+    }
+
+    /**
+     * Work out the size an image is copied at
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @returns {Object} - Target width and height and whether it was scaled
+     */
+    static fitToClipboard(width, height) {
+        if (width * height <= this.MAX_PIXELS) {
+            return { width, height, scaled: false };
+        }
+
+        const scale = Math.sqrt(this.MAX_PIXELS / (width * height));
+        const target = {
+            width: Math.floor(width * scale),
+            height: Math.floor(height * scale),
+            scaled: true
+        };
+
+        if (target.width < Math.min(width, this.MIN_WIDTH)) {
+            const error = new Error(`The image is too large for the clipboard (${width}x${height}px)`);
+            error.tooLarge = true;
+            throw error;
+        }
+
+        return target;
+    }
+
+    /**
+     * Read the pixel size of an image
+     * @param {Blob} blob - Image
+     * @returns {Promise<Object>} - Width and height
+     */
+    static async getImageSize(blob) {
+        const image = await createImageBitmap(blob);
+        const size = { width: image.width, height: image.height };
+        image.close();
+        return size;
+    }
+
+    /**
+     * Build a Markdown link for a tab
+     * @param {Object} tabInfo - Source tab (title, url)
+     * @returns {string} - Markdown link (or just the title without URL)
+     */
+    static buildMarkdown(tabInfo = {}) {
+        const title = (tabInfo.title || 'Screenshot').replace(/([\[\]\\])/g, '\\$1');
+        if (!tabInfo.url) {
+            return title;
+        }
+        // Parentheses would end the link target early
+        const url = tabInfo.url.replace(/\(/g, '%28').replace(/\)/g, '%29');
+        return `[${title}](${url})`;
+    }
+
+    /**
+     * Build the HTML snippet
+     * @param {string} thumbnailUrl - Thumbnail as data URL
+     * @param {Object} tabInfo - Source tab (title, url)
+     * @returns {string} - HTML
+     */
+    static buildHtml(thumbnailUrl, tabInfo = {}) {
+        const title = HtmlUtils.escape(tabInfo.title || 'Screenshot');
+        const image = `<img src="${thumbnailUrl}" alt="${title}" style="max-width:${this.THUMBNAIL_SIZE}px;border:1px solid #ddd">`;
+
+        if (!tabInfo.url) {
+            return `${image}<br>${title}`;
+        }
+
+        const url = HtmlUtils.escape(tabInfo.url);
+        return `<a href="${url}">${image}</a><br><a href="${url}">${title}</a>`;
+    }
+
+    /**
+     * Read a blob as data URL
+     * @param {Blob} blob - Blob to read
+     * @returns {Promise<string>} - Data URL
+     */
+    static blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+}
+
+export default ClipboardExporter;
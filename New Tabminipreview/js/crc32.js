@@ -0,0 +1,53 @@
+/**
+ * CRC32 Module
+ * CRC-32 checksum (IEEE polynomial) as used by PNG chunks and ZIP entries
+ */
+
+class Crc32 {
+    // Lookup table, built on first use
+    static table = null;
+
+    /**
+     * Build the lookup table for the reversed polynomial 0xEDB88320
+     * @returns {Uint32Array} - Lookup table
+     */
+    static getTable() {
+        if (!this.table) {
+            this.table = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.table[n] = c >>> 0;
+            }
+        }
+        return this.table;
+    }
+
+    /**
+     * Update a running checksum with more data
+     * @param {number} crc - Checksum so far (0 to start)
+     * @param {Uint8Array} bytes - Data to add
+     * @returns {number} - Updated checksum
+     */
+    static update(crc, bytes) {
+        const table = this.getTable();
+        let c = (crc ^ 0xFFFFFFFF) >>> 0;
+        for (let i = 0; i < bytes.length; i++) {
+            c = table[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+        }
+        return (c ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Compute the checksum of one or more byte arrays
+     * @param {...Uint8Array} parts - Data, checksummed as if concatenated
+     * @returns {number} - Unsigned 32-bit checksum
+     */
+    static compute(...parts) {
+        return parts.reduce((crc, bytes) => this.update(crc, bytes), 0);
+    }
+}
+
+export default Crc32;
@@ -0,0 +1,146 @@
+/**
+ * Debugger Capture Engine Module
+ * Captures a full page through the Chrome DevTools protocol
+ * (Page.captureScreenshot with captureBeyondViewport) instead of scrolling
+ */
+
+class DebuggerCaptureEngine {
+    static PROTOCOL_VERSION = '1.3';
+    static MAX_SEGMENT_HEIGHT = 8000; // Height of each captured segment
+    static MAX_CAPTURE_WIDTH = 16384; // Widest image we ask Chrome to render
+    static DEFAULT_MAX_CAPTURE_HEIGHT = 30000; // Same cap as the scroll engine
+
+    /**
+     * Check whether the debugger API can be used (it is an optional permission)
+     * @returns {Promise<boolean>} - Whether the engine is available
+     */
+    static async isAvailable() {
+        try {
+            if (!chrome.permissions) {
+                return false;
+            }
+
+            const granted = await chrome.permissions.contains({ permissions: ['debugger'] });
+            return granted && !!chrome.debugger;
+        } catch (error) {
+            console.warn('Could not check debugger permission:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Capture the full page of a tab in one or more segments
+     * @param {number} tabId - ID of the tab to capture
+     * @param {Object} options - Capture options
+     * @param {number} options.maxCaptureHeight - Maximum height to capture
+     * @param {Function} options.onAttached - Called once the debugger is attached
+     * @param {Function} options.onSegment - Async callback receiving each captured tile
+     * @param {Function} options.isCancelled - Returns true when the capture should stop
+     * @returns {Promise<Object>} - Captured width, height, full height and truncation flag
+     */
+    static async capture(tabId, options = {}) {
+        const target = { tabId: tabId };
+        const maxCaptureHeight = options.maxCaptureHeight || this.DEFAULT_MAX_CAPTURE_HEIGHT;
+
+        await chrome.debugger.attach(target, this.PROTOCOL_VERSION);
+
+        try {
+            if (options.onAttached) {
+                options.onAttached();
+            }
+
+            await this.sendCommand(target, 'Page.enable');
+
+            // Prefer CSS pixel sizes when Chrome reports them
+            const metrics = await this.sendCommand(target, 'Page.getLayoutMetrics');
+            const contentSize = metrics.cssContentSize || metrics.contentSize;
+            if (!contentSize || !contentSize.width || !contentSize.height) {
+                throw new Error('Could not determine page dimensions');
+            }
+
+            const width = Math.min(Math.ceil(contentSize.width), this.MAX_CAPTURE_WIDTH);
+            const fullHeight = Math.ceil(contentSize.height);
+            const height = Math.min(fullHeight, maxCaptureHeight);
+
+            // Capture in segments so no single image exceeds canvas limits
+            for (let y = 0; y < height; y += this.MAX_SEGMENT_HEIGHT) {
+                if (options.isCancelled && options.isCancelled()) {
+                    throw new Error('Capture cancelled');
+                }
+
+                const segmentHeight = Math.min(this.MAX_SEGMENT_HEIGHT, height - y);
+                const result = await this.sendCommand(target, 'Page.captureScreenshot', {
+                    format: 'png',
+                    fromSurface: true,
+                    captureBeyondViewport: true,
+                    clip: { x: 0, y: y, width: width, height: segmentHeight, scale: 1 }
+                });
+
+                if (!result || !result.data) {
+                    throw new Error('DevTools protocol returned an empty screenshot');
+                }
+
+                if (options.onSegment) {
+                    await options.onSegment({
+                        blob: this.base64ToBlob(result.data, 'image/png'),
+                        x: 0,
+                        y: y,
+                        requestedX: 0,
+                        requestedY: y,
+                        scrollPositionError: false
+                    }, Math.round(((y + segmentHeight) / height) * 100));
+                }
+            }
+
+            return {
+                width: width,
+                height: height,
+                fullHeight: fullHeight,
+                truncated: fullHeight > height
+            };
+        } finally {
+            try {
+                await chrome.debugger.detach(target);
+            } catch (detachError) {
+                // Already detached (e.g. the user dismissed the debugging banner)
+                console.warn('Error detaching debugger:', detachError);
+            }
+        }
+    }
+
+    /**
+     * Send a DevTools protocol command
+     * @param {Object} target - Debuggee target
+     * @param {string} method - Protocol method name
+     * @param {Object} params - Command parameters
+     * @returns {Promise<Object>} - Command result
+     */
+    static sendCommand(target, method, params = {}) {
+        return new Promise((resolve, reject) => {
+            chrome.debugger.sendCommand(target, method, params, (result) => {
+                if (chrome.runtime.lastError) {
+                    reject(new Error(chrome.runtime.lastError.message));
+                } else {
+                    resolve(result);
+                }
+            });
+        });
+    }
+
+    /**
+     * Convert base64 image data to a Blob
+     * @param {string} base64 - Base64 encoded data
+     * @param {string} type - MIME type
+     * @returns {Blob} - Resulting blob
+     */
+    static base64ToBlob(base64, type) {
+        const binaryString = atob(base64);
+        const bytes = new Uint8Array(binaryString.length);
+        for (let i = 0; i < binaryString.length; i++) {
+            bytes[i] = binaryString.charCodeAt(i);
+        }
+        return new Blob([bytes], { type: type });
+    }
+}
+
+export default DebuggerCaptureEngine;
@@ -0,0 +1,190 @@
+/**
+ * Download Manager Module
+ * Saves exported files through the chrome.downloads API, naming them
+ * from a user defined template that may contain subfolders
+ */
+
+class DownloadManager {
+    // Same name the extension has always used: Title-screenshot-2024-01-31.png
+    static DEFAULT_TEMPLATE = '{title}-screenshot-{date}.{ext}';
+
+    // Placeholders that can be used in a filename template
+    static TOKENS = ['title', 'domain', 'date', 'time', 'year', 'month', 'day', 'ext'];
+
+    // Longest name Chrome and common file systems accept for a single path segment
+    static MAX_SEGMENT_LENGTH = 120;
+
+    /**
+     * Build a relative download path from a filename template
+     * @param {string} template - Template such as '{domain}/{date}/{title}.{ext}'
+     * @param {Object} details - Values for the template
+     * @param {string} details.title - Page title
+     * @param {string} details.url - Page URL
+     * @param {Date|number} details.date - Capture time
+     * @param {string} details.extension - File extension without the dot
+     * @returns {string} - Relative path below the downloads folder
+     */
+    static buildFilename(template, details = {}) {
+        const date = new Date(details.date || Date.now());
+        const pad = (value) => String(value).padStart(2, '0');
+        const values = {
+            title: details.title || 'screenshot',
+            domain: this.getDomain(details.url) || 'unknown-site',
+            date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+            time: `${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`,
+            year: String(date.getFullYear()),
+            month: pad(date.getMonth() + 1),
+            day: pad(date.getDate()),
+            ext: details.extension || 'png'
+        };
+
+        // Placeholder values never add folders of their own, only the template's '/' does
+        const filled = (template || this.DEFAULT_TEMPLATE).replace(/\{(\w+)\}/g, (match, token) =>
+            token in values ? this.sanitizeSegment(values[token]) : match
+        );
+
+        const segments = filled
+            .split(/[\\/]+/)
+            .map(segment => this.sanitizeSegment(segment))
+            .filter(segment => segment && segment !== '.' && segment !== '..');
+
+        let filename = segments.pop() || 'screenshot';
+        if (!filename.toLowerCase().endsWith(`.${values.ext}`)) {
+            filename = `${filename}.${values.ext}`;
+        }
+
+        return [...segments, filename].join('/');
+    }
+
+    /**
+     * Check a template for placeholders the manager does not know
+     * @param {string} template - Filename template
+     * @returns {Array<string>} - Unknown placeholder names
+     */
+    static getUnknownTokens(template) {
+        const tokens = (String(template || '').match(/\{(\w+)\}/g) || []).map(token => token.slice(1, -1));
+        return tokens.filter(token => !this.TOKENS.includes(token));
+    }
+
+    /**
+     * Make a string safe to use as a single file or folder name
+     * @param {string} value - Raw value
+     * @returns {string} - Sanitized name
+     */
+    static sanitizeSegment(value) {
+        return String(value)
+            .replace(/[\\/:*?"<>|\u0000-\u001F\u007F]/g, '_') // Remove invalid filename chars
+            .replace(/\s+/g, '_') // Replace spaces with underscores
+            .replace(/^[.\s]+|[.\s]+$/g, '') // Leading dots hide files, trailing dots are invalid on Windows
+            .substring(0, this.MAX_SEGMENT_LENGTH);
+    }
+
+    /**
+     * Get the host name of a URL without a leading www.
+     * @param {string} url - Page URL
+     * @returns {string} - Host name or an empty string
+     */
+    static getDomain(url) {
+        try {
+            return new URL(url).hostname.replace(/^www\./, '');
+        } catch (error) {
+            return '';
+        }
+    }
+
+    /**
+     * Save a blob and wait until Chrome has finished writing it
+     * @param {Blob} blob - File contents
+     * @param {string} filename - Relative path below the downloads folder
+     * @param {Object} options - Download options
+     * @param {string} options.conflictAction - 'uniquify', 'overwrite' or 'prompt'
+     * @param {boolean} options.saveAs - Whether to show the Save As dialog
+     * @returns {Promise<Object>} - Download id and the path the file was saved to
+     */
+    static async download(blob, filename, options = {}) {
+        if (!chrome.downloads) {
+            throw new Error('The downloads API is not available');
+        }
+
+        const url = URL.createObjectURL(blob);
+        try {
+            const downloadId = await chrome.downloads.download({
+                url: url,
+                filename: filename,
+                conflictAction: options.conflictAction || 'uniquify',
+                saveAs: !!options.saveAs
+            });
+
+            if (downloadId === undefined) {
+                throw new Error(chrome.runtime.lastError ? chrome.runtime.lastError.message : 'Download was not started');
+            }
+
+            return await this.waitForDownload(downloadId);
+        } finally {
+            // Chrome has read the blob once the download has finished or failed
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    /**
+     * Wait for a download to complete or be interrupted
+     * @param {number} downloadId - Download ID
+     * @returns {Promise<Object>} - Download id and final path
+     */
+    static waitForDownload(downloadId) {
+        return new Promise((resolve, reject) => {
+            let settled = false;
+            const finish = (item) => {
+                if (settled) return;
+                settled = true;
+                chrome.downloads.onChanged.removeListener(listener);
+                if (item.state === 'complete') {
+                    resolve({ id: downloadId, filename: item.filename });
+                } else {
+                    const error = new Error(this.describeError(item.error));
+                    error.reason = item.error;
+                    error.cancelled = item.error === 'USER_CANCELED';
+                    reject(error);
+                }
+            };
+
+            const listener = (delta) => {
+                if (delta.id !== downloadId || !delta.state) return;
+                if (delta.state.current === 'complete' || delta.state.current === 'interrupted') {
+                    chrome.downloads.search({ id: downloadId }).then(([item]) => {
+                        finish(item || { state: delta.state.current, error: delta.error && delta.error.current });
+                    });
+                }
+            };
+
+            chrome.downloads.onChanged.addListener(listener);
+
+            // Small files can finish before the listener was added
+            chrome.downloads.search({ id: downloadId }).then(([item]) => {
+                if (item && item.state !== 'in_progress') {
+                    finish(item);
+                }
+            });
+        });
+    }
+
+    /**
+     * Turn a download interrupt reason into a readable message
+     * @param {string} reason - chrome.downloads.InterruptReason
+     * @returns {string} - Message
+     */
+    static describeError(reason) {
+        const messages = {
+            USER_CANCELED: 'The download was cancelled',
+            FILE_ACCESS_DENIED: 'Chrome is not allowed to write to the downloads folder',
+            FILE_NO_SPACE: 'There is not enough disk space',
+            FILE_NAME_TOO_LONG: 'The file name is too long',
+            FILE_TOO_LARGE: 'The file is too large for the file system',
+            FILE_BLOCKED: 'The download was blocked',
+            FILE_FAILED: 'The file could not be written'
+        };
+        return messages[reason] || `The download failed (${reason || 'unknown error'})`;
+    }
+}
+
+export default DownloadManager;
@@ -0,0 +1,22 @@
+/**
+ * HTML Utilities Module
+ * Helpers for building HTML markup from untrusted text
+ */
+
+class HtmlUtils {
+    /**
+     * Escape HTML special characters, safe for text and quoted attribute values
+     * @param {string} text - Text to escape
+     * @returns {string} - Escaped text
+     */
+    static escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+}
+
+export default HtmlUtils;
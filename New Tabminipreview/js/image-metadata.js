@@ -0,0 +1,567 @@
+/**
+ * Image Metadata Module
+ * Writes the source of a screenshot into the image file itself and reads it back.
+ * PNG files get tEXt/iTXt chunks, JPEG and WebP files get an XMP packet
+ * (APP1 segment and 'XMP ' chunk respectively).
+ */
+
+import Crc32 from './crc32.js';
+
+class ImageMetadata {
+    // Metadata fields with their PNG keyword and display label
+    static FIELDS = [
+        { key: 'title', keyword: 'Title', label: 'Page title' },
+        { key: 'url', keyword: 'URL', label: 'Source URL' },
+        { key: 'capturedAt', keyword: 'Creation Time', label: 'Captured' },
+        { key: 'viewport', keyword: 'Viewport', label: 'Viewport size' },
+        { key: 'software', keyword: 'Software', label: 'Captured with' }
+    ];
+
+    // Keep every value well below the 64 KB limit of a JPEG segment
+    static MAX_VALUE_LENGTH = 4000;
+
+    static XMP_JPEG_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+    static XMP_PNG_KEYWORD = 'XML:com.adobe.xmp';
+    static CAPTURE_NAMESPACE = 'urn:declutter:capture/1.0/';
+
+    static PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+
+    /**
+     * Build the metadata of a capture
+     * @param {Object} tabInfo - Source tab (title, url, capturedAt, viewport)
+     * @returns {Object} - Metadata values keyed by field
+     */
+    static fromTabInfo(tabInfo = {}) {
+        const manifest = chrome.runtime && chrome.runtime.getManifest ? chrome.runtime.getManifest() : null;
+        const viewport = tabInfo.viewport;
+
+        return {
+            title: tabInfo.title || '',
+            url: tabInfo.url || '',
+            capturedAt: new Date(tabInfo.capturedAt || Date.now()).toISOString(),
+            viewport: viewport && viewport.width ? `${viewport.width}x${viewport.height}` : '',
+            software: manifest ? `${manifest.name} ${manifest.version}` : ''
+        };
+    }
+
+    /**
+     * Write metadata into an image file
+     * @param {Blob} blob - PNG, JPEG or WebP image
+     * @param {Object} metadata - Values keyed by field (see FIELDS)
+     * @returns {Promise<Blob>} - Image with embedded metadata (unchanged for other formats)
+     */
+    static async embed(blob, metadata) {
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        const values = this.normalize(metadata);
+
+        switch (this.detectFormat(bytes)) {
+            case 'png':
+                return new Blob(this.embedPng(bytes, values), { type: 'image/png' });
+            case 'jpeg':
+                return new Blob(this.embedJpeg(bytes, values), { type: 'image/jpeg' });
+            case 'webp':
+                return new Blob(this.embedWebp(bytes, values), { type: 'image/webp' });
+            default:
+                console.warn('Cannot embed metadata, unsupported image format:', blob.type);
+                return blob;
+        }
+    }
+
+    /**
+     * Read metadata back from an image file
+     * @param {Blob} blob - Image file
+     * @returns {Promise<Object>} - {format, fields: {key: value}, other: {keyword: value}}
+     */
+    static async read(blob) {
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        const format = this.detectFormat(bytes);
+        const result = { format: format, fields: {}, other: {} };
+
+        if (format === 'png') {
+            await this.readPng(bytes, result);
+        } else if (format === 'jpeg') {
+            this.readXmp(this.findJpegXmp(bytes), result);
+        } else if (format === 'webp') {
+            const chunk = this.readWebpChunks(bytes).find(item => item.type === 'XMP ');
+            this.readXmp(chunk ? this.decodeUtf8(chunk.data) : null, result);
+        }
+
+        return result;
+    }
+
+    /**
+     * Detect the image format from its signature
+     * @param {Uint8Array} bytes - File contents
+     * @returns {string|null} - 'png', 'jpeg', 'webp' or null
+     */
+    static detectFormat(bytes) {
+        if (this.PNG_SIGNATURE.every((value, index) => bytes[index] === value)) {
+            return 'png';
+        }
+        if (bytes[0] === 0xFF && bytes[1] === 0xD8) {
+            return 'jpeg';
+        }
+        if (this.ascii(bytes, 0, 4) === 'RIFF' && this.ascii(bytes, 8, 4) === 'WEBP') {
+            return 'webp';
+        }
+        return null;
+    }
+
+    /**
+     * Drop empty values and shorten very long ones
+     * @param {Object} metadata - Values keyed by field
+     * @returns {Object} - Cleaned values
+     */
+    static normalize(metadata = {}) {
+        const values = {};
+        this.FIELDS.forEach(field => {
+            const value = metadata[field.key];
+            if (value !== undefined && value !== null && value !== '') {
+                values[field.key] = String(value).substring(0, this.MAX_VALUE_LENGTH);
+            }
+        });
+        return values;
+    }
+
+    // ---- PNG ----
+
+    /**
+     * Insert text chunks right after the IHDR chunk of a PNG
+     * @param {Uint8Array} bytes - PNG file
+     * @param {Object} values - Normalized values
+     * @returns {Array<Uint8Array>} - File parts
+     */
+    static embedPng(bytes, values) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const ihdrEnd = 8 + 12 + view.getUint32(8);
+        const parts = [bytes.subarray(0, ihdrEnd)];
+
+        let offset = ihdrEnd;
+        const chunks = [];
+        while (offset + 12 <= bytes.length) {
+            const length = view.getUint32(offset);
+            const type = this.ascii(bytes, offset + 4, 4);
+            const end = offset + 12 + length;
+
+            // Replace text chunks written by an earlier export
+            const keyword = type === 'tEXt' || type === 'iTXt'
+                ? this.ascii(bytes, offset + 8, Math.min(length, 80)).split('\0')[0]
+                : null;
+            if (!keyword || !this.FIELDS.some(field => field.keyword === keyword)) {
+                chunks.push(bytes.subarray(offset, end));
+            }
+            offset = end;
+        }
+
+        this.FIELDS.forEach(field => {
+            if (values[field.key] !== undefined) {
+                parts.push(this.createPngTextChunk(field.keyword, values[field.key]));
+            }
+        });
+
+        return parts.concat(chunks);
+    }
+
+    /**
+     * Create a tEXt chunk, or an iTXt chunk when the value is not Latin-1
+     * @param {string} keyword - PNG keyword
+     * @param {string} value - Text value
+     * @returns {Uint8Array} - Complete chunk
+     */
+    static createPngTextChunk(keyword, value) {
+        const isLatin1 = /^[\x20-\x7E\xA0-\xFF\n]*$/.test(value);
+        const data = isLatin1
+            ? this.concat([this.latin1(keyword), [0], this.latin1(value)])
+            // keyword, compression flag and method, empty language tag and translated keyword
+            : this.concat([this.latin1(keyword), [0, 0, 0, 0, 0], new TextEncoder().encode(value)]);
+
+        return this.createPngChunk(isLatin1 ? 'tEXt' : 'iTXt', data);
+    }
+
+    /**
+     * Wrap data in a PNG chunk with length and CRC
+     * @param {string} type - Four letter chunk type
+     * @param {Uint8Array} data - Chunk data
+     * @returns {Uint8Array} - Complete chunk
+     */
+    static createPngChunk(type, data) {
+        const typeBytes = this.latin1(type);
+        const chunk = new Uint8Array(12 + data.length);
+        const view = new DataView(chunk.buffer);
+
+        view.setUint32(0, data.length);
+        chunk.set(typeBytes, 4);
+        chunk.set(data, 8);
+        view.setUint32(8 + data.length, Crc32.compute(typeBytes, data));
+        return chunk;
+    }
+
+    /**
+     * Read tEXt, zTXt and iTXt chunks of a PNG
+     * @param {Uint8Array} bytes - PNG file
+     * @param {Object} result - Result to fill
+     */
+    static async readPng(bytes, result) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let offset = 8;
+
+        while (offset + 12 <= bytes.length) {
+            const length = view.getUint32(offset);
+            const type = this.ascii(bytes, offset + 4, 4);
+            const data = bytes.subarray(offset + 8, offset + 8 + length);
+            offset += 12 + length;
+
+            if (type === 'IEND') break;
+            if (type !== 'tEXt' && type !== 'zTXt' && type !== 'iTXt') continue;
+
+            try {
+                const keywordEnd = data.indexOf(0);
+                const keyword = this.ascii(data, 0, keywordEnd);
+                let text;
+
+                if (type === 'tEXt') {
+                    text = this.ascii(data, keywordEnd + 1, data.length - keywordEnd - 1);
+                } else if (type === 'zTXt') {
+                    text = this.ascii(await this.inflate(data.subarray(keywordEnd + 2)), 0);
+                } else {
+                    const compressed = data[keywordEnd + 1] === 1;
+                    const languageEnd = data.indexOf(0, keywordEnd + 3);
+                    const translatedEnd = data.indexOf(0, languageEnd + 1);
+                    const textBytes = data.subarray(translatedEnd + 1);
+                    text = this.decodeUtf8(compressed ? await this.inflate(textBytes) : textBytes);
+                }
+
+                if (keyword === this.XMP_PNG_KEYWORD) {
+                    this.readXmp(text, result);
+                } else {
+                    this.addValue(result, keyword, text);
+                }
+            } catch (error) {
+                console.warn(`Could not read PNG ${type} chunk:`, error);
+            }
+        }
+    }
+
+    // ---- JPEG ----
+
+    /**
+     * Insert an XMP APP1 segment after the JFIF/EXIF headers of a JPEG
+     * @param {Uint8Array} bytes - JPEG file
+     * @param {Object} values - Normalized values
+     * @returns {Array<Uint8Array>} - File parts
+     */
+    static embedJpeg(bytes, values) {
+        const payload = this.concat([this.latin1(this.XMP_JPEG_HEADER), new TextEncoder().encode(this.buildXmp(values))]);
+        const segment = new Uint8Array(4 + payload.length);
+        segment.set([0xFF, 0xE1, (payload.length + 2) >> 8, (payload.length + 2) & 0xFF]);
+        segment.set(payload, 4);
+
+        // Keep leading APP0/APP1 segments in front, drop an XMP packet from an earlier export
+        const parts = [bytes.subarray(0, 2)];
+        let offset = 2;
+        while (offset + 4 <= bytes.length && bytes[offset] === 0xFF &&
+            (bytes[offset + 1] === 0xE0 || bytes[offset + 1] === 0xE1)) {
+            const end = offset + 2 + ((bytes[offset + 2] << 8) | bytes[offset + 3]);
+            if (!this.isJpegXmpSegment(bytes, offset)) {
+                parts.push(bytes.subarray(offset, end));
+            }
+            offset = end;
+        }
+
+        parts.push(segment, bytes.subarray(offset));
+        return parts;
+    }
+
+    /**
+     * Check whether the segment at an offset is an XMP APP1 segment
+     * @param {Uint8Array} bytes - JPEG file
+     * @param {number} offset - Offset of the segment marker
+     * @returns {boolean} - Whether it holds XMP
+     */
+    static isJpegXmpSegment(bytes, offset) {
+        return bytes[offset + 1] === 0xE1 &&
+            this.ascii(bytes, offset + 4, this.XMP_JPEG_HEADER.length) === this.XMP_JPEG_HEADER;
+    }
+
+    /**
+     * Find the XMP packet of a JPEG
+     * @param {Uint8Array} bytes - JPEG file
+     * @returns {string|null} - XMP text
+     */
+    static findJpegXmp(bytes) {
+        let offset = 2;
+        while (offset + 4 <= bytes.length && bytes[offset] === 0xFF) {
+            const marker = bytes[offset + 1];
+            // Metadata segments all come before the image data
+            if (marker === 0xDA || marker === 0xD9) break;
+
+            const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+            if (this.isJpegXmpSegment(bytes, offset)) {
+                const start = offset + 4 + this.XMP_JPEG_HEADER.length;
+                return this.decodeUtf8(bytes.subarray(start, offset + 2 + length));
+            }
+            offset += 2 + length;
+        }
+        return null;
+    }
+
+    // ---- WebP ----
+
+    /**
+     * Add an XMP chunk to a WebP, converting simple files to the extended (VP8X) layout
+     * @param {Uint8Array} bytes - WebP file
+     * @param {Object} values - Normalized values
+     * @returns {Array<Uint8Array>} - File parts
+     */
+    static embedWebp(bytes, values) {
+        const chunks = this.readWebpChunks(bytes).filter(chunk => chunk.type !== 'XMP ');
+        const XMP_FLAG = 0x04;
+        const ALPHA_FLAG = 0x10;
+
+        let header = chunks.find(chunk => chunk.type === 'VP8X');
+        if (header) {
+            header.data = header.data.slice();
+            header.data[0] |= XMP_FLAG;
+        } else {
+            const size = this.getWebpSize(chunks);
+            const data = new Uint8Array(10);
+            data[0] = XMP_FLAG | (size.alpha ? ALPHA_FLAG : 0);
+            this.setUint24(data, 4, size.width - 1);
+            this.setUint24(data, 7, size.height - 1);
+            header = { type: 'VP8X', data: data };
+            chunks.unshift(header);
+        }
+
+        chunks.push({ type: 'XMP ', data: new TextEncoder().encode(this.buildXmp(values)) });
+
+        const body = chunks.map(chunk => this.createWebpChunk(chunk.type, chunk.data));
+        const riffSize = 4 + body.reduce((total, chunk) => total + chunk.length, 0);
+        const riffHeader = new Uint8Array(12);
+        riffHeader.set(this.latin1('RIFF'), 0);
+        new DataView(riffHeader.buffer).setUint32(4, riffSize, true);
+        riffHeader.set(this.latin1('WEBP'), 8);
+
+        return [riffHeader, ...body];
+    }
+
+    /**
+     * Split a WebP file into its chunks
+     * @param {Uint8Array} bytes - WebP file
+     * @returns {Array<Object>} - Chunks {type, data}
+     */
+    static readWebpChunks(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const chunks = [];
+        let offset = 12;
+
+        while (offset + 8 <= bytes.length) {
+            const type = this.ascii(bytes, offset, 4);
+            const size = view.getUint32(offset + 4, true);
+            chunks.push({ type: type, data: bytes.subarray(offset + 8, offset + 8 + size) });
+            // Chunks are padded to an even size
+            offset += 8 + size + (size % 2);
+        }
+        return chunks;
+    }
+
+    /**
+     * Read the canvas size of a simple (VP8 or VP8L) WebP
+     * @param {Array<Object>} chunks - WebP chunks
+     * @returns {Object} - Width, height and whether the image has alpha
+     */
+    static getWebpSize(chunks) {
+        const lossless = chunks.find(chunk => chunk.type === 'VP8L');
+        if (lossless) {
+            const data = lossless.data;
+            const bits = (data[1] | (data[2] << 8) | (data[3] << 16) | (data[4] << 24)) >>> 0;
+            return {
+                width: (bits & 0x3FFF) + 1,
+                height: ((bits >>> 14) & 0x3FFF) + 1,
+                alpha: ((bits >>> 28) & 1) === 1
+            };
+        }
+
+        const lossy = chunks.find(chunk => chunk.type === 'VP8 ');
+        if (lossy) {
+            const data = lossy.data;
+            return {
+                width: (data[6] | (data[7] << 8)) & 0x3FFF,
+                height: (data[8] | (data[9] << 8)) & 0x3FFF,
+                alpha: false
+            };
+        }
+
+        throw new Error('WebP image data not found');
+    }
+
+    /**
+     * Serialize a WebP chunk with its padding byte
+     * @param {string} type - Four letter chunk type
+     * @param {Uint8Array} data - Chunk data
+     * @returns {Uint8Array} - Complete chunk
+     */
+    static createWebpChunk(type, data) {
+        const chunk = new Uint8Array(8 + data.length + (data.length % 2));
+        chunk.set(this.latin1(type), 0);
+        new DataView(chunk.buffer).setUint32(4, data.length, true);
+        chunk.set(data, 8);
+        return chunk;
+    }
+
+    // ---- XMP ----
+
+    /**
+     * Build an XMP packet for the metadata
+     * @param {Object} values - Normalized values
+     * @returns {string} - XMP packet
+     */
+    static buildXmp(values) {
+        const escape = (text) => this.escapeXml(text);
+        const properties = [];
+
+        if (values.title) {
+            properties.push(`<dc:title><rdf:Alt><rdf:li xml:lang="x-default">${escape(values.title)}</rdf:li></rdf:Alt></dc:title>`);
+        }
+        if (values.url) properties.push(`<dc:source>${escape(values.url)}</dc:source>`);
+        if (values.capturedAt) properties.push(`<xmp:CreateDate>${escape(values.capturedAt)}</xmp:CreateDate>`);
+        if (values.software) properties.push(`<xmp:CreatorTool>${escape(values.software)}</xmp:CreatorTool>`);
+        if (values.viewport) properties.push(`<declutter:Viewport>${escape(values.viewport)}</declutter:Viewport>`);
+
+        return '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>' +
+            '<x:xmpmeta xmlns:x="adobe:ns:meta/">' +
+            '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">' +
+            '<rdf:Description rdf:about=""' +
+            ' xmlns:dc="http://purl.org/dc/elements/1.1/"' +
+            ' xmlns:xmp="http://ns.adobe.com/xap/1.0/"' +
+            ` xmlns:declutter="${this.CAPTURE_NAMESPACE}">` +
+            properties.join('') +
+            '</rdf:Description></rdf:RDF></x:xmpmeta>' +
+            '<?xpacket end="w"?>';
+    }
+
+    /**
+     * Read the fields we write from an XMP packet
+     * @param {string|null} xmp - XMP text
+     * @param {Object} result - Result to fill
+     */
+    static readXmp(xmp, result) {
+        if (!xmp) return;
+
+        const doc = new DOMParser().parseFromString(xmp.replace(/<\?xpacket[^?]*\?>/g, ''), 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            console.warn('Could not parse XMP metadata');
+            return;
+        }
+
+        const text = (namespace, name) => {
+            const element = doc.getElementsByTagNameNS(namespace, name)[0];
+            return element ? element.textContent.trim() : '';
+        };
+
+        this.addValue(result, 'Title', text('http://purl.org/dc/elements/1.1/', 'title'));
+        this.addValue(result, 'URL', text('http://purl.org/dc/elements/1.1/', 'source'));
+        this.addValue(result, 'Creation Time', text('http://ns.adobe.com/xap/1.0/', 'CreateDate'));
+        this.addValue(result, 'Software', text('http://ns.adobe.com/xap/1.0/', 'CreatorTool'));
+        this.addValue(result, 'Viewport', text(this.CAPTURE_NAMESPACE, 'Viewport'));
+    }
+
+    /**
+     * Store a value read from a file under its field, or under "other" for unknown keywords
+     * @param {Object} result - Result to fill
+     * @param {string} keyword - PNG keyword (or the equivalent for XMP values)
+     * @param {string} value - Value
+     */
+    static addValue(result, keyword, value) {
+        if (!value) return;
+
+        const field = this.FIELDS.find(item => item.keyword === keyword);
+        if (field) {
+            result.fields[field.key] = value;
+        } else {
+            result.other[keyword] = value;
+        }
+    }
+
+    // ---- Helpers ----
+
+    /**
+     * Inflate zlib compressed data
+     * @param {Uint8Array} bytes - Compressed data
+     * @returns {Promise<Uint8Array>} - Inflated data
+     */
+    static async inflate(bytes) {
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    /**
+     * Concatenate byte arrays
+     * @param {Array<Uint8Array|Array<number>>} parts - Parts to join
+     * @returns {Uint8Array} - Joined bytes
+     */
+    static concat(parts) {
+        const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+        let offset = 0;
+        parts.forEach(part => {
+            result.set(part, offset);
+            offset += part.length;
+        });
+        return result;
+    }
+
+    /**
+     * Encode a Latin-1 string as bytes
+     * @param {string} text - Text
+     * @returns {Uint8Array} - Bytes
+     */
+    static latin1(text) {
+        return Uint8Array.from(text, char => char.charCodeAt(0) & 0xFF);
+    }
+
+    /**
+     * Decode bytes as a Latin-1 string
+     * @param {Uint8Array} bytes - Bytes
+     * @param {number} start - Start offset
+     * @param {number} length - Number of bytes (defaults to the rest)
+     * @returns {string} - Text
+     */
+    static ascii(bytes, start, length = bytes.length - start) {
+        return new TextDecoder('latin1').decode(bytes.subarray(start, start + Math.max(0, length)));
+    }
+
+    /**
+     * Decode UTF-8 bytes
+     * @param {Uint8Array} bytes - Bytes
+     * @returns {string} - Text
+     */
+    static decodeUtf8(bytes) {
+        return new TextDecoder().decode(bytes);
+    }
+
+    /**
+     * Write a 24-bit little endian number
+     * @param {Uint8Array} bytes - Target
+     * @param {number} offset - Offset
+     * @param {number} value - Value
+     */
+    static setUint24(bytes, offset, value) {
+        bytes[offset] = value & 0xFF;
+        bytes[offset + 1] = (value >> 8) & 0xFF;
+        bytes[offset + 2] = (value >> 16) & 0xFF;
+    }
+
+    /**
+     * Escape XML special characters
+     * @param {string} text - Text to escape
+     * @returns {string} - Escaped text
+     */
+    static escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+export default ImageMetadata;
@@ -1,6 +1,7 @@
 /**
  * Image Processor Module
- * Handles stitching and processing of screenshots
+ * Handles stitching and processing of screenshots. The pixel work runs in
+ * js/image-worker.js, this class is the page-side facade over it.
  */
 
 class ImageProcessor {
@@ -8,236 +9,158 @@ class ImageProcessor {
     static MAX_CANVAS_DIMENSION = 16384; // Maximum canvas dimension most browsers support
     static MAX_CANVAS_AREA = 16384 * 16384; // Maximum area for canvas
 
+    // Output formats offered for cached previews and downloads
+    static FORMATS = {
+        png: { mimeType: 'image/png', extension: 'png', lossy: false },
+        jpeg: { mimeType: 'image/jpeg', extension: 'jpg', lossy: true },
+        webp: { mimeType: 'image/webp', extension: 'webp', lossy: true }
+    };
+
+    // Shared worker doing the heavy image work off the UI thread
+    static worker = null;
+    static pendingRequests = new Map();
+    static nextRequestId = 1;
+
     /**
      * Stitch screenshots together into a single image
-     * @param {Array<Object>} screenshots - Array of screenshot objects with dataUrl, x, y properties
+     * @param {Array<Object>} screenshots - Array of screenshot objects with blob (or dataUrl), x, y properties
+     * @param {Object} options - Optional settings
+     * @param {Object} options.clip - Area {x, y, width, height} to keep for element and region captures
+     * @param {Function} options.onProgress - Called with (percent, stage) while the worker runs
+     * @param {AbortSignal} options.signal - Cancels the stitching when aborted
      * @returns {Promise<Blob>} - Promise resolving to a Blob of the stitched image
      */
-    static async stitchScreenshots(screenshots) {
-        return new Promise(async (resolve, reject) => {
-            try {
-                if (!screenshots || screenshots.length === 0) {
-                    reject(new Error('No screenshots to stitch'));
-                    return;
-                }
+    static async stitchScreenshots(screenshots, options = {}) {
+        if (!screenshots || screenshots.length === 0) {
+            throw new Error('No screenshots to stitch');
+        }
 
-                // Load all images first
-                const loadedImages = [];
-                for (const screenshot of screenshots) {
-                    try {
-                        const image = await this.loadImage(screenshot.dataUrl);
-                        loadedImages.push({
-                            image,
-                            x: screenshot.x,
-                            y: screenshot.y
-                        });
-                    } catch (error) {
-                        console.warn('Failed to load image, skipping:', error);
-                        // Continue with other screenshots
-                    }
-                }
+        // Only the fields the worker needs - tiles from the job store carry extra bookkeeping
+        const tiles = screenshots.map(screenshot => ({
+            blob: screenshot.blob instanceof Blob ? screenshot.blob : null,
+            dataUrl: screenshot.blob instanceof Blob ? null : screenshot.dataUrl,
+            x: screenshot.x || 0,
+            y: screenshot.y || 0,
+            crop: screenshot.crop || null
+        }));
+
+        return this.runTask('stitch', {
+            screenshots: tiles,
+            options: { clip: options.clip || null }
+        }, options);
+    }
 
-                if (loadedImages.length === 0) {
-                    reject(new Error('Failed to load any images'));
-                    return;
-                }
+    /**
+     * Get the image worker, starting it on first use
+     * @returns {Worker} - Image worker
+     */
+    static getWorker() {
+        if (this.worker) {
+            return this.worker;
+        }
 
-                // Determine the canvas dimensions
-                const dimensions = this.calculateCanvasDimensions(loadedImages);
+        this.worker = new Worker(new URL('./image-worker.js', import.meta.url));
 
-                // Check if dimensions are too large
-                if (dimensions.width > this.MAX_CANVAS_DIMENSION ||
-                    dimensions.height > this.MAX_CANVAS_DIMENSION ||
-                    dimensions.width * dimensions.height > this.MAX_CANVAS_AREA) {
+        this.worker.onmessage = (event) => {
+            const { id, type } = event.data || {};
+            const request = this.pendingRequests.get(id);
+            if (!request) return;
 
-                    // Use tiling approach for very large images
-                    const blob = await this.stitchLargeImage(loadedImages, dimensions);
-                    resolve(blob);
-                    return;
+            if (type === 'progress') {
+                if (request.onProgress) {
+                    request.onProgress(event.data.percent, event.data.stage);
                 }
+                return;
+            }
 
-                // Create a canvas to hold the full-page screenshot
-                const canvas = document.createElement('canvas');
-                canvas.width = dimensions.width;
-                canvas.height = dimensions.height;
-
-                // Get the drawing context
-                const ctx = canvas.getContext('2d');
-
-                // Fill with white background
-                ctx.fillStyle = '#ffffff';
-                ctx.fillRect(0, 0, canvas.width, canvas.height);
-
-                // Draw each screenshot in its position
-                for (const item of loadedImages) {
-                    try {
-                        ctx.drawImage(item.image, item.x, item.y);
-                    } catch (error) {
-                        console.warn('Error drawing image at', item.x, item.y, error);
-                        // Continue with other images
-                    }
-                }
+            this.pendingRequests.delete(id);
+            request.cleanup();
 
-                // Convert to blob with memory handling
-                try {
-                    canvas.toBlob(blob => {
-                        if (blob) {
-                            resolve(blob);
-                        } else {
-                            reject(new Error('Failed to create image blob'));
-                        }
-
-                        // Clean up to help garbage collection
-                        setTimeout(() => {
-                            ctx.clearRect(0, 0, canvas.width, canvas.height);
-                            canvas.width = 1;
-                            canvas.height = 1;
-                        }, 100);
-
-                    }, 'image/png', 1.0);
-                } catch (error) {
-                    // Handle canvas.toBlob security exceptions (can happen on some secure pages)
-                    reject(new Error('Security restriction: Cannot create image from this page'));
+            if (type === 'result') {
+                request.resolve(event.data.blob);
+            } else {
+                const error = new Error(event.data.error || 'Image processing failed');
+                if (event.data.cancelled) {
+                    error.name = 'AbortError';
                 }
-            } catch (error) {
-                console.error('Error stitching screenshots:', error);
-                reject(error);
+                request.reject(error);
             }
-        });
+        };
+
+        // A crashed worker fails every pending request, the next call starts a new one
+        this.worker.onerror = (event) => {
+            console.error('Image worker error:', event.message || event);
+            const error = new Error('Image worker failed: ' + (event.message || 'unknown error'));
+            this.pendingRequests.forEach(request => {
+                request.cleanup();
+                request.reject(error);
+            });
+            this.pendingRequests.clear();
+            this.worker.terminate();
+            this.worker = null;
+        };
+
+        return this.worker;
     }
 
     /**
-     * Handle stitching for extremely large images by tiling
-     * @param {Array<Object>} loadedImages - Array of loaded images with positions
-     * @param {Object} dimensions - Full dimensions object
-     * @returns {Promise<Blob>} - Promise resolving to a Blob
+     * Send a task to the image worker
+     * @param {string} type - Task type ('stitch', 'compress' or 'thumbnail')
+     * @param {Object} payload - Task data
+     * @param {Object} options - Optional onProgress callback and AbortSignal
+     * @returns {Promise<Blob>} - Resulting image
      */
-    static async stitchLargeImage(loadedImages, dimensions) {
-        return new Promise(async (resolve, reject) => {
-            try {
-                console.log('Using tiled approach for large image:', dimensions);
-
-                // Calculate how many tiles we need
-                const tileSize = 8000; // Size of each tile
-                const tilesX = Math.ceil(dimensions.width / tileSize);
-                const tilesY = Math.ceil(dimensions.height / tileSize);
-                const totalTiles = tilesX * tilesY;
-
-                console.log(`Creating ${totalTiles} tiles (${tilesX}x${tilesY})`);
-
-                // Create a canvas for the final image (with restricted dimensions)
-                const maxWidth = Math.min(dimensions.width, this.MAX_CANVAS_DIMENSION);
-                const maxHeight = Math.min(dimensions.height, this.MAX_CANVAS_DIMENSION);
-                const scaleFactor = Math.min(
-                    maxWidth / dimensions.width,
-                    maxHeight / dimensions.height
-                );
-
-                const finalCanvas = document.createElement('canvas');
-                finalCanvas.width = dimensions.width * scaleFactor;
-                finalCanvas.height = dimensions.height * scaleFactor;
-                const finalCtx = finalCanvas.getContext('2d');
-
-                // Fill with white background
-                finalCtx.fillStyle = '#ffffff';
-                finalCtx.fillRect(0, 0, finalCanvas.width, finalCanvas.height);
-
-                if (scaleFactor < 1) {
-                    console.log(`Scaling down image by factor ${scaleFactor} due to size constraints`);
-                    finalCtx.scale(scaleFactor, scaleFactor);
-                }
-
-                // Create a temporary canvas for each tile
-                const tileCanvas = document.createElement('canvas');
-                tileCanvas.width = tileSize;
-                tileCanvas.height = tileSize;
-                const tileCtx = tileCanvas.getContext('2d');
-
-                // Process each tile
-                for (let tileY = 0; tileY < tilesY; tileY++) {
-                    for (let tileX = 0; tileX < tilesX; tileX++) {
-                        // Clear the tile canvas
-                        tileCtx.clearRect(0, 0, tileSize, tileSize);
-                        tileCtx.fillStyle = '#ffffff';
-                        tileCtx.fillRect(0, 0, tileSize, tileSize);
-
-                        // Calculate tile boundaries
-                        const tileLeft = tileX * tileSize;
-                        const tileTop = tileY * tileSize;
-                        const tileRight = Math.min(tileLeft + tileSize, dimensions.width);
-                        const tileBottom = Math.min(tileTop + tileSize, dimensions.height);
-
-                        // Draw relevant screenshots onto this tile
-                        for (const item of loadedImages) {
-                            // Check if this image intersects with the current tile
-                            const imgRight = item.x + item.image.width;
-                            const imgBottom = item.y + item.image.height;
-
-                            if (item.x < tileRight && imgRight > tileLeft &&
-                                item.y < tileBottom && imgBottom > tileTop) {
-
-                                // Calculate source and destination coordinates
-                                const sx = Math.max(0, tileLeft - item.x);
-                                const sy = Math.max(0, tileTop - item.y);
-                                const sWidth = Math.min(item.image.width - sx, tileRight - Math.max(tileLeft, item.x));
-                                const sHeight = Math.min(item.image.height - sy, tileBottom - Math.max(tileTop, item.y));
-                                const dx = Math.max(0, item.x - tileLeft);
-                                const dy = Math.max(0, item.y - tileTop);
-
-                                if (sWidth > 0 && sHeight > 0) {
-                                    try {
-                                        tileCtx.drawImage(
-                                            item.image,
-                                            sx, sy, sWidth, sHeight,
-                                            dx, dy, sWidth, sHeight
-                                        );
-                                    } catch (error) {
-                                        console.warn('Error drawing image in tile:', error);
-                                    }
-                                }
-                            }
-                        }
-
-                        // Draw tile to the final canvas
-                        finalCtx.drawImage(tileCanvas, tileLeft, tileTop);
-
-                        // Yield to the main thread occasionally to prevent UI freezing
-                        if ((tileY * tilesX + tileX) % 4 === 3) {
-                            await new Promise(resolve => setTimeout(resolve, 0));
-                        }
-                    }
-                }
+    static runTask(type, payload, options = {}) {
+        return new Promise((resolve, reject) => {
+            const { onProgress = null, signal = null } = options;
 
-                // Convert the final canvas to a blob
-                finalCanvas.toBlob(blob => {
-                    if (blob) {
-                        resolve(blob);
-                    } else {
-                        reject(new Error('Failed to create image blob from tiles'));
-                    }
+            if (signal && signal.aborted) {
+                reject(this.createAbortError());
+                return;
+            }
 
-                    // Clean up to help garbage collection
-                    setTimeout(() => {
-                        finalCtx.clearRect(0, 0, finalCanvas.width, finalCanvas.height);
-                        finalCanvas.width = 1;
-                        finalCanvas.height = 1;
-                        tileCtx.clearRect(0, 0, tileCanvas.width, tileCanvas.height);
-                        tileCanvas.width = 1;
-                        tileCanvas.height = 1;
-                    }, 100);
+            const worker = this.getWorker();
+            const id = this.nextRequestId++;
 
-                }, 'image/png', 0.9);
+            // Tell the worker to stop and settle right away - its late answer is ignored
+            const onAbort = () => {
+                worker.postMessage({ id, type: 'cancel' });
+                this.pendingRequests.delete(id);
+                reject(this.createAbortError());
+            };
 
-            } catch (error) {
-                console.error('Error in tiled stitching:', error);
-                reject(error);
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
             }
+
+            this.pendingRequests.set(id, {
+                resolve,
+                reject,
+                onProgress,
+                cleanup: () => {
+                    if (signal) {
+                        signal.removeEventListener('abort', onAbort);
+                    }
+                }
+            });
+
+            worker.postMessage({ id, type, payload });
         });
     }
 
     /**
-     * Load an image from a data URL asynchronously
-     * @param {string} dataUrl - Data URL to load
+     * Create the error used for cancelled image tasks
+     * @returns {Error} - Error named AbortError
+     */
+    static createAbortError() {
+        const error = new Error('Image processing cancelled');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    /**
+     * Load an image from a data URL (or blob URL) asynchronously
+     * @param {string} dataUrl - Data URL or blob URL to load
      * @returns {Promise<HTMLImageElement>} - Promise resolving to a loaded image
      */
     static loadImage(dataUrl) {
@@ -249,7 +172,7 @@ class ImageProcessor {
                     return;
                 }
 
-                if (!dataUrl.startsWith('data:image/')) {
+                if (!dataUrl.startsWith('data:image/') && !dataUrl.startsWith('blob:')) {
                     reject(new Error('Data URL does not appear to be an image'));
                     return;
                 }
@@ -300,140 +223,82 @@ class ImageProcessor {
     }
 
     /**
-     * Calculate dimensions for the stitched canvas
-     * @param {Array<Object>} loadedImages - Array of loaded image objects with image, x, y properties
-     * @returns {Object} - Object with width and height properties
+     * Create a downloadable URL from a screenshot blob
+     * @param {Blob} blob - Screenshot blob
+     * @returns {string} - Object URL for the blob
      */
-    static calculateCanvasDimensions(loadedImages) {
-        // Find the right-most and bottom-most points
-        let maxX = 0;
-        let maxY = 0;
-
-        for (const item of loadedImages) {
-            const rightEdge = item.x + item.image.width;
-            const bottomEdge = item.y + item.image.height;
+    static createImageUrl(blob) {
+        return URL.createObjectURL(blob);
+    }
 
-            maxX = Math.max(maxX, rightEdge);
-            maxY = Math.max(maxY, bottomEdge);
-        }
+    /**
+     * Get the format description for a format name or MIME type
+     * @param {string} formatOrMimeType - 'png', 'jpeg', 'webp' or a MIME type
+     * @returns {Object} - Format with mimeType, extension and lossy flag (PNG when unknown)
+     */
+    static getFormat(formatOrMimeType) {
+        const key = String(formatOrMimeType || '').toLowerCase().replace(/^image\//, '').replace('jpg', 'jpeg');
+        return this.FORMATS[key] || this.FORMATS.png;
+    }
 
+    /**
+     * Read the output options for cached previews or downloads from the settings
+     * @param {Object} settings - All settings
+     * @param {string} target - 'cache' or 'download'
+     * @returns {Object} - Output options {format, quality, maxWidth}
+     */
+    static getOutputOptions(settings, target) {
         return {
-            width: maxX,
-            height: maxY
+            format: settings[`${target}Format`] || 'png',
+            quality: settings[`${target}Quality`],
+            maxWidth: settings[`${target}MaxWidth`] || 0
         };
     }
 
     /**
-     * Create a downloadable URL from a screenshot blob
-     * @param {Blob} blob - Screenshot blob
-     * @returns {string} - Object URL for the blob
+     * Encode an image in the requested output format
+     * @param {Blob} blob - Source image
+     * @param {Object} output - Output options {format, quality (0-1), maxWidth (0 keeps the width)}
+     * @param {Object} options - Optional onProgress callback and AbortSignal
+     * @returns {Promise<Blob>} - Encoded image (the source itself when nothing would change)
      */
-    static createImageUrl(blob) {
-        return URL.createObjectURL(blob);
+    static async encodeImage(blob, output = {}, options = {}) {
+        const format = this.getFormat(output.format);
+        const maxWidth = output.maxWidth > 0 ? output.maxWidth : 0;
+
+        // Re-encoding a PNG as PNG at full size only costs time
+        if (!maxWidth && blob.type === format.mimeType && !format.lossy) {
+            return blob;
+        }
+
+        return this.runTask('encode', {
+            blob,
+            mimeType: format.mimeType,
+            quality: format.lossy && typeof output.quality === 'number' ? output.quality : undefined,
+            maxWidth
+        }, options);
     }
 
     /**
      * Compress a screenshot for better performance
      * @param {Blob} blob - Original screenshot blob
      * @param {number} quality - Quality factor (0-1)
+     * @param {Object} options - Optional onProgress callback and AbortSignal
      * @returns {Promise<Blob>} - Compressed image blob
      */
-    static async compressImage(blob, quality = 0.8) {
-        return new Promise(async (resolve, reject) => {
-            try {
-                // First check if blob is too large (>100MB)
-                if (blob.size > 100 * 1024 * 1024) {
-                    console.warn('Image is very large, applying higher compression');
-                    quality = Math.min(quality, 0.7); // Use stronger compression for large images
-                }
-
-                // Load the image
-                const img = await this.loadImage(URL.createObjectURL(blob));
-
-                // Create a canvas with the same dimensions
-                const canvas = document.createElement('canvas');
-                canvas.width = img.width;
-                canvas.height = img.height;
-
-                // Draw the image to the canvas
-                const ctx = canvas.getContext('2d');
-                ctx.drawImage(img, 0, 0);
-
-                // Convert to compressed blob
-                canvas.toBlob(
-                    compressedBlob => {
-                        // Release resources
-                        URL.revokeObjectURL(img.src);
-                        ctx.clearRect(0, 0, canvas.width, canvas.height);
-                        canvas.width = 1;
-                        canvas.height = 1;
-
-                        resolve(compressedBlob);
-                    },
-                    'image/jpeg',
-                    quality
-                );
-            } catch (error) {
-                reject(error);
-            }
-        });
+    static async compressImage(blob, quality = 0.8, options = {}) {
+        return this.runTask('compress', { blob, quality }, options);
     }
 
     /**
      * Generate a thumbnail of a screenshot
      * @param {Blob} blob - Screenshot blob
      * @param {number} maxDimension - Maximum width or height
+     * @param {Object} options - Optional onProgress callback, AbortSignal and maxAspect (height to width limit, crops to the top)
      * @returns {Promise<Blob>} - Thumbnail blob
      */
-    static async generateThumbnail(blob, maxDimension = 400) {
-        return new Promise(async (resolve, reject) => {
-            try {
-                // Load the image
-                const img = await this.loadImage(URL.createObjectURL(blob));
-
-                // Calculate thumbnail dimensions
-                let width = img.width;
-                let height = img.height;
-
-                if (width > height) {
-                    if (width > maxDimension) {
-                        height = Math.round(height * (maxDimension / width));
-                        width = maxDimension;
-                    }
-                } else {
-                    if (height > maxDimension) {
-                        width = Math.round(width * (maxDimension / height));
-                        height = maxDimension;
-                    }
-                }
-
-                // Create a canvas with the thumbnail dimensions
-                const canvas = document.createElement('canvas');
-                canvas.width = width;
-                canvas.height = height;
-
-                // Draw the image to the canvas
-                const ctx = canvas.getContext('2d');
-                ctx.drawImage(img, 0, 0, width, height);
-
-                // Convert to blob
-                canvas.toBlob(
-                    thumbnailBlob => {
-                        // Release resources
-                        URL.revokeObjectURL(img.src);
-                        ctx.clearRect(0, 0, canvas.width, canvas.height);
-                        canvas.width = 1;
-                        canvas.height = 1;
-
-                        resolve(thumbnailBlob);
-                    },
-                    'image/jpeg',
-                    0.7
-                );
-            } catch (error) {
-                reject(error);
-            }
-        });
+    static async generateThumbnail(blob, maxDimension = 400, options = {}) {
+        return this.runTask('thumbnail', { blob, maxDimension, maxAspect: options.maxAspect || 0 }, options);
     }
 
     /**
@@ -442,6 +307,13 @@ class ImageProcessor {
      */
     static checkBrowserSupport() {
         try {
+            // Stitching runs in a worker on an OffscreenCanvas
+            if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined' ||
+                typeof createImageBitmap === 'undefined') {
+                console.error('Worker, OffscreenCanvas or createImageBitmap not supported');
+                return false;
+            }
+
             // Check if we can create a canvas
             const canvas = document.createElement('canvas');
             canvas.width = 100;
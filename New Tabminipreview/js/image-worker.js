@@ -0,0 +1,403 @@
+/**
+ * Image Worker
+ * Decodes, stitches, encodes and scales screenshots off the UI thread
+ * using createImageBitmap and OffscreenCanvas. ImageProcessor is the only
+ * client; every request carries an id so it can report progress and be cancelled.
+ */
+
+// Constants for image processing (same limits as the DOM canvas)
+const MAX_CANVAS_DIMENSION = 16384;
+const MAX_CANVAS_AREA = 16384 * 16384;
+const LARGE_IMAGE_TILE_SIZE = 8000;
+
+// Ids of requests the page asked us to stop
+const cancelledRequests = new Set();
+
+/**
+ * Error thrown when a request is cancelled
+ */
+class CancelledError extends Error {
+    constructor() {
+        super('Image processing cancelled');
+        this.name = 'AbortError';
+    }
+}
+
+self.onmessage = async (event) => {
+    const { id, type, payload } = event.data || {};
+
+    if (type === 'cancel') {
+        cancelledRequests.add(id);
+        return;
+    }
+
+    const context = {
+        id,
+        reportProgress: (percent, stage) => {
+            self.postMessage({ id, type: 'progress', percent: Math.round(percent), stage });
+        },
+        throwIfCancelled: () => {
+            if (cancelledRequests.has(id)) {
+                throw new CancelledError();
+            }
+        }
+    };
+
+    try {
+        let blob;
+        switch (type) {
+            case 'stitch':
+                blob = await stitchScreenshots(payload.screenshots, payload.options || {}, context);
+                break;
+            case 'encode':
+                blob = await encodeImage(payload.blob, payload, context);
+                break;
+            case 'compress':
+                blob = await compressImage(payload.blob, payload.quality, context);
+                break;
+            case 'thumbnail':
+                blob = await generateThumbnail(payload.blob, payload.maxDimension, context, payload.maxAspect);
+                break;
+            default:
+                throw new Error(`Unknown image task: ${type}`);
+        }
+
+        self.postMessage({ id, type: 'result', blob });
+    } catch (error) {
+        self.postMessage({
+            id,
+            type: 'error',
+            error: error.message,
+            cancelled: error.name === 'AbortError'
+        });
+    } finally {
+        cancelledRequests.delete(id);
+    }
+};
+
+/**
+ * Stitch screenshots together into a single image
+ * @param {Array<Object>} screenshots - Screenshot objects with blob (or dataUrl), x, y and optional crop
+ * @param {Object} options - Stitching options (clip)
+ * @param {Object} context - Progress and cancellation helpers of the request
+ * @returns {Promise<Blob>} - Stitched PNG image
+ */
+async function stitchScreenshots(screenshots, options, context) {
+    if (!screenshots || screenshots.length === 0) {
+        throw new Error('No screenshots to stitch');
+    }
+
+    // Tiles are positioned relative to the clip origin when only part of the page is kept
+    const clip = options.clip || null;
+    const originX = clip ? clip.x : 0;
+    const originY = clip ? clip.y : 0;
+
+    // Decode all tiles first (first 60% of the progress)
+    const loadedImages = [];
+    try {
+        for (let i = 0; i < screenshots.length; i++) {
+            context.throwIfCancelled();
+
+            const screenshot = screenshots[i];
+            try {
+                const image = await decodeScreenshot(screenshot);
+                loadedImages.push({
+                    image,
+                    x: screenshot.x - originX,
+                    y: screenshot.y - originY
+                });
+            } catch (error) {
+                console.warn('Failed to decode image, skipping:', error);
+                // Continue with other screenshots
+            }
+
+            context.reportProgress(((i + 1) / screenshots.length) * 60, 'Decoding screenshots...');
+        }
+
+        if (loadedImages.length === 0) {
+            throw new Error('Failed to load any images');
+        }
+
+        // Determine the canvas dimensions
+        const dimensions = calculateCanvasDimensions(loadedImages);
+        if (clip) {
+            dimensions.width = Math.min(dimensions.width, Math.ceil(clip.width));
+            dimensions.height = Math.min(dimensions.height, Math.ceil(clip.height));
+        }
+
+        // Use the tiling approach for images beyond the canvas limits
+        if (dimensions.width > MAX_CANVAS_DIMENSION ||
+            dimensions.height > MAX_CANVAS_DIMENSION ||
+            dimensions.width * dimensions.height > MAX_CANVAS_AREA) {
+            return await stitchLargeImage(loadedImages, dimensions, context);
+        }
+
+        const canvas = new OffscreenCanvas(dimensions.width, dimensions.height);
+        const ctx = canvas.getContext('2d');
+
+        // Fill with white background
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        // Draw each screenshot in its position
+        loadedImages.forEach((item, index) => {
+            context.throwIfCancelled();
+            try {
+                ctx.drawImage(item.image, item.x, item.y);
+            } catch (error) {
+                console.warn('Error drawing image at', item.x, item.y, error);
+            }
+            context.reportProgress(60 + ((index + 1) / loadedImages.length) * 30, 'Stitching screenshots...');
+        });
+
+        context.throwIfCancelled();
+        context.reportProgress(90, 'Encoding image...');
+        return await canvas.convertToBlob({ type: 'image/png' });
+    } finally {
+        // Bitmaps hold decoded pixels outside the JS heap, release them right away
+        loadedImages.forEach(item => item.image.close());
+    }
+}
+
+/**
+ * Handle stitching for extremely large images by tiling
+ * @param {Array<Object>} loadedImages - Decoded images with positions
+ * @param {Object} dimensions - Full dimensions object
+ * @param {Object} context - Progress and cancellation helpers of the request
+ * @returns {Promise<Blob>} - Stitched PNG image, scaled down to fit the canvas limits
+ */
+async function stitchLargeImage(loadedImages, dimensions, context) {
+    console.log('Using tiled approach for large image:', dimensions);
+
+    const tileSize = LARGE_IMAGE_TILE_SIZE;
+    const tilesX = Math.ceil(dimensions.width / tileSize);
+    const tilesY = Math.ceil(dimensions.height / tileSize);
+    const totalTiles = tilesX * tilesY;
+
+    // Create a canvas for the final image (with restricted dimensions)
+    const maxWidth = Math.min(dimensions.width, MAX_CANVAS_DIMENSION);
+    const maxHeight = Math.min(dimensions.height, MAX_CANVAS_DIMENSION);
+    const scaleFactor = Math.min(
+        maxWidth / dimensions.width,
+        maxHeight / dimensions.height
+    );
+
+    const finalCanvas = new OffscreenCanvas(
+        Math.floor(dimensions.width * scaleFactor),
+        Math.floor(dimensions.height * scaleFactor)
+    );
+    const finalCtx = finalCanvas.getContext('2d');
+
+    // Fill with white background
+    finalCtx.fillStyle = '#ffffff';
+    finalCtx.fillRect(0, 0, finalCanvas.width, finalCanvas.height);
+
+    if (scaleFactor < 1) {
+        console.log(`Scaling down image by factor ${scaleFactor} due to size constraints`);
+        finalCtx.scale(scaleFactor, scaleFactor);
+    }
+
+    const tileCanvas = new OffscreenCanvas(tileSize, tileSize);
+    const tileCtx = tileCanvas.getContext('2d');
+
+    for (let tileY = 0; tileY < tilesY; tileY++) {
+        for (let tileX = 0; tileX < tilesX; tileX++) {
+            context.throwIfCancelled();
+
+            tileCtx.fillStyle = '#ffffff';
+            tileCtx.fillRect(0, 0, tileSize, tileSize);
+
+            // Calculate tile boundaries
+            const tileLeft = tileX * tileSize;
+            const tileTop = tileY * tileSize;
+            const tileRight = Math.min(tileLeft + tileSize, dimensions.width);
+            const tileBottom = Math.min(tileTop + tileSize, dimensions.height);
+
+            // Draw the screenshots that intersect this tile
+            for (const item of loadedImages) {
+                const imgRight = item.x + item.image.width;
+                const imgBottom = item.y + item.image.height;
+
+                if (item.x < tileRight && imgRight > tileLeft &&
+                    item.y < tileBottom && imgBottom > tileTop) {
+
+                    const sx = Math.max(0, tileLeft - item.x);
+                    const sy = Math.max(0, tileTop - item.y);
+                    const sWidth = Math.min(item.image.width - sx, tileRight - Math.max(tileLeft, item.x));
+                    const sHeight = Math.min(item.image.height - sy, tileBottom - Math.max(tileTop, item.y));
+                    const dx = Math.max(0, item.x - tileLeft);
+                    const dy = Math.max(0, item.y - tileTop);
+
+                    if (sWidth > 0 && sHeight > 0) {
+                        try {
+                            tileCtx.drawImage(item.image, sx, sy, sWidth, sHeight, dx, dy, sWidth, sHeight);
+                        } catch (error) {
+                            console.warn('Error drawing image in tile:', error);
+                        }
+                    }
+                }
+            }
+
+            // Only the part of the tile inside the image is copied
+            finalCtx.drawImage(
+                tileCanvas,
+                0, 0, tileRight - tileLeft, tileBottom - tileTop,
+                tileLeft, tileTop, tileRight - tileLeft, tileBottom - tileTop
+            );
+
+            const doneTiles = tileY * tilesX + tileX + 1;
+            context.reportProgress(60 + (doneTiles / totalTiles) * 30, 'Stitching large image...');
+        }
+    }
+
+    context.throwIfCancelled();
+    context.reportProgress(90, 'Encoding image...');
+    return finalCanvas.convertToBlob({ type: 'image/png' });
+}
+
+/**
+ * Decode a screenshot tile, cropping it to an inner scroll container when needed
+ * @param {Object} screenshot - Screenshot object holding either a blob or a dataUrl
+ * @returns {Promise<ImageBitmap>} - Decoded tile
+ */
+async function decodeScreenshot(screenshot) {
+    const blob = screenshot.blob instanceof Blob
+        ? screenshot.blob
+        : await (await fetch(screenshot.dataUrl)).blob();
+
+    if (!screenshot.crop) {
+        return createImageBitmap(blob);
+    }
+
+    // Screenshots are taken in device pixels, crop boxes are measured in CSS pixels
+    const crop = screenshot.crop;
+    const image = await createImageBitmap(blob);
+    try {
+        const scale = crop.windowWidth ? image.width / crop.windowWidth : 1;
+        return await createImageBitmap(
+            image,
+            crop.x * scale, crop.y * scale, crop.width * scale, crop.height * scale,
+            {
+                resizeWidth: Math.max(1, Math.round(crop.width)),
+                resizeHeight: Math.max(1, Math.round(crop.height)),
+                resizeQuality: 'high'
+            }
+        );
+    } finally {
+        image.close();
+    }
+}
+
+/**
+ * Calculate dimensions for the stitched canvas
+ * @param {Array<Object>} loadedImages - Decoded images with x, y positions
+ * @returns {Object} - Object with width and height properties
+ */
+function calculateCanvasDimensions(loadedImages) {
+    let maxX = 0;
+    let maxY = 0;
+
+    for (const item of loadedImages) {
+        maxX = Math.max(maxX, item.x + item.image.width);
+        maxY = Math.max(maxY, item.y + item.image.height);
+    }
+
+    return { width: maxX, height: maxY };
+}
+
+/**
+ * Re-encode an image in another format, optionally scaling it down
+ * @param {Blob} blob - Original image
+ * @param {Object} options - mimeType, quality (0-1) and maxWidth (0 keeps the original width)
+ * @param {Object} context - Progress and cancellation helpers of the request
+ * @returns {Promise<Blob>} - Encoded image
+ */
+async function encodeImage(blob, options, context) {
+    const mimeType = options.mimeType || 'image/png';
+    const quality = typeof options.quality === 'number' ? options.quality : 0.92;
+    const maxWidth = options.maxWidth > 0 ? options.maxWidth : 0;
+
+    const image = await createImageBitmap(blob);
+    try {
+        context.throwIfCancelled();
+        context.reportProgress(30, 'Encoding image...');
+
+        // Keep the aspect ratio when scaling down to the maximum width
+        const scale = maxWidth && image.width > maxWidth ? maxWidth / image.width : 1;
+        const width = Math.max(1, Math.round(image.width * scale));
+        const height = Math.max(1, Math.round(image.height * scale));
+
+        const canvas = new OffscreenCanvas(width, height);
+        const ctx = canvas.getContext('2d');
+        // JPEG has no transparency, keep the background white like the stitched image
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, width, height);
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(image, 0, 0, width, height);
+
+        context.throwIfCancelled();
+        return await canvas.convertToBlob({ type: mimeType, quality: quality });
+    } finally {
+        image.close();
+    }
+}
+
+/**
+ * Re-encode an image as JPEG
+ * @param {Blob} blob - Original image
+ * @param {number} quality - Quality factor (0-1)
+ * @param {Object} context - Progress and cancellation helpers of the request
+ * @returns {Promise<Blob>} - Compressed image
+ */
+async function compressImage(blob, quality = 0.8, context) {
+    // Use stronger compression for very large images (>100MB)
+    if (blob.size > 100 * 1024 * 1024) {
+        console.warn('Image is very large, applying higher compression');
+        quality = Math.min(quality, 0.7);
+    }
+
+    return encodeImage(blob, { mimeType: 'image/jpeg', quality: quality }, context);
+}
+
+/**
+ * Generate a scaled down JPEG thumbnail
+ * @param {Blob} blob - Original image
+ * @param {number} maxDimension - Maximum width or height
+ * @param {Object} context - Progress and cancellation helpers of the request
+ * @param {number} maxAspect - Optional height to width limit, taller images keep only their top part
+ * @returns {Promise<Blob>} - Thumbnail image
+ */
+async function generateThumbnail(blob, maxDimension = 400, context, maxAspect = 0) {
+    const image = await createImageBitmap(blob);
+    try {
+        context.throwIfCancelled();
+
+        // A full page would shrink to a sliver, so only the top of it is used
+        const sourceHeight = maxAspect > 0
+            ? Math.min(image.height, Math.round(image.width * maxAspect))
+            : image.height;
+
+        // Calculate thumbnail dimensions
+        let width = image.width;
+        let height = sourceHeight;
+        if (width > height) {
+            if (width > maxDimension) {
+                height = Math.round(height * (maxDimension / width));
+                width = maxDimension;
+            }
+        } else if (height > maxDimension) {
+            width = Math.round(width * (maxDimension / height));
+            height = maxDimension;
+        }
+
+        const canvas = new OffscreenCanvas(width, height);
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, width, height);
+        ctx.drawImage(image, 0, 0, image.width, sourceHeight, 0, 0, width, height);
+
+        return await canvas.convertToBlob({ type: 'image/jpeg', quality: 0.7 });
+    } finally {
+        image.close();
+    }
+}
@@ -1,23 +1,123 @@
 /**
  * IndexedDB Cache Manager for Screenshot Previews
- * Handles storing and retrieving screenshots using IndexedDB
+ * Handles storing and retrieving screenshots using IndexedDB.
+ * Entries are keyed by the normalized page URL, Chrome tab IDs are only
+ * valid for one browser session and are mapped to URLs as tabs are seen.
  */
 
+import StorageDatabase from './storage-database.js';
+import UrlNormalizer from './url-normalizer.js';
+
 class IndexedDBCacheManager {
     constructor() {
         this.CACHE_PREFIX = 'tab_preview_'; // Keep same prefix for compatibility
         this.CACHE_EXPIRY = 30 * 60 * 1000; // 30 minutes in milliseconds
         this.MAX_CACHE_ITEMS = 50; // Maximum number of items to keep in cache
 
-        this.DB_NAME = 'TabPreviewCache';
-        this.STORE_NAME = 'screenshots';
-        this.DB_VERSION = 2; // Increment version to ensure clean upgrade
+        this.STORE_NAME = 'screenshots'; // Store of the shared storage database
 
         this.db = null;
         this._initPromise = null;
         this._dbReady = false;
         this._initRetryCount = 0;
         this.MAX_INIT_RETRIES = 3;
+
+        // Live index from Chrome tab ID to cache key, filled as tabs are listed and cached
+        this.tabUrls = new Map();
+    }
+
+    /**
+     * Remember which page a tab shows, so lookups by tab ID find its preview
+     * @param {number} tabId - Chrome tab ID
+     * @param {string} url - Page URL
+     * @returns {string|null} - Cache key of the page
+     */
+    setTabUrl(tabId, url) {
+        const key = UrlNormalizer.normalize(url);
+        if (tabId !== undefined && tabId !== null && key) {
+            this.tabUrls.set(Number(tabId), key);
+        }
+        return key;
+    }
+
+    /**
+     * Work out the cache key for a tab
+     * @param {Object|string|number} tab - Tab ({id, url}), page URL or tab ID
+     * @returns {string|null} - Cache key, or null when the page is unknown
+     */
+    resolveKey(tab) {
+        if (!tab) {
+            return null;
+        }
+        if (typeof tab === 'object') {
+            return tab.url ? this.setTabUrl(tab.id, tab.url) : this.resolveKey(tab.id);
+        }
+        if (typeof tab === 'string' && tab.includes(':')) {
+            return UrlNormalizer.normalize(tab);
+        }
+        return this.tabUrls.get(Number(tab)) || null;
+    }
+
+    /**
+     * Find which of the given tabs have a cached preview, matching them by URL
+     * so duplicate, closed and workspace tabs share one preview
+     * @param {Array<Object>} tabs - Tabs to check
+     * @returns {Promise<Set<number>>} - IDs of the tabs with a preview
+     */
+    async getCachedTabIds(tabs) {
+        const cachedUrls = new Set(await this._getAllKeys());
+        return new Set(
+            (tabs || [])
+                .filter(tab => cachedUrls.has(this.resolveKey(tab)))
+                .map(tab => tab.id)
+        );
+    }
+
+    /**
+     * Convert an entry stored under a tab ID to the URL keyed format
+     * @private
+     * @param {Object} item - Entry from chrome.storage
+     * @returns {Object|null} - Entry keyed by URL, or null when it has no page URL
+     */
+    _toUrlEntry(item) {
+        const url = item && item.metadata ? UrlNormalizer.normalize(item.metadata.url) : null;
+        if (!url || !(item.blob || item.dataUrl)) {
+            return null;
+        }
+        return { ...item, url: url };
+    }
+
+    /**
+     * Convert an entry holding a data URL to one holding a Blob
+     * @private
+     * @param {Object} item - Entry with a dataUrl field
+     * @returns {Promise<Object>} - Entry with blob, contentType, width and height
+     */
+    async _toBlobEntry(item) {
+        const { dataUrl, ...rest } = item;
+        const blob = await (await fetch(dataUrl)).blob();
+        return { ...rest, ...await this._describeImage(blob) };
+    }
+
+    /**
+     * Build the image fields of a cache entry
+     * @private
+     * @param {Blob} blob - Screenshot
+     * @returns {Promise<Object>} - blob, contentType, width and height (0 when the image cannot be decoded)
+     */
+    async _describeImage(blob) {
+        let width = 0;
+        let height = 0;
+        try {
+            const image = await createImageBitmap(blob);
+            width = image.width;
+            height = image.height;
+            image.close();
+        } catch (error) {
+            console.warn('Could not read screenshot dimensions:', error);
+        }
+
+        return { blob: blob, contentType: blob.type, width: width, height: height };
     }
 
     /**
@@ -34,7 +134,7 @@ class IndexedDBCacheManager {
             }
 
             // Try normal initialization first
-            await this._initOrRecreateDatabase();
+            await this._initOrReconnectDatabase();
             console.log('IndexedDB cache manager initialized');
 
             // Only attempt migration if database init was successful
@@ -43,6 +143,9 @@ class IndexedDBCacheManager {
                     // Migrate data from chrome.storage.local if available
                     await this._migrateFromChromeStorage();
 
+                    // Convert entries stored as data URLs to Blobs
+                    await this._migrateDataUrlEntries();
+
                     // Clean expired cache entries on startup
                     await this.cleanExpiredCache();
                 } catch (postInitError) {
@@ -66,19 +169,19 @@ class IndexedDBCacheManager {
     }
 
     /**
-     * Initialize the database or recreate it if needed
+     * Connect to the database or reconnect if needed
      * @private
      * @returns {Promise<boolean>}
      */
-    async _initOrRecreateDatabase() {
+    async _initOrReconnectDatabase() {
         try {
             // Try normal initialization first
             await this._initDatabase();
 
             // Verify database has the correct structure
             if (!this.db || !this.db.objectStoreNames.contains(this.STORE_NAME)) {
-                console.warn('Database structure invalid, recreating...');
-                await this._recreateDatabase();
+                console.warn('Database structure invalid, reconnecting...');
+                await this._reconnectDatabase();
             } else {
                 this._dbReady = true;
             }
@@ -87,11 +190,11 @@ class IndexedDBCacheManager {
         } catch (error) {
             console.error('Database initialization failed:', error);
 
-            // If we haven't exceeded retry count, try recreating
+            // If we haven't exceeded retry count, try reconnecting
             if (this._initRetryCount < this.MAX_INIT_RETRIES) {
                 this._initRetryCount++;
-                console.warn(`Retrying database creation (${this._initRetryCount}/${this.MAX_INIT_RETRIES})...`);
-                return this._recreateDatabase();
+                console.warn(`Retrying database connection (${this._initRetryCount}/${this.MAX_INIT_RETRIES})...`);
+                return this._reconnectDatabase();
             } else {
                 console.error('Max database initialization retries exceeded');
                 this._dbReady = false;
@@ -101,35 +204,16 @@ class IndexedDBCacheManager {
     }
 
     /**
-     * Recreate the database from scratch
+     * Reconnect to the storage database
      * @private
      * @returns {Promise<boolean>}
      */
-    async _recreateDatabase() {
+    async _reconnectDatabase() {
         try {
-            // Close any existing connection
-            if (this.db) {
-                this.db.close();
-                this.db = null;
-            }
-
-            // Reset initialization promise
+            // The connection is shared with the other managers, so it is only dropped, not closed
+            this.db = null;
             this._initPromise = null;
 
-            // Delete the database
-            await new Promise((resolve, reject) => {
-                const deleteRequest = indexedDB.deleteDatabase(this.DB_NAME);
-                deleteRequest.onsuccess = () => resolve();
-                deleteRequest.onerror = () => reject(new Error('Failed to delete database'));
-                // Handle blocked state (when there are other connections)
-                deleteRequest.onblocked = () => {
-                    console.warn('Database deletion blocked, waiting...');
-                    // Continue anyway after a short delay
-                    setTimeout(resolve, 1000);
-                };
-            });
-
-            // Reinitialize with a clean slate
             await this._initDatabase();
 
             // Verify store exists
@@ -137,14 +221,14 @@ class IndexedDBCacheManager {
 
             return this._dbReady;
         } catch (error) {
-            console.error('Failed to recreate database:', error);
+            console.error('Failed to reconnect to database:', error);
             this._dbReady = false;
             return false;
         }
     }
 
     /**
-     * Initialize the IndexedDB database
+     * Get the connection to the storage database
      * @private
      * @returns {Promise<IDBDatabase>}
      */
@@ -154,104 +238,30 @@ class IndexedDBCacheManager {
             return this._initPromise;
         }
 
-        this._initPromise = new Promise((resolve, reject) => {
-            try {
-                // Open database with explicit version number
-                const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
-
-                // Handle database upgrade or creation
-                request.onupgradeneeded = (event) => {
-                    try {
-                        const db = event.target.result;
-                        console.log(`Database upgrade needed: ${event.oldVersion} to ${event.newVersion}`);
-
-                        // If the store exists, delete it to ensure clean schema
-                        if (db.objectStoreNames.contains(this.STORE_NAME)) {
-                            db.deleteObjectStore(this.STORE_NAME);
-                        }
-
-                        // Create fresh object store
-                        const store = db.createObjectStore(this.STORE_NAME, {
-                            keyPath: 'tabId',
-                            autoIncrement: false
-                        });
-
-                        // Create timestamp index for expiration queries
-                        store.createIndex('timestamp', 'metadata.timestamp', { unique: false });
-                        console.log('Object store created successfully');
-                    } catch (upgradeError) {
-                        console.error('Error during database upgrade:', upgradeError);
-                        // Will be caught in the onerror handler
-                        throw upgradeError;
-                    }
-                };
-
-                // Handle successful database open
-                request.onsuccess = (event) => {
-                    try {
-                        this.db = event.target.result;
-
-                        // Enhanced error handling for database operations
-                        this.db.onerror = (error) => {
-                            console.error('IndexedDB database error:', error);
-                        };
-
-                        // Handle unexpected database closure
-                        this.db.onclose = () => {
-                            console.warn('Database connection unexpectedly closed');
-                            this.db = null;
-                            this._dbReady = false;
-                            this._initPromise = null;
-                        };
-
-                        // Handle version change (from another tab/window)
-                        this.db.onversionchange = () => {
-                            console.warn('Database version changed in another tab, closing connection');
-                            if (this.db) {
-                                this.db.close();
-                                this.db = null;
-                                this._dbReady = false;
-                                this._initPromise = null;
-                            }
-                        };
-
-                        // Verify store exists
-                        if (!this.db.objectStoreNames.contains(this.STORE_NAME)) {
-                            reject(new Error('Object store not created properly'));
-                            return;
-                        }
-
-                        // Success!
-                        this._dbReady = true;
-                        resolve(this.db);
-                    } catch (successError) {
-                        console.error('Error in onsuccess handler:', successError);
-                        reject(successError);
-                    }
-                };
+        this._initPromise = StorageDatabase.open().then(db => {
+            this.db = db;
 
-                // Handle database open error
-                request.onerror = (event) => {
-                    console.error('Error opening IndexedDB:', event.target.error);
-                    reject(event.target.error);
-                };
+            // Another context upgrading the database closes the connection, the next operation reconnects
+            const release = () => {
+                if (this.db === db) {
+                    this.db = null;
+                    this._dbReady = false;
+                    this._initPromise = null;
+                }
+            };
+            db.addEventListener('close', release);
+            db.addEventListener('versionchange', release);
 
-                // Handle blocked state
-                request.onblocked = (event) => {
-                    console.warn('Database opening blocked, another connection may be open');
-                    // Still try to continue
-                    setTimeout(() => {
-                        if (this.db) {
-                            resolve(this.db);
-                        } else {
-                            reject(new Error('Database opening blocked'));
-                        }
-                    }, 1000);
-                };
-            } catch (error) {
-                console.error('Critical error during database initialization:', error);
-                reject(error);
+            if (!db.objectStoreNames.contains(this.STORE_NAME)) {
+                throw new Error('Object store not created properly');
             }
+
+            this._dbReady = true;
+            return db;
+        }).catch(error => {
+            console.error('Error opening IndexedDB:', error);
+            this._initPromise = null;
+            throw error;
         });
 
         return this._initPromise;
@@ -269,7 +279,7 @@ class IndexedDBCacheManager {
         if (!this._dbReady) {
             try {
                 // Try to initialize the database if it's not ready
-                await this._initOrRecreateDatabase();
+                await this._initOrReconnectDatabase();
                 if (!this._dbReady) {
                     console.warn(`Database not ready, cannot perform ${operationName}`);
                     return defaultValue;
@@ -283,7 +293,7 @@ class IndexedDBCacheManager {
         try {
             // Ensure we have a valid database object
             if (!this.db) {
-                await this._initOrRecreateDatabase();
+                await this._initOrReconnectDatabase();
                 if (!this.db) {
                     throw new Error('Database object is null');
                 }
@@ -301,7 +311,7 @@ class IndexedDBCacheManager {
 
                 // Try to recover by reinitializing
                 try {
-                    await this._recreateDatabase();
+                    await this._reconnectDatabase();
 
                     // Retry the operation once if recovery was successful
                     if (this._dbReady) {
@@ -366,11 +376,11 @@ class IndexedDBCacheManager {
     /**
      * Helper to get an item from IndexedDB with enhanced error handling
      * @private
-     * @param {string} tabId - Tab ID to get
+     * @param {string} key - Cache key (normalized URL) to get
      * @returns {Promise<Object|null>} - The retrieved item or null
      */
-    async _getItem(tabId) {
-        if (!tabId) return null;
+    async _getItem(key) {
+        if (!key) return null;
 
         return this._safeOperation(async () => {
             return new Promise((resolve, reject) => {
@@ -386,7 +396,7 @@ class IndexedDBCacheManager {
                         }
                     }, 5000); // 5 second timeout
 
-                    const request = store.get(tabId);
+                    const request = store.get(key);
 
                     request.onsuccess = () => {
                         try {
@@ -395,15 +405,15 @@ class IndexedDBCacheManager {
                             // Validate result structure
                             if (result) {
                                 // Check if this is a valid screenshot entry
-                                if (!result.dataUrl) {
-                                    console.warn(`Invalid cache entry for ${tabId}: Missing dataUrl`);
+                                if (!(result.blob instanceof Blob)) {
+                                    console.warn(`Invalid cache entry for ${key}: Missing image blob`);
                                     resolve(null);
                                     return;
                                 }
 
                                 // Ensure metadata exists
                                 if (!result.metadata) {
-                                    console.warn(`Cache entry for ${tabId} missing metadata, adding default metadata`);
+                                    console.warn(`Cache entry for ${key} missing metadata, adding default metadata`);
                                     result.metadata = { timestamp: Date.now() };
                                 }
                             }
@@ -439,10 +449,10 @@ class IndexedDBCacheManager {
     /**
      * Helper to delete an item from IndexedDB
      * @private
-     * @param {string} tabId - Tab ID to delete
+     * @param {string} key - Cache key (normalized URL) to delete
      * @returns {Promise<boolean>}
      */
-    async _deleteItem(tabId) {
+    async _deleteItem(key) {
         return this._safeOperation(async () => {
             return new Promise((resolve, reject) => {
                 try {
@@ -456,7 +466,7 @@ class IndexedDBCacheManager {
                         }
                     }, 5000); // 5 second timeout
 
-                    const request = store.delete(tabId);
+                    const request = store.delete(key);
 
                     request.onsuccess = () => resolve(true);
                     request.onerror = (event) => {
@@ -483,33 +493,34 @@ class IndexedDBCacheManager {
 
     /**
      * Store a screenshot in the cache
-     * @param {string} tabId - Tab ID to use as key
-     * @param {string} screenshot - Screenshot data URL or blob URL
-     * @param {Object} metadata - Additional metadata about the screenshot
+     * @param {string} tabId - Tab the screenshot was taken of
+     * @param {Blob|string} screenshot - Screenshot as Blob, blob URL or data URL
+     * @param {Object} metadata - Additional metadata about the screenshot, metadata.url is used as key
      * @returns {Promise<boolean>} - Whether the operation was successful
      */
     async cacheScreenshot(tabId, screenshot, metadata = {}) {
-        if (!tabId || !screenshot) {
+        const key = metadata.url ? this.setTabUrl(tabId, metadata.url) : this.resolveKey(tabId);
+        if (!key || !screenshot) {
             console.error('Invalid cache parameters');
             return false;
         }
 
         try {
-            // Convert blob URL to data URL if needed
-            let dataUrl = screenshot;
-            if (screenshot.startsWith('blob:')) {
+            // Images are stored as binary Blobs, data URLs would take a third more space
+            let blob = screenshot;
+            if (!(screenshot instanceof Blob)) {
                 try {
-                    dataUrl = await this.blobUrlToDataUrl(screenshot);
+                    blob = await this.urlToBlob(screenshot);
                 } catch (conversionError) {
-                    console.error('Error converting blob URL to data URL:', conversionError);
+                    console.error('Error reading screenshot URL:', conversionError);
                     return false;
                 }
             }
 
-            // Create cache entry with same structure as chrome.storage version
             const cacheEntry = {
+                url: key,
                 tabId: tabId,
-                dataUrl: dataUrl,
+                ...await this._describeImage(blob),
                 metadata: {
                     ...metadata,
                     timestamp: Date.now()
@@ -542,17 +553,18 @@ class IndexedDBCacheManager {
 
     /**
      * Retrieve a screenshot from the cache
-     * @param {string} tabId - Tab ID to retrieve
+     * @param {Object|string|number} tab - Tab ({id, url}), page URL or tab ID
      * @returns {Promise<Object|null>} - Cache entry or null if not found
      */
-    async getScreenshot(tabId) {
-        if (!tabId) return null;
+    async getScreenshot(tab) {
+        const key = this.resolveKey(tab);
+        if (!key) return null;
 
         return this._safeOperation(async () => {
-            const result = await this._getItem(tabId);
+            const result = await this._getItem(key);
 
             if (!result) {
-                console.log(`No cached screenshot for tab ${tabId}`);
+                console.log(`No cached screenshot for ${key}`);
                 return null;
             }
 
@@ -560,33 +572,34 @@ class IndexedDBCacheManager {
             const timestamp = result.metadata?.timestamp || 0;
             const now = Date.now();
             if (now - timestamp > this.CACHE_EXPIRY) {
-                console.log(`Cached screenshot for tab ${tabId} has expired`);
-                await this.removeScreenshot(tabId);
+                console.log(`Cached screenshot for ${key} has expired`);
+                await this.removeScreenshot(key);
                 return null;
             }
 
-            console.log(`Retrieved cached screenshot for tab ${tabId}`);
+            console.log(`Retrieved cached screenshot for ${key}`);
             return result;
         }, 'getScreenshot', null);
     }
 
     /**
      * Get screenshots for a tab - compatibility method that returns an array format
-     * @param {string} tabId - Tab ID to retrieve
+     * @param {Object|string|number} tab - Tab ({id, url}), page URL or tab ID
      * @returns {Promise<Array>} - Array of screenshots or empty array if not found
      */
-    async getScreenshots(tabId) {
+    async getScreenshots(tab) {
         try {
-            const screenshot = await this.getScreenshot(tabId);
-            if (!screenshot || !screenshot.dataUrl) {
+            const screenshot = await this.getScreenshot(tab);
+            if (!screenshot || !screenshot.blob) {
                 return [];
             }
 
-            // Return as an array of objects with dataUrl property for backward compatibility
+            // Return in the same format as captured tiles
             return [{
-                dataUrl: screenshot.dataUrl,
+                blob: screenshot.blob,
                 x: 0,
-                y: 0
+                y: 0,
+                metadata: screenshot.metadata || {}
             }];
         } catch (error) {
             console.error('Error in getScreenshots:', error);
@@ -594,17 +607,39 @@ class IndexedDBCacheManager {
         }
     }
 
+    /**
+     * Change metadata of a cached screenshot without storing the image again
+     * @param {Object|string|number} tab - Tab ({id, url}), page URL or tab ID
+     * @param {Object} changes - Metadata fields to set
+     * @returns {Promise<boolean>} - Whether an entry was updated
+     */
+    async updateMetadata(tab, changes) {
+        const key = this.resolveKey(tab);
+        if (!key) return false;
+
+        return this._safeOperation(async () => {
+            const entry = await this._getItem(key);
+            if (!entry) {
+                return false;
+            }
+
+            entry.metadata = { ...entry.metadata, ...changes };
+            return await this._putItem(entry);
+        }, 'updateMetadata', false);
+    }
+
     /**
      * Remove a screenshot from the cache
-     * @param {string} tabId - Tab ID to remove
+     * @param {Object|string|number} tab - Tab ({id, url}), page URL or tab ID
      * @returns {Promise<boolean>} - Whether the operation was successful
      */
-    async removeScreenshot(tabId) {
-        if (!tabId) return false;
+    async removeScreenshot(tab) {
+        const key = this.resolveKey(tab);
+        if (!key) return false;
         return this._safeOperation(async () => {
-            const result = await this._deleteItem(tabId);
+            const result = await this._deleteItem(key);
             if (result) {
-                console.log(`Removed cached screenshot for tab ${tabId}`);
+                console.log(`Removed cached screenshot for ${key}`);
             }
             return result;
         }, 'removeScreenshot', false);
@@ -710,7 +745,7 @@ class IndexedDBCacheManager {
 
                 // Delete each item
                 for (const item of itemsToRemove) {
-                    store.delete(item.tabId);
+                    store.delete(item.url);
                 }
 
                 // Wait for transaction to complete
@@ -743,31 +778,21 @@ class IndexedDBCacheManager {
     }
 
     /**
-     * Convert a Blob URL to a Data URL
-     * @param {string} blobUrl - Blob URL to convert
-     * @returns {Promise<string>} - Data URL
+     * Read a blob URL or data URL into a Blob
+     * @param {string} url - URL to read
+     * @returns {Promise<Blob>} - Image data
      */
-    blobUrlToDataUrl(blobUrl) {
-        return new Promise((resolve, reject) => {
-            try {
-                fetch(blobUrl)
-                    .then(response => response.blob())
-                    .then(blob => {
-                        const reader = new FileReader();
-                        reader.onloadend = () => resolve(reader.result);
-                        reader.onerror = reject;
-                        reader.readAsDataURL(blob);
-                    })
-                    .catch(reject);
-            } catch (error) {
-                reject(error);
-            }
-        });
+    async urlToBlob(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Could not read ${url.slice(0, 30)}: ${response.status}`);
+        }
+        return response.blob();
     }
 
     /**
      * Get all cache items
-     * @returns {Promise<Object>} - All cache items with tabId as keys
+     * @returns {Promise<Object>} - All cache items with their prefixed URL as keys
      */
     async getAllCacheItems() {
         return this._safeOperation(async () => {
@@ -775,10 +800,10 @@ class IndexedDBCacheManager {
                 // Get all items from the store
                 const allItems = await this._getAllItems();
 
-                // Convert to object with tabId as keys (matching chrome.storage format)
+                // Convert to object with prefixed keys (matching chrome.storage format)
                 const result = {};
                 for (const item of allItems) {
-                    const key = this.CACHE_PREFIX + item.tabId;
+                    const key = this.CACHE_PREFIX + item.url;
                     result[key] = item;
                 }
 
@@ -884,6 +909,31 @@ class IndexedDBCacheManager {
         }, '_getAllItems', []);
     }
 
+    /**
+     * Helper to get the keys of all items without reading the images
+     * @private
+     * @returns {Promise<Array<string>>}
+     */
+    async _getAllKeys() {
+        return this._safeOperation(async () => {
+            return new Promise((resolve, reject) => {
+                try {
+                    const transaction = this.db.transaction([this.STORE_NAME], 'readonly');
+                    const request = transaction.objectStore(this.STORE_NAME).getAllKeys();
+
+                    request.onsuccess = () => resolve(request.result || []);
+                    request.onerror = (event) => {
+                        console.error('Error getting all keys:', event.target.error);
+                        reject(event.target.error);
+                    };
+                } catch (error) {
+                    console.error('Unexpected error in _getAllKeys:', error);
+                    reject(error);
+                }
+            });
+        }, '_getAllKeys', []);
+    }
+
     /**
      * Migrate data from chrome.storage.local to IndexedDB
      * @private
@@ -912,10 +962,10 @@ class IndexedDBCacheManager {
 
                 // Migrate each item to IndexedDB
                 for (const key of cacheKeys) {
-                    const item = items[key];
-                    if (item && item.tabId) {
+                    const item = this._toUrlEntry(items[key]);
+                    if (item) {
                         try {
-                            await this._putItem(item);
+                            await this._putItem(item.dataUrl ? await this._toBlobEntry(item) : item);
 
                             // Remove from chrome.storage.local after successful migration
                             await this._removeChromeStorageItem(key);
@@ -936,6 +986,37 @@ class IndexedDBCacheManager {
         }, '_migrateFromChromeStorage', 0);
     }
 
+    /**
+     * Rewrite entries that still hold a data URL with the image as a Blob
+     * @private
+     * @returns {Promise<number>} - Number of converted entries
+     */
+    async _migrateDataUrlEntries() {
+        return this._safeOperation(async () => {
+            const legacyItems = (await this._getAllItems()).filter(item => item.dataUrl && !item.blob);
+            if (legacyItems.length === 0) {
+                return 0;
+            }
+
+            console.log(`Converting ${legacyItems.length} cached screenshots from data URLs to Blobs`);
+
+            let convertedCount = 0;
+            for (const item of legacyItems) {
+                try {
+                    // Written under the same key, so the entry is replaced in place
+                    await this._putItem(await this._toBlobEntry(item));
+                    convertedCount++;
+                } catch (itemError) {
+                    console.error(`Error converting cache entry ${item.url}:`, itemError);
+                    await this._deleteItem(item.url);
+                }
+            }
+
+            console.log(`Converted ${convertedCount} cached screenshots to Blobs`);
+            return convertedCount;
+        }, '_migrateDataUrlEntries', 0);
+    }
+
     /**
      * Helper to get all items from chrome.storage.local
      * @private
@@ -982,70 +1063,29 @@ class IndexedDBCacheManager {
     }
 
     /**
-     * Attempt to recover a corrupted or blocked database
+     * Attempt to recover a corrupted or blocked preview cache. The connection is
+     * picked up again and the cached previews are cleared, the rest of the
+     * storage database is left alone.
      * @returns {Promise<boolean>} - Whether recovery was successful
      */
     async recoverDatabase() {
         console.log("Attempting database recovery...");
 
         try {
-            // Close any existing connections
-            if (this.db) {
-                try {
-                    this.db.close();
-                    console.log("Closed existing database connection");
-                } catch (closeError) {
-                    console.warn("Error closing database:", closeError);
-                }
-                this.db = null;
-            }
-
             // Reset initialization state
             this._dbReady = false;
-            this._initPromise = null;
             this._initRetryCount = 0;
 
-            // Delete and recreate the database
-            await new Promise((resolve, reject) => {
-                try {
-                    const deleteRequest = indexedDB.deleteDatabase(this.DB_NAME);
-
-                    deleteRequest.onsuccess = () => {
-                        console.log("Successfully deleted database");
-                        resolve();
-                    };
-
-                    deleteRequest.onerror = (event) => {
-                        console.error("Error deleting database:", event.target.error);
-                        reject(event.target.error);
-                    };
-
-                    // Handle blocked state (when there are other connections)
-                    deleteRequest.onblocked = () => {
-                        console.warn("Database deletion blocked. Please close all other tabs using this extension.");
-                        // We'll try to continue anyway
-                        setTimeout(resolve, 1000);
-                    };
-                } catch (error) {
-                    console.error("Critical error during database deletion:", error);
-                    reject(error);
-                }
-            });
-
-            // Increment the database version to ensure a clean slate
-            this.DB_VERSION++;
-            console.log(`Incremented database version to ${this.DB_VERSION}`);
-
-            // Reinitialize the database
-            const initResult = await this._initOrRecreateDatabase();
-
-            if (initResult) {
-                console.log("Database recovered successfully");
-                return true;
-            } else {
+            // Reconnect
+            const initResult = await this._reconnectDatabase();
+            if (!initResult) {
                 console.error("Database recovery failed");
                 return false;
             }
+
+            await this.clearAllCache();
+            console.log("Database recovered successfully");
+            return true;
         } catch (error) {
             console.error("Error during database recovery:", error);
             return false;
@@ -11,6 +11,13 @@ import ActivityTracker from './activity-tracker.js';
 import TabGroupManager from './tab-group-manager.js';
 import WorkspaceIndexedDBManager from './workspace-indexeddb-manager.js';
 import Sidebar from './sidebar.js';
+import CaptureJobStore from './capture-job-store.js';
+import SettingsManager from './settings-manager.js';
+import SettingsPanel from './settings-panel.js';
+import PrivacyBlocklist from './privacy-blocklist.js';
+import TabStateManager from './tab-state-manager.js';
+import BackupManager from './backup-manager.js';
+import DownloadManager from './download-manager.js';
 
 /**
  * Main application controller
@@ -25,6 +32,8 @@ class App {
         this.tabGroupManager = null;
         this.workspaceManager = null;
         this.sidebar = null;
+        this.settingsManager = null;
+        this.settingsPanel = null;
         this.currentScreenshot = null;
         this.currentTabInfo = null;
         this.captureInProgress = false;
@@ -36,6 +45,9 @@ class App {
         this.loadAllInProgress = false;
         this.loadAllTotal = 0;
         this.loadAllProcessed = 0;
+        this.captureJobStore = new CaptureJobStore();
+        this.stitchController = null; // Aborts the stitching running in the image worker
+        this.lastHandledJobId = null;
 
         // Bind critical methods to ensure correct context
         this.init = this.init.bind(this);
@@ -56,6 +68,12 @@ class App {
 
             // Initialize modules with error protection
             this.ui = new UIController();
+
+            // Load user settings before anything that depends on them
+            this.settingsManager = new SettingsManager();
+            await this.settingsManager.init();
+            this.settingsPanel = new SettingsPanel(this.settingsManager).init('#settingsButton');
+            this.ui.setSettingsManager(this.settingsManager);
             
             // Initialize activity tracker for smart caching
             this.activityTracker = new ActivityTracker();
@@ -64,6 +82,9 @@ class App {
             // Initialize smart cache manager with activity tracking
             this.cacheManager = new SmartCacheManager();
             await this.cacheManager.init(this.activityTracker);
+
+            // Drop anything stored for blocklisted sites before the tab list shows cached previews
+            await this.purgeBlockedPreviews();
             
             // Initialize tab manager with activity tracker reference
             this.tabManager = new TabManager();
@@ -83,6 +104,11 @@ class App {
             this.sidebar = new Sidebar(this.workspaceManager);
             this.sidebar.init();
 
+            // Lists only show thumbnails, the full image is read when a tab is opened
+            const getThumbnail = (tab) => this.cacheManager.getThumbnail(tab);
+            this.tabManager.thumbnailProvider = getThumbnail;
+            this.sidebar.thumbnailProvider = getThumbnail;
+
             // Initialize UI 
             this.ui.init({
                 previewContainer: '#preview-container',
@@ -137,6 +163,9 @@ class App {
             // Set up message listeners for communication with background script
             this.setupMessageListeners();
 
+            // Pick up a capture that is still running (e.g. after this page was reloaded)
+            this.checkCaptureJobState();
+
             console.log('Extension initialized successfully');
 
             // Display info message about tab persistence feature
@@ -217,6 +246,12 @@ class App {
                             this.handleScreenshotsReceived(message);
                         }
                         break;
+                    case 'capture_tile_stored':
+                        this.handleCaptureTileStored(message);
+                        break;
+                    case 'capture_cancelled':
+                        this.handleCaptureCancelled();
+                        break;
                     case 'capture_progress':
                         if (this.updateCaptureProgress) {
                             this.updateCaptureProgress(
@@ -227,7 +262,7 @@ class App {
                         break;
                     case 'capture_error':
                         if (this.handleCaptureError) {
-                            this.handleCaptureError(message.error || 'Unknown capture error');
+                            this.handleCaptureError(message.error || 'Unknown capture error', message);
                         }
                         break;
                     case 'capture_truncated':
@@ -351,6 +386,13 @@ class App {
                 return;
             }
 
+            // Sites on the privacy blocklist are neither captured nor shown from the cache
+            if (this.isBlockedUrl(tab.url)) {
+                this.ui.resetPreview();
+                this.ui.showMessage('This site is on your privacy blocklist, no preview is captured or stored.', 'info', 5000);
+                return;
+            }
+
             // Highlight selected tab in the UI
             if (this.tabManager && typeof this.tabManager.highlightSelectedTab === 'function') {
                 this.tabManager.highlightSelectedTab(tab.id);
@@ -387,9 +429,9 @@ class App {
                 return;
             }
 
-            // Check if we already have a cached screenshot for this tab
+            // Check if we already have a cached screenshot for this page (closed and workspace tabs included)
             try {
-                const cachedScreenshots = await this.cacheManager.getScreenshots(tab.id);
+                const cachedScreenshots = await this.cacheManager.getScreenshots(tab);
                 if (cachedScreenshots && cachedScreenshots.length > 0) {
                     // Use cached screenshots
                     console.log('Using cached screenshots for tab:', tab.id);
@@ -397,7 +439,8 @@ class App {
                         screenshots: cachedScreenshots,
                         sourceTabId: tab.id,
                         sourceUrl: tab.url,
-                        fromCache: true
+                        fromCache: true,
+                        cacheMetadata: cachedScreenshots[0].metadata
                     });
 
                     // If tab still exists, add a refresh button to get a fresh capture
@@ -552,8 +595,9 @@ class App {
     /**
      * Start the capture process with retry support
      * @param {Object} tab - Tab to capture
+     * @param {Object} extraParams - Additional capture parameters (e.g. {mode: 'element'})
      */
-    startCapture(tab) {
+    startCapture(tab, extraParams = {}) {
         try {
             // Verify that chrome runtime API is available
             if (!chrome || !chrome.runtime || !chrome.runtime.sendMessage) {
@@ -575,7 +619,7 @@ class App {
 
             // Send capture request to background script
             chrome.runtime.sendMessage(
-                { action: 'capture_tab', tabId: tab.id },
+                { action: 'capture_tab', tabId: tab.id, captureParams: this.buildCaptureParams(extraParams) },
                 (response) => {
                     // Check for runtime errors first
                     if (chrome.runtime.lastError) {
@@ -587,7 +631,7 @@ class App {
 
                             // Retry after a short delay
                             setTimeout(() => {
-                                this.startCapture(tab);
+                                this.startCapture(tab, extraParams);
                             }, 1000);
                         } else {
                             // Max retries reached, show error
@@ -605,15 +649,15 @@ class App {
                     if (!response || !response.success) {
                         console.error('Failed to initiate capture:', response?.error || 'Unknown error');
 
-                        // Check if we should retry
-                        if (this.captureRetryCount < this.MAX_RETRY_COUNT) {
+                        // Check if we should retry - a blocklisted site is refused every time
+                        if (!response?.blocked && this.captureRetryCount < this.MAX_RETRY_COUNT) {
                             this.captureRetryCount++;
                             console.log(`Retrying capture (${this.captureRetryCount}/${this.MAX_RETRY_COUNT})...`);
                             this.ui.showProgress(0, `Retrying capture (${this.captureRetryCount}/${this.MAX_RETRY_COUNT})...`);
 
                             // Retry after a short delay
                             setTimeout(() => {
-                                this.startCapture(tab);
+                                this.startCapture(tab, extraParams);
                             }, 1000);
                         } else {
                             // Max retries reached, show error
@@ -638,13 +682,126 @@ class App {
         }
     }
 
+    /**
+     * Capture only an element or a dragged region of a tab
+     * @param {Object} tab - Tab to capture
+     * @param {string} mode - 'element' or 'region'
+     */
+    startSelectionCapture(tab, mode) {
+        if (!tab || !tab.isOpenInChrome || !this.isCapturableUrl(tab.url)) {
+            this.ui.showError('Capture Failed', 'Only open tabs with regular web pages can be captured.');
+            return;
+        }
+
+        if (this.isBlockedUrl(tab.url)) {
+            this.ui.showMessage('This site is on your privacy blocklist and is never captured.', 'info', 5000);
+            return;
+        }
+
+        if (this.captureInProgress) {
+            this.ui.showMessage('A capture is already in progress', 'warning', 3000);
+            return;
+        }
+
+        this.ui.hideError();
+        this.currentTabInfo = tab;
+        this.captureRetryCount = 0;
+        this.captureInProgress = true;
+        this.tabManager.setCaptureInProgress(true);
+        this.tabManager.highlightSelectedTab(tab.id);
+
+        this.ui.showLoading(mode === 'element'
+            ? 'Click an element in the tab to capture it...'
+            : 'Drag over the area of the tab you want to capture...');
+        this.startCapture(tab, { mode: mode });
+    }
+
+    /**
+     * Get the user's settings (defaults until the settings manager is ready)
+     * @returns {Object} - All settings
+     */
+    getSettings() {
+        return this.settingsManager ? this.settingsManager.getAll() : { ...SettingsManager.DEFAULTS };
+    }
+
+    /**
+     * Build the capture parameters sent with a capture request from the user's settings
+     * @param {Object} extraParams - Additional parameters for this capture
+     * @returns {Object} - Capture parameters
+     */
+    buildCaptureParams(extraParams = {}) {
+        const settings = this.getSettings();
+
+        return {
+            engine: settings.captureEngine,
+            scrollTarget: settings.scrollTarget,
+            warmUpLazyContent: settings.warmUpLazyContent,
+            freezeAnimations: settings.freezeAnimations,
+            suppressOverlays: settings.suppressOverlays,
+            overlaySelectors: settings.overlaySelectors,
+            maskSensitiveFields: settings.maskSensitiveFields,
+            sensitiveFieldSelectors: settings.sensitiveFieldSelectors,
+            autoRedact: settings.autoRedact,
+            redactionPatterns: settings.redactionPatterns,
+            ...extraParams
+        };
+    }
+
+    /**
+     * Read the capture details kept with a cached screenshot
+     * @param {Object} metadata - Cache entry metadata
+     * @returns {Object} - Capture time, viewport, sensitive text, whether it was redacted and annotations
+     */
+    getCaptureDetails(metadata = {}) {
+        return {
+            capturedAt: metadata.capturedAt || metadata.timestamp || null,
+            viewport: metadata.viewport || null,
+            sensitiveText: metadata.sensitiveText || null,
+            redacted: !!metadata.redacted,
+            annotations: metadata.annotations || null
+        };
+    }
+
+    /**
+     * Show which overlays were hidden while capturing
+     * @param {Array<Object>} overlays - Hidden overlays ({element, reason}) from the capture result
+     */
+    reportSuppressedOverlays(overlays) {
+        if (!Array.isArray(overlays) || overlays.length === 0 || !this.ui) {
+            return;
+        }
+
+        const names = overlays.slice(0, 3).map(overlay => overlay.element).join(', ');
+        const more = overlays.length > 3 ? ` and ${overlays.length - 3} more` : '';
+        this.ui.showMessage(
+            `Hid ${overlays.length} overlay${overlays.length === 1 ? '' : 's'} during capture: ${names}${more}`,
+            'info',
+            5000
+        );
+    }
+
     /**
      * Handle screenshots received from background script
-     * @param {Object} message - Message containing screenshots and metadata
+     * @param {Object} message - Message containing a capture job ID (or cached screenshots) and metadata
      */
     async handleScreenshotsReceived(message) {
+        const { jobId } = message;
+
+        // The Load All listener and the global listener both receive the same job
+        if (jobId && jobId === this.lastHandledJobId) {
+            return;
+        }
+        if (jobId) {
+            this.lastHandledJobId = jobId;
+        }
+
         try {
-            const { screenshots, sourceTabId, sourceUrl } = message;
+            const { sourceTabId, sourceUrl } = message;
+
+            // Fresh captures arrive as a job reference - read the tiles from the job store
+            const screenshots = jobId
+                ? await this.captureJobStore.getTiles(jobId)
+                : message.screenshots;
 
             // Validate screenshots array
             if (!screenshots || !Array.isArray(screenshots) || screenshots.length === 0) {
@@ -660,8 +817,8 @@ class App {
                     continue;
                 }
 
-                if (!screenshot.dataUrl) {
-                    console.error(`Screenshot at index ${i} missing dataUrl:`, screenshot);
+                if (!screenshot.blob && !screenshot.dataUrl) {
+                    console.error(`Screenshot at index ${i} missing image data:`, screenshot);
                     screenshots[i] = null; // Mark as invalid
                     continue;
                 }
@@ -706,8 +863,17 @@ class App {
                 // Log detailed screenshot info for debugging
                 console.log(`Processing ${validScreenshots.length} valid screenshots`);
 
-                // Stitch screenshots together
-                const stitchedImage = await ImageProcessor.stitchScreenshots(validScreenshots);
+                // Stitch screenshots together in the image worker, the Cancel button can stop it
+                this.stitchController = new AbortController();
+                const stitchedImage = await ImageProcessor.stitchScreenshots(validScreenshots, {
+                    clip: message.clip || null,
+                    signal: this.stitchController.signal,
+                    onProgress: (percent, stage) => {
+                        this.ui.showProgress(Math.min(percent, 99), stage || 'Processing screenshots...');
+                    }
+                });
+                this.stitchController = null;
+                this.ui.hideProgress();
                 if (!stitchedImage) {
                     throw new Error('Failed to stitch screenshots - result was empty');
                 }
@@ -721,9 +887,26 @@ class App {
                     throw new Error('Failed to create image URL from stitched image');
                 }
 
+                // Capture details travel with the preview so downloads can embed them,
+                // the redaction editor can find the sensitive text and annotations stay editable
+                const cacheMetadata = message.fromCache ? (message.cacheMetadata || {}) : null;
+                const captureDetails = cacheMetadata
+                    ? { ...this.getCaptureDetails(cacheMetadata), cachedType: validScreenshots[0].blob?.type || null }
+                    : {
+                        capturedAt: Date.now(),
+                        viewport: message.viewport || null,
+                        sensitiveText: message.sensitiveText || null,
+                        redacted: false,
+                        annotations: null,
+                        cachedType: null
+                    };
+
                 // Display the screenshot - check if UI is available
                 if (this.ui && typeof this.ui.showScreenshot === 'function') {
-                    this.ui.showScreenshot(imageUrl, tabInfo || { title: 'Captured Tab', url: sourceUrl || '' });
+                    this.ui.showScreenshot(imageUrl, {
+                        ...(tabInfo || { title: 'Captured Tab', url: sourceUrl || '' }),
+                        ...captureDetails
+                    });
                 } else {
                     console.error('Cannot display screenshot: UI controller not available');
                 }
@@ -731,20 +914,32 @@ class App {
                 // Store current screenshot blob for download
                 this.currentScreenshot = stitchedImage;
 
-                // Robust caching with extensive error handling
-                if (tabInfo && tabInfo.id && this.cacheManager) {
+                // Let the user know which banners and widgets were left out
+                this.reportSuppressedOverlays(message.suppressedOverlays);
+
+                // Robust caching with extensive error handling. A preview that came from the
+                // cache is already stored.
+                if (tabInfo && tabInfo.id && this.cacheManager && !message.fromCache) {
                     try {
                         console.log('Attempting to cache screenshot for tab:', tabInfo.id);
+
+                        // Cached previews use their own (smaller) output settings
+                        const cacheImage = await ImageProcessor.encodeImage(
+                            stitchedImage,
+                            ImageProcessor.getOutputOptions(this.getSettings(), 'cache')
+                        );
+
                         await this.cacheManager.cacheScreenshot(
                             tabInfo.id,
-                            imageUrl,
+                            cacheImage,
                             {
+                                ...captureDetails,
                                 title: tabInfo.title || 'Captured Tab',
                                 url: tabInfo.url || sourceUrl || '',
                                 favIconUrl: tabInfo.favIconUrl || this.getFavIconForUrl(tabInfo.url || sourceUrl || '')
                             }
                         );
-                        console.log('Screenshot cached successfully');
+                        console.log(`Screenshot cached successfully (${Math.round(cacheImage.size / 1024)} KB)`);
 
                         // Update the cachedTabIds Set and apply visual indicator immediately
                         if (this.tabManager && typeof this.tabManager.updateCachedTabIds === 'function') {
@@ -752,6 +947,12 @@ class App {
                             const updatedCachedIds = new Set(this.tabManager.cachedTabIds || []);
                             updatedCachedIds.add(tabInfo.id);
 
+                            // Duplicate tabs of the same page share the preview
+                            const cacheKey = this.cacheManager.resolveKey(tabInfo.id);
+                            (this.tabManager.persistentTabs || [])
+                                .filter(tab => cacheKey && this.cacheManager.resolveKey(tab) === cacheKey)
+                                .forEach(tab => updatedCachedIds.add(tab.id));
+
                             // Update the cached tab IDs in the tab manager
                             this.tabManager.updateCachedTabIds(updatedCachedIds);
 
@@ -774,14 +975,23 @@ class App {
                     }
                 }
             } catch (error) {
+                this.stitchController = null;
+
+                // Stopped with the Cancel button - nothing to fall back to
+                if (error.name === 'AbortError') {
+                    this.ui.resetPreview();
+                    this.ui.showMessage('Processing cancelled', 'info', 3000);
+                    return;
+                }
+
                 console.error('Error processing screenshots:', error);
 
-                // If we have at least one valid screenshot with dataUrl, show it as fallback
-                const fallbackScreenshot = validScreenshots.find(s => s && s.dataUrl);
+                // If we have at least one valid screenshot with image data, show it as fallback
+                const fallbackScreenshot = validScreenshots.find(s => s && (s.blob || s.dataUrl));
 
                 if (fallbackScreenshot) {
                     try {
-                        const fallbackBlob = await this.dataUrlToBlob(fallbackScreenshot.dataUrl);
+                        const fallbackBlob = fallbackScreenshot.blob || await this.dataUrlToBlob(fallbackScreenshot.dataUrl);
                         const fallbackUrl = URL.createObjectURL(fallbackBlob);
 
                         if (this.ui && typeof this.ui.showScreenshot === 'function') {
@@ -823,9 +1033,28 @@ class App {
                 this.tabManager.setCaptureInProgress(false);
             }
             this.captureInProgress = false;
+
+            // The stitched result is cached separately, so the job's tiles are no longer needed
+            if (jobId) {
+                this.captureJobStore.deleteJob(jobId).catch(error => {
+                    console.warn('Failed to delete finished capture job:', error);
+                });
+            }
         }
     }
 
+    /**
+     * Show partial progress while tiles of a capture are being stored
+     * @param {Object} message - Message with jobId, tileCount and progress
+     */
+    handleCaptureTileStored(message) {
+        const tileCount = message.tileCount || 0;
+        this.updateCaptureProgress(
+            message.progress || 0,
+            `Captured ${tileCount} section${tileCount === 1 ? '' : 's'}...`
+        );
+    }
+
     /**
      * Convert a data URL to a Blob
      * @param {string} dataUrl - Data URL to convert
@@ -933,11 +1162,50 @@ class App {
         this.ui.showProgress(percent, status);
     }
 
+    /**
+     * Ask the background script for the state of the current capture job
+     * and reflect a running job in the progress display
+     */
+    async checkCaptureJobState() {
+        try {
+            const state = await chrome.runtime.sendMessage({ action: 'get_capture_progress' });
+
+            if (state && state.inProgress) {
+                this.captureInProgress = true;
+                this.tabManager.setCaptureInProgress(true);
+                this.updateCaptureProgress(state.progress || 0, 'Capture in progress...');
+            } else if (state && state.resumable) {
+                // A capture was interrupted while this page was closed
+                this.handleInterruptedCapture(state.jobId, state.error || 'The capture stopped before it could finish', state.clip);
+            }
+        } catch (error) {
+            console.warn('Could not read capture job state:', error);
+        }
+    }
+
     /**
      * Handle capture process errors
      * @param {string} errorMessage - Error message
+     * @param {Object} details - Optional error details (jobId, resumable, clip)
      */
-    handleCaptureError(errorMessage) {
+    handleCaptureError(errorMessage, details = {}) {
+        // Dismissing the element or region picker is not a failure
+        if (errorMessage === 'Selection cancelled') {
+            this.ui.resetPreview();
+            this.ui.showMessage('Selection cancelled', 'info', 3000);
+            this.tabManager.setCaptureInProgress(false);
+            this.captureInProgress = false;
+            return;
+        }
+
+        // Interrupted captures keep their tiles and can continue where they stopped
+        if (details && details.resumable && details.jobId) {
+            this.tabManager.setCaptureInProgress(false);
+            this.captureInProgress = false;
+            this.handleInterruptedCapture(details.jobId, errorMessage, details.clip || null);
+            return;
+        }
+
         this.ui.showError(
             'Capture Failed',
             errorMessage || 'An unknown error occurred during capture',
@@ -951,6 +1219,111 @@ class App {
         this.captureInProgress = false;
     }
 
+    /**
+     * Show what an interrupted capture collected so far and offer to resume it
+     * @param {string} jobId - ID of the interrupted capture job
+     * @param {string} errorMessage - Reason the capture stopped
+     * @param {Object} clip - Capture area of element and region captures
+     */
+    async handleInterruptedCapture(jobId, errorMessage, clip = null) {
+        let tileCount = 0;
+
+        try {
+            const tiles = await this.captureJobStore.getTiles(jobId);
+            tileCount = tiles.length;
+
+            if (tileCount > 0) {
+                const partialImage = await ImageProcessor.stitchScreenshots(tiles, { clip: clip });
+                const imageUrl = ImageProcessor.createImageUrl(partialImage);
+                if (imageUrl) {
+                    this.ui.showScreenshot(imageUrl, this.currentTabInfo || { title: 'Partial capture', url: '' });
+                    this.currentScreenshot = partialImage;
+                }
+            }
+        } catch (error) {
+            console.error('Error showing partial capture:', error);
+        }
+
+        const progressNote = tileCount > 0
+            ? ` Showing the ${tileCount} section${tileCount === 1 ? '' : 's'} captured so far.`
+            : '';
+
+        this.ui.showError(
+            'Capture Interrupted',
+            `${errorMessage}.${progressNote}`,
+            () => this.resumeCapture(jobId),
+            'Resume capture'
+        );
+    }
+
+    /**
+     * Resume an interrupted capture from the last captured section
+     * @param {string} jobId - ID of the interrupted capture job
+     */
+    async resumeCapture(jobId) {
+        if (this.captureInProgress) {
+            this.ui.showMessage('A capture is already in progress', 'warning');
+            return;
+        }
+
+        this.captureInProgress = true;
+        this.tabManager.setCaptureInProgress(true);
+        this.ui.hideError();
+        this.ui.showProgress(0, 'Resuming capture...');
+
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'resume_capture', jobId: jobId });
+            if (!response || !response.success) {
+                this.handleCaptureError(response?.error || 'Could not resume the capture');
+            }
+        } catch (error) {
+            console.error('Error resuming capture:', error);
+            this.handleCaptureError('Could not resume the capture: ' + error.message);
+        }
+    }
+
+    /**
+     * Stop the running capture, or the stitching of a finished one
+     */
+    async cancelCapture() {
+        // The capture already finished and its screenshots are being stitched
+        if (this.stitchController) {
+            this.stitchController.abort();
+            return;
+        }
+
+        if (!this.captureInProgress) {
+            this.ui.hideProgress();
+            return;
+        }
+
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'cancel_capture' });
+            if (!response || !response.success) {
+                // Nothing running in the background any more, just reset the page
+                console.warn('Cancel capture:', response?.error);
+                this.handleCaptureCancelled();
+            }
+        } catch (error) {
+            console.error('Error cancelling capture:', error);
+            this.ui.showMessage('Could not cancel the capture: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Reset the preview after a capture was cancelled
+     */
+    handleCaptureCancelled() {
+        if (!this.captureInProgress) {
+            return;
+        }
+
+        this.ui.resetPreview();
+        this.ui.showMessage('Capture cancelled', 'info', 3000);
+        this.tabManager.setCaptureInProgress(false);
+        this.captureInProgress = false;
+    }
+
     /**
      * Check if a URL can be captured
      * @param {string} url - URL to check
@@ -968,6 +1341,66 @@ class App {
         );
     }
 
+    /**
+     * Check if a URL is on the user's privacy blocklist
+     * @param {string} url - URL to check
+     * @returns {boolean} - Whether the site must never be captured or cached
+     */
+    isBlockedUrl(url) {
+        return PrivacyBlocklist.isBlocked(url, this.getSettings().privacyBlocklist);
+    }
+
+    /**
+     * Remove stored previews and tab state of sites on the privacy blocklist,
+     * so adding a site also deletes what was kept before
+     * @returns {Promise<number>} - Number of removed entries
+     */
+    async purgeBlockedPreviews() {
+        const patterns = this.getSettings().privacyBlocklist;
+        if (!Array.isArray(patterns) || patterns.length === 0) {
+            return 0;
+        }
+
+        const isBlocked = (url) => PrivacyBlocklist.isBlocked(url, patterns);
+        let removed = 0;
+
+        try {
+            // Cached previews, matched by the URL they were captured from
+            if (this.cacheManager) {
+                const cacheItems = Object.values(await this.cacheManager.getAllCacheItems());
+                let removedPreviews = 0;
+                for (const item of cacheItems) {
+                    if (item && isBlocked(item.metadata?.url || item.url)) {
+                        await this.cacheManager.removeScreenshot(item.url);
+                        removedPreviews++;
+                    }
+                }
+
+                removed += removedPreviews;
+                if (removedPreviews > 0 && this.tabManager) {
+                    await this.updateCachedTabsList();
+                }
+            }
+
+            // Tab metadata and screenshots kept by the tab state store
+            removed += await new TabStateManager().purgeTabs(isBlocked);
+
+            // Don't leave a blocked page on screen
+            if (this.currentTabInfo && isBlocked(this.currentTabInfo.url)) {
+                this.ui.resetPreview();
+                this.currentScreenshot = null;
+            }
+
+            if (removed > 0) {
+                console.log(`Removed ${removed} stored entries of blocklisted sites`);
+            }
+        } catch (error) {
+            console.error('Error removing previews of blocklisted sites:', error);
+        }
+
+        return removed;
+    }
+
     /**
      * Handle notification about a truncated capture due to infinite scrolling
      * @param {number} maximumHeight - Maximum height captured
@@ -1065,7 +1498,7 @@ class App {
     }
 
     /**
-     * Repair the database by rebuilding it from scratch
+     * Repair the preview cache by reconnecting and clearing the cached previews
      */
     async repairDatabase() {
         if (!this.cacheManager || typeof this.cacheManager.recoverDatabase !== 'function') {
@@ -1155,6 +1588,11 @@ class App {
                         return false;
                     }
 
+                    // Never capture sites on the privacy blocklist
+                    if (this.isBlockedUrl(tab.url)) {
+                        return false;
+                    }
+
                     return true;
                 });
 
@@ -1163,7 +1601,8 @@ class App {
                 // Filter provided tabs
                 capturableTabs = capturableTabs.filter(tab =>
                     tab.id !== this.tabManager.extensionTabId &&
-                    this.isCapturableUrl(tab.url)
+                    this.isCapturableUrl(tab.url) &&
+                    !this.isBlockedUrl(tab.url)
                 );
             }
 
@@ -1439,8 +1878,8 @@ class App {
             console.log(`Processing tab ${this.loadAllProcessed}/${this.loadAllTotal}: ${tab.title}`);
 
             try {
-                // Check if the URL is capturable
-                if (!this.isCapturableUrl(tab.url)) {
+                // Check if the URL is capturable and not on the privacy blocklist
+                if (!this.isCapturableUrl(tab.url) || this.isBlockedUrl(tab.url)) {
                     console.log(`Skipping non-capturable tab: ${tab.url || 'unknown URL'}`);
 
                     // Add a small delay before processing next tab
@@ -1453,7 +1892,7 @@ class App {
                 // Check if we already have a cached screenshot for this tab
                 let cachedScreenshot = null;
                 try {
-                    cachedScreenshot = await this.cacheManager.getScreenshot(tab.id);
+                    cachedScreenshot = await this.cacheManager.getScreenshot(tab);
                 } catch (cacheError) {
                     console.warn(`Error retrieving cache for tab ${tab.id}:`, cacheError);
                     // Continue with capture even if cache retrieval fails
@@ -1604,6 +2043,10 @@ class App {
                     chrome.runtime.onMessage.removeListener(messageHandler);
                     this.captureInProgress = false;
                     reject(new Error(message.error || 'Unknown capture error'));
+                } else if (message.action === 'capture_cancelled') {
+                    chrome.runtime.onMessage.removeListener(messageHandler);
+                    this.captureInProgress = false;
+                    reject(new Error('Capture cancelled'));
                 }
             };
 
@@ -1615,11 +2058,11 @@ class App {
                 {
                     action: 'capture_tab',
                     tabId: tab.id,
-                    captureParams: {
+                    captureParams: this.buildCaptureParams({
                         timeout: adaptiveTimeout,
                         scrollDelay: this.calculateScrollDelay(tab),
                         maxScrolls: 1000 // Allow more scrolls for very long pages
-                    }
+                    })
                 },
                 response => {
                     if (!response || !response.success) {
@@ -1686,20 +2129,9 @@ class App {
      */
     async updateCachedTabsList() {
         try {
-            // Get all cached items
-            const allItems = await this.cacheManager.getAllCacheItems();
-
-            // Extract tab IDs from cache keys
-            const cachedTabIds = new Set(
-                Object.keys(allItems)
-                    .filter(key => key.startsWith(this.cacheManager.CACHE_PREFIX))
-                    .map(key => {
-                        // Extract the tab ID from the cache key
-                        const tabId = key.replace(this.cacheManager.CACHE_PREFIX, '');
-                        return parseInt(tabId, 10);
-                    })
-                    .filter(tabId => !isNaN(tabId))
-            );
+            // Previews are stored by page URL, so every listed tab showing a cached page counts
+            const tabs = this.tabManager ? this.tabManager.persistentTabs : [];
+            const cachedTabIds = await this.cacheManager.getCachedTabIds(tabs);
 
             // Update the tab manager with cached tab IDs
             if (this.tabManager) {
@@ -1759,6 +2191,65 @@ class App {
         }
     }
 
+    /**
+     * Save all extension data to a backup file
+     */
+    async createBackup() {
+        try {
+            this.ui.showMessage('Creating backup...', 'info');
+
+            const { blob, manifest } = await BackupManager.createBackup();
+            const filename = BackupManager.getFilename();
+            const result = await DownloadManager.download(blob, filename, { saveAs: true });
+
+            const records = Object.values(manifest.stores).reduce((total, store) => total + store.count, 0);
+            const savedName = (result.filename || filename).split(/[\\/]/).pop();
+            this.ui.showMessage(`Backup of ${records} records and ${manifest.images} images saved as ${savedName}`, 'success', 5000);
+        } catch (error) {
+            if (error.cancelled) {
+                this.ui.showMessage('Backup cancelled', 'info', 3000);
+                return;
+            }
+            console.error('Error creating backup:', error);
+            this.ui.showError('Backup Failed', error.message);
+        }
+    }
+
+    /**
+     * Restore extension data from a backup file
+     * @param {File} file - Backup file picked by the user
+     * @param {string} mode - 'merge' or 'replace'
+     */
+    async restoreBackup(file, mode) {
+        if (mode === BackupManager.MODES.REPLACE &&
+            !confirm('Replace all workspaces, cached previews, tab metadata and settings with the contents of this backup? This cannot be undone.')) {
+            return;
+        }
+
+        try {
+            this.ui.showMessage('Restoring backup...', 'info');
+
+            const result = await BackupManager.restoreBackup(file, mode);
+
+            // Restored settings apply right away, including the privacy blocklist
+            if (this.settingsManager) {
+                await this.settingsManager.reload();
+            }
+            await this.purgeBlockedPreviews();
+
+            await this.updateCachedTabsList();
+            if (this.sidebar) {
+                await this.sidebar.renderWorkspaces();
+            }
+
+            const createdAt = new Date(result.manifest.createdAt).toLocaleString();
+            this.ui.showMessage(`Restored ${result.restored} records and ${result.settings} settings from the backup of ${createdAt}`, 'success', 5000);
+        } catch (error) {
+            console.error('Error restoring backup:', error);
+            this.ui.showError('Restore Failed', error.message);
+        }
+    }
+
     /**
      * Display storage info in the UI
      */
@@ -1782,6 +2273,31 @@ class App {
      * Set up event listeners for the application
      */
     setupEventListeners() {
+        // Cancel button in the progress area
+        document.addEventListener('cancelCapture', () => {
+            this.cancelCapture();
+        });
+
+        // Element and region captures started from a tab's action buttons
+        document.addEventListener('captureTabSelection', (event) => {
+            const { tab, mode } = event.detail || {};
+            this.startSelectionCapture(tab, mode);
+        });
+
+        // Confirm saved settings
+        document.addEventListener('settingsChanged', async (event) => {
+            console.log('Settings changed:', event.detail.changedKeys);
+            this.ui.showMessage('Settings saved', 'success', 2000);
+
+            // Entries added to the blocklist also apply to what is already stored
+            if ((event.detail.changedKeys || []).includes('privacyBlocklist')) {
+                const removed = await this.purgeBlockedPreviews();
+                if (removed > 0) {
+                    this.ui.showMessage(`Settings saved, removed ${removed} stored preview(s) of blocklisted sites`, 'success', 4000);
+                }
+            }
+        });
+
         // Set up load all button
         const loadAllBtn = document.getElementById('load-all-btn');
         if (loadAllBtn) {
@@ -1860,6 +2376,25 @@ class App {
             this.handleToggleStarTab(event.detail.tabId, event.detail.tabInfo);
         });
         
+        // Listen for redacted screenshots that replace the cached preview
+        document.addEventListener('saveRedactedScreenshot', (event) => {
+            this.saveRedactedScreenshot(event.detail.tabInfo, event.detail.blob);
+        });
+
+        // Listen for annotations saved in the annotation editor
+        document.addEventListener('saveAnnotations', (event) => {
+            this.saveAnnotations({ id: event.detail.tabId, url: event.detail.url }, event.detail.annotations);
+        });
+
+        // Backup commands from the settings dialog
+        document.addEventListener('createBackup', () => {
+            this.createBackup();
+        });
+
+        document.addEventListener('restoreBackup', (event) => {
+            this.restoreBackup(event.detail.file, event.detail.mode);
+        });
+
         // Listen for removeTab events
         document.addEventListener('removeTab', (event) => {
             this.handleRemoveTab(event.detail.tabId, event.detail.tabInfo);
@@ -1912,11 +2447,12 @@ class App {
             return;
         }
 
-        // Get all open tabs (excluding the extension tab)
+        // Get all open tabs (excluding the extension tab and blocklisted sites)
         const openTabs = this.tabManager.persistentTabs.filter(tab =>
             tab.isOpenInChrome &&
             tab.id !== this.tabManager.extensionTabId &&
-            this.isCapturableUrl(tab.url)
+            this.isCapturableUrl(tab.url) &&
+            !this.isBlockedUrl(tab.url)
         );
 
         // Check if we have any capturable tabs
@@ -2216,11 +2752,14 @@ class App {
             if (showFullscreen) {
                 setTimeout(() => {
                     // Get the cached image URL for the target tab
-                    this.cacheManager.getScreenshot(targetTab.id)
+                    this.cacheManager.getScreenshot(targetTab)
                         .then(cachedData => {
-                            if (cachedData && cachedData.dataUrl) {
+                            if (cachedData && cachedData.blob) {
                                 // Toggle fullscreen preview mode
-                                this.ui.toggleFullscreenPreview(targetTab, cachedData.dataUrl);
+                                this.ui.toggleFullscreenPreview(
+                                    { ...targetTab, ...this.getCaptureDetails(cachedData.metadata) },
+                                    cachedData.blob
+                                );
                             } else if (this.currentScreenshot) {
                                 // If for some reason we don't have cachedData but do have currentScreenshot
                                 this.ui.toggleFullscreenPreview(targetTab, this.currentScreenshot);
@@ -2450,6 +2989,71 @@ class App {
         }
     }
 
+    /**
+     * Replace a tab's cached preview with its redacted version
+     * @param {Object} tabInfo - Tab the screenshot belongs to
+     * @param {Blob} blob - Redacted screenshot
+     */
+    async saveRedactedScreenshot(tabInfo, blob) {
+        if (!tabInfo || !tabInfo.id || !this.cacheManager) {
+            return;
+        }
+
+        try {
+            const cacheImage = await ImageProcessor.encodeImage(
+                blob,
+                ImageProcessor.getOutputOptions(this.getSettings(), 'cache')
+            );
+
+            const cached = await this.cacheManager.cacheScreenshot(tabInfo.id, cacheImage, {
+                title: tabInfo.title || 'Captured Tab',
+                url: tabInfo.url || '',
+                favIconUrl: tabInfo.favIconUrl || this.getFavIconForUrl(tabInfo.url || ''),
+                capturedAt: tabInfo.capturedAt || null,
+                viewport: tabInfo.viewport || null,
+                annotations: tabInfo.annotations || null,
+                sensitiveText: null,
+                redacted: true
+            });
+            if (!cached) {
+                throw new Error('The cache rejected the image');
+            }
+
+            // Keep the preview panel in step when it shows the same tab
+            if (this.currentTabInfo && this.currentTabInfo.id === tabInfo.id) {
+                this.ui.showScreenshot(ImageProcessor.createImageUrl(blob), { ...tabInfo });
+                this.currentScreenshot = blob;
+            }
+
+            this.ui.showMessage('Redacted screenshot saved to the cache', 'success', 3000);
+        } catch (error) {
+            console.error('Failed to save redacted screenshot:', error);
+            this.ui.showMessage('Could not save the redacted screenshot: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Store annotations with a tab's cached screenshot
+     * @param {Object} tab - Tab the screenshot belongs to (id, url)
+     * @param {Object|null} annotations - Annotation data, null to remove them
+     */
+    async saveAnnotations(tab, annotations) {
+        if (!tab || !tab.id || !this.cacheManager) {
+            return;
+        }
+
+        try {
+            const saved = await this.cacheManager.updateMetadata(tab, { annotations: annotations });
+            if (!saved) {
+                throw new Error('The screenshot is no longer cached');
+            }
+            this.ui.showMessage(annotations ? 'Annotations saved' : 'Annotations removed', 'success', 2000);
+        } catch (error) {
+            console.error('Failed to save annotations:', error);
+            this.ui.showMessage('Could not save the annotations: ' + error.message, 'error');
+        }
+    }
+
     /**
      * Handle starring/unstarring a tab
      * @param {number} tabId - ID of the tab to toggle star status
@@ -2541,11 +3145,19 @@ class App {
             // Remove the tab from the persistent tabs list
             this.tabManager.removeTab(tabId);
             
-            // Clear the cache for this tab
+            // Clear the cache for this tab, unless another listed tab shows the same page
             if (this.cacheManager) {
-                this.cacheManager.removeScreenshot(tabId).catch(error => {
-                    console.warn(`Failed to clear tab cache: ${error.message}`);
-                });
+                const tab = { id: tabId, url: tabInfo.url };
+                const cacheKey = this.cacheManager.resolveKey(tab);
+                const sharedWithOtherTab = !!cacheKey && this.tabManager.persistentTabs.some(other =>
+                    other.id !== tabId && this.cacheManager.resolveKey(other) === cacheKey
+                );
+
+                if (!sharedWithOtherTab) {
+                    this.cacheManager.removeScreenshot(tab).catch(error => {
+                        console.warn(`Failed to clear tab cache: ${error.message}`);
+                    });
+                }
             }
             
             // Refresh the tab list
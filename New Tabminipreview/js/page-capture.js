@@ -17,6 +17,33 @@
     let MAX_SCROLLS = 500; // Maximum number of scrolls for safety
     let RETRY_BACKOFF_MULTIPLIER = 1.5; // Exponential backoff multiplier for retries
     let currentRetryDelay = 500; // Starting retry delay
+    const SELECTION_HEARTBEAT_INTERVAL = 10000; // Keep the capture job alive while the user picks an area
+    const MIN_REGION_SIZE = 10; // Smallest region (in px) accepted from a drag selection
+    const MIN_CONTAINER_SCROLL = 50; // Minimum extra content for an element to count as scrollable
+    const MIN_CONTAINER_AREA_RATIO = 0.25; // Share of the viewport a container must cover to be captured
+    let SCROLL_TARGET = 'auto'; // 'auto' detects scrolling containers, 'document' disables it, 'pick' asks the user
+    let WARM_UP_LAZY_CONTENT = false; // Scroll through the page once so lazy content loads before capturing
+    const WARM_UP_STEP_DELAY = 150; // Pause at each warm-up position so lazy loaders notice the scroll
+    const WARM_UP_IMAGE_TIMEOUT = 2000; // Longest wait for the visible images at one warm-up position
+    const WARM_UP_MAX_DURATION = 15000; // Upper bound for the whole warm-up pass
+    const NETWORK_IDLE_WINDOW = 500; // No new resource requests for this long counts as network idle
+    const NETWORK_IDLE_TIMEOUT = 3000; // Longest wait for the network to go idle
+    let FREEZE_ANIMATIONS = true; // Pause animations, media and carousels so tiles line up
+    let SUPPRESS_OVERLAYS = true; // Hide cookie banners, modals and floating widgets while capturing
+    let OVERLAY_SELECTORS = {}; // User selectors to hide, keyed by domain ('*' applies everywhere)
+    const OVERLAY_KEYWORDS = /cookie|consent|gdpr|onetrust|didomi|cmp-|truste|newsletter|subscribe|signup|modal|popup|pop-up|lightbox|backdrop|interstitial|chat|intercom|drift|crisp|zendesk|hubspot|tawk|livechat/i;
+    const OVERLAY_MIN_Z_INDEX = 1000; // Fixed layers above this z-index may be overlays
+    const OVERLAY_MIN_COVERAGE = 0.5; // Share of the viewport a high layer must cover to count as a backdrop
+    let MASK_SENSITIVE_FIELDS = true; // Cover password fields and other sensitive inputs while capturing
+    let SENSITIVE_FIELD_SELECTORS = {}; // Extra fields and editable regions to cover, keyed by domain ('*' applies everywhere)
+    const MASK_ATTRIBUTE = 'data-gfp-masked'; // Marks covered elements so one stylesheet can hide their contents
+    let SENSITIVE_TEXT_PATTERNS = []; // Regular expressions whose matches are offered for redaction
+    const MAX_SENSITIVE_MATCHES = 500; // Upper bound of recorded matches per capture
+    const MAX_SENSITIVE_TEXT_NODES = 50000; // Stop scanning very large documents after this many text nodes
+    const SENSITIVE_TEXT_PADDING = 2; // Grow recorded boxes a little so glyph edges are covered
+    let captureCancelled = false; // Set when the user cancels the capture from the extension page
+    let cancelActiveCapture = null; // Stops the current picker or restores the page mid-capture
+    let restoreDebuggerCapture = null; // Undoes the page changes made for a DevTools protocol capture
 
     // Track if we've already added the listener to avoid duplicate initialization
     if (window.hasScreenCapturePage) {
@@ -26,16 +53,61 @@
 
     // Set up message listener
     chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+        if (request.action === 'cancel_capture') {
+            cancelCapture();
+            sendResponse({ success: true });
+            return false;
+        }
+
         if (request.action === 'begin_capture') {
+            captureCancelled = false;
+            cancelActiveCapture = null;
+
             // Apply custom capture parameters if provided
             if (request.captureParams) {
                 applyCustomCaptureParameters(request.captureParams);
             }
 
-            // Begin the capture process
-            beginCapture(sendResponse);
+            // Element and region captures wait for the user to pick an area first
+            const mode = request.captureParams?.mode || 'page';
+            const resume = request.captureParams?.resume || null;
+            if (resume) {
+                // Resuming only captures the positions that are still missing
+                beginCapture(sendResponse, null, undefined, resume);
+            } else if (mode === 'element' || mode === 'region') {
+                beginSelectionCapture(mode, sendResponse);
+            } else if (SCROLL_TARGET === 'pick') {
+                // Let the user point at the scrolling area to capture
+                beginSelectionCapture('container', sendResponse);
+            } else {
+                // Begin the capture process
+                beginCapture(sendResponse);
+            }
             return true; // Keep the message channel open for async response
         }
+
+        // The DevTools protocol engine renders the page itself, the page is only prepared and restored
+        if (request.action === 'prepare_debugger_capture') {
+            captureCancelled = false;
+            if (request.captureParams) {
+                applyCustomCaptureParameters(request.captureParams);
+            }
+
+            // Content of an inner scroll container is only reachable by scrolling it, leave it to the scroll engine
+            if (SCROLL_TARGET === 'auto' && findDominantScrollContainer()) {
+                sendResponse({ success: true, scrollContainer: true });
+                return false;
+            }
+
+            sendResponse(prepareDebuggerCapture());
+            return false;
+        }
+
+        if (request.action === 'finish_debugger_capture') {
+            finishDebuggerCapture();
+            sendResponse({ success: true });
+            return false;
+        }
         return false;
     });
 
@@ -64,6 +136,123 @@
             MAX_SCROLLS = params.maxScrolls;
             console.log(`Using custom max scrolls: ${MAX_SCROLLS}`);
         }
+
+        // Apply scroll target if specified
+        if (['auto', 'document', 'pick'].includes(params.scrollTarget)) {
+            SCROLL_TARGET = params.scrollTarget;
+            console.log(`Using scroll target: ${SCROLL_TARGET}`);
+        }
+
+        // Apply lazy content warm-up if specified
+        if (typeof params.warmUpLazyContent === 'boolean') {
+            WARM_UP_LAZY_CONTENT = params.warmUpLazyContent;
+            console.log(`Lazy content warm-up: ${WARM_UP_LAZY_CONTENT ? 'enabled' : 'disabled'}`);
+        }
+
+        // Apply animation freezing if specified
+        if (typeof params.freezeAnimations === 'boolean') {
+            FREEZE_ANIMATIONS = params.freezeAnimations;
+            console.log(`Animation freezing: ${FREEZE_ANIMATIONS ? 'enabled' : 'disabled'}`);
+        }
+
+        // Apply overlay suppression if specified
+        if (typeof params.suppressOverlays === 'boolean') {
+            SUPPRESS_OVERLAYS = params.suppressOverlays;
+            console.log(`Overlay suppression: ${SUPPRESS_OVERLAYS ? 'enabled' : 'disabled'}`);
+        }
+
+        if (params.overlaySelectors && typeof params.overlaySelectors === 'object') {
+            OVERLAY_SELECTORS = params.overlaySelectors;
+        }
+
+        // Apply sensitive field masking if specified
+        if (typeof params.maskSensitiveFields === 'boolean') {
+            MASK_SENSITIVE_FIELDS = params.maskSensitiveFields;
+            console.log(`Sensitive field masking: ${MASK_SENSITIVE_FIELDS ? 'enabled' : 'disabled'}`);
+        }
+
+        if (params.sensitiveFieldSelectors && typeof params.sensitiveFieldSelectors === 'object') {
+            SENSITIVE_FIELD_SELECTORS = params.sensitiveFieldSelectors;
+        }
+
+        // Apply sensitive text detection if specified
+        if (Array.isArray(params.redactionPatterns)) {
+            SENSITIVE_TEXT_PATTERNS = params.autoRedact === false ? [] : params.redactionPatterns;
+            console.log(`Sensitive text patterns: ${SENSITIVE_TEXT_PATTERNS.length}`);
+        }
+    }
+
+    /**
+     * Stop the running capture and put the page back the way it was
+     */
+    function cancelCapture() {
+        console.log('Capture cancelled by the user');
+        captureCancelled = true;
+
+        if (cancelActiveCapture) {
+            const cancel = cancelActiveCapture;
+            cancelActiveCapture = null;
+            cancel();
+        } else {
+            removeOverlay();
+        }
+    }
+
+    /**
+     * Prepare the page for a capture through the DevTools protocol: overlays are
+     * hidden, motion is frozen (segments are taken one after another), sensitive
+     * fields are covered and the page is scrolled to the top until
+     * finishDebuggerCapture is called. Text matching the redaction patterns
+     * is recorded as for the scroll engine.
+     * @returns {Object} - Response for the background script
+     */
+    function prepareDebuggerCapture() {
+        // A previous capture that never finished must not leave its changes behind
+        finishDebuggerCapture();
+
+        const overlaySuppression = SUPPRESS_OVERLAYS ? suppressOverlays(getFixedElements()) : null;
+        const fieldMasking = MASK_SENSITIVE_FIELDS ? maskSensitiveFields() : null;
+        const unfreezePageMotion = FREEZE_ANIMATIONS ? freezePageMotion() : null;
+        const scroller = createScroller(null);
+        const originalX = scroller.getX();
+        const originalY = scroller.getY();
+
+        restoreDebuggerCapture = () => {
+            if (unfreezePageMotion) unfreezePageMotion();
+            if (fieldMasking) fieldMasking.restore();
+            if (overlaySuppression) overlaySuppression.restore();
+            scroller.scrollTo(originalX, originalY);
+        };
+
+        // The whole page is captured in one piece, fixed elements show where they are at the top
+        scroller.scrollTo(0, 0);
+
+        let sensitiveText = null;
+        try {
+            const fixedElementsData = getFixedElements().map(element => ({ element: element }));
+            sensitiveText = findSensitiveText(scroller, null, fixedElementsData, document.documentElement.scrollWidth,
+                [{ x: 0, y: 0, width: window.innerWidth, height: window.innerHeight }]);
+        } catch (error) {
+            console.warn('Could not scan for sensitive text:', error);
+        }
+
+        return {
+            success: true,
+            maskedFields: fieldMasking ? fieldMasking.count : 0,
+            suppressedOverlays: overlaySuppression ? overlaySuppression.overlays : [],
+            sensitiveText: sensitiveText
+        };
+    }
+
+    /**
+     * Undo the page changes made by prepareDebuggerCapture
+     */
+    function finishDebuggerCapture() {
+        if (restoreDebuggerCapture) {
+            const restore = restoreDebuggerCapture;
+            restoreDebuggerCapture = null;
+            restore();
+        }
     }
 
     /**
@@ -78,8 +267,11 @@
     /**
      * Begin the capture process
      * @param {function} sendResponse - Function to send response back
+     * @param {Object} selection - Optional element ({element}) or region ({rect}) to capture
+     * @param {Element} scrollContainer - Optional inner element to scroll instead of the document
+     * @param {Object} resume - Optional remaining positions and geometry of an interrupted capture
      */
-    function beginCapture(sendResponse) {
+    function beginCapture(sendResponse, selection = null, scrollContainer = undefined, resume = null) {
         try {
             // Wait for any pending UI updates to complete
             setTimeout(() => {
@@ -87,10 +279,39 @@
                 showCaptureOverlay('Starting capture...');
 
                 // Delay to give the overlay time to appear and page to stabilize
-                setTimeout(() => {
+                setTimeout(async () => {
                     try {
+                        if (captureCancelled) {
+                            removeOverlay();
+                            return;
+                        }
+
+                        // A resumed capture scrolls the same kind of area as the interrupted one
+                        if (resume) {
+                            scrollContainer = resume.geometry && resume.geometry.scrollContainer
+                                ? findDominantScrollContainer()
+                                : null;
+                        }
+
+                        // Detect an app-style scrolling container unless one was picked or an area is selected
+                        if (scrollContainer === undefined) {
+                            scrollContainer = !selection && SCROLL_TARGET === 'auto'
+                                ? findDominantScrollContainer()
+                                : null;
+                        }
+
+                        // Optionally load lazy images and iframes before measuring the page
+                        const warmUp = WARM_UP_LAZY_CONTENT && !resume
+                            ? await warmUpLazyContent(createScroller(scrollContainer))
+                            : null;
+
+                        if (captureCancelled) {
+                            removeOverlay();
+                            return;
+                        }
+
                         // Calculate page dimensions and scroll positions
-                        calculatePageInfo();
+                        calculatePageInfo(selection, scrollContainer, warmUp, resume);
                         // Acknowledge successful start
                         sendResponse({ success: true });
                     } catch (error) {
@@ -108,6 +329,924 @@
         }
     }
 
+    /**
+     * Scroll through the page top to bottom so lazy-loaded images and iframes load,
+     * wait for them and for the network to settle, then restore the scroll position
+     * @param {Object} scroller - Scroller for the document or an inner scroll container
+     * @returns {Promise<Object>} - Content height before and after the warm-up
+     */
+    async function warmUpLazyContent(scroller) {
+        const originalX = scroller.getX();
+        const originalY = scroller.getY();
+        const initialHeight = scroller.getContentHeight();
+        const startTime = Date.now();
+
+        // Native lazy loading only starts near the viewport, so load everything eagerly
+        const lazyElements = Array.from(document.querySelectorAll('img[loading="lazy"], iframe[loading="lazy"]'));
+        lazyElements.forEach(element => {
+            element.loading = 'eager';
+        });
+
+        updateCaptureOverlay('Loading lazy content...');
+
+        try {
+            const stepHeight = Math.max(100, scroller.element ? scroller.element.clientHeight : window.innerHeight);
+            let y = 0;
+
+            // The maximum is re-read on every step because the page can grow while we scroll
+            while (y <= scroller.getMaxY() && y <= MAX_CAPTURE_HEIGHT) {
+                if (captureCancelled) {
+                    break;
+                }
+
+                if (Date.now() - startTime > WARM_UP_MAX_DURATION) {
+                    console.log('Lazy content warm-up took too long, continuing with capture');
+                    break;
+                }
+
+                scroller.scrollTo(originalX, y);
+                await wait(WARM_UP_STEP_DELAY);
+                await waitForVisibleImages(WARM_UP_IMAGE_TIMEOUT);
+
+                // Keep the capture job alive while warming up
+                chrome.runtime.sendMessage({
+                    action: 'capture_progress',
+                    percent: 0,
+                    status: 'Loading lazy content...'
+                });
+
+                y += stepHeight;
+            }
+
+            await waitForNetworkIdle(NETWORK_IDLE_TIMEOUT);
+        } catch (error) {
+            // The warm-up only improves the result, never fail the capture because of it
+            console.warn('Lazy content warm-up failed:', error);
+        } finally {
+            lazyElements.forEach(element => {
+                element.loading = 'lazy';
+            });
+
+            // processArrangements expects the page where the user left it
+            scroller.scrollTo(originalX, originalY);
+            await wait(WARM_UP_STEP_DELAY);
+        }
+
+        const finalHeight = scroller.getContentHeight();
+        console.log(`Lazy content warm-up finished: height ${initialHeight} -> ${finalHeight}`);
+
+        return { initialHeight, finalHeight };
+    }
+
+    /**
+     * Wait until the images inside the viewport have finished loading
+     * @param {number} timeout - Maximum time to wait in ms
+     * @returns {Promise<void>} - Resolves when loaded or timed out
+     */
+    function waitForVisibleImages(timeout) {
+        const pending = Array.from(document.images).filter(img => {
+            if (img.complete) return false;
+            const rect = img.getBoundingClientRect();
+            return rect.bottom > 0 && rect.top < window.innerHeight &&
+                rect.right > 0 && rect.left < window.innerWidth;
+        });
+
+        if (pending.length === 0) {
+            return Promise.resolve();
+        }
+
+        const loads = pending.map(img => new Promise(resolve => {
+            img.addEventListener('load', resolve, { once: true });
+            img.addEventListener('error', resolve, { once: true });
+        }));
+
+        return Promise.race([Promise.all(loads), wait(timeout)]);
+    }
+
+    /**
+     * Wait until no new resources have been requested for a short window
+     * @param {number} timeout - Maximum time to wait in ms
+     * @returns {Promise<void>} - Resolves when the network looks idle or timed out
+     */
+    function waitForNetworkIdle(timeout) {
+        return new Promise(resolve => {
+            if (typeof PerformanceObserver === 'undefined') {
+                resolve();
+                return;
+            }
+
+            let idleTimer = null;
+            let observer = null;
+
+            const finish = () => {
+                clearTimeout(idleTimer);
+                clearTimeout(timeoutTimer);
+                if (observer) observer.disconnect();
+                resolve();
+            };
+
+            const timeoutTimer = setTimeout(finish, timeout);
+            idleTimer = setTimeout(finish, NETWORK_IDLE_WINDOW);
+
+            try {
+                // Every new resource entry restarts the idle window
+                observer = new PerformanceObserver(() => {
+                    clearTimeout(idleTimer);
+                    idleTimer = setTimeout(finish, NETWORK_IDLE_WINDOW);
+                });
+                observer.observe({ type: 'resource', buffered: false });
+            } catch (error) {
+                console.warn('Could not observe network activity:', error);
+            }
+        });
+    }
+
+    /**
+     * Promise based delay
+     * @param {number} ms - Time to wait in ms
+     * @returns {Promise<void>} - Resolves after the delay
+     */
+    function wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Stop everything on the page that moves between tiles: CSS animations and
+     * transitions, smooth scrolling, playing media, marquees and carousel timers
+     * @returns {Function} - Restores the page to its previous state
+     */
+    function freezePageMotion() {
+        // Pause CSS animations and transitions and make scrolling instant
+        const style = document.createElement('style');
+        style.id = 'gfp-capture-freeze-style';
+        style.textContent = `
+            *, *::before, *::after {
+                animation-play-state: paused !important;
+                transition: none !important;
+                scroll-behavior: auto !important;
+            }
+        `;
+        (document.head || document.documentElement).appendChild(style);
+
+        // Pause media that is currently playing
+        const playingMedia = Array.from(document.querySelectorAll('video, audio'))
+            .filter(media => !media.paused && !media.ended);
+        playingMedia.forEach(media => media.pause());
+
+        // Stop legacy marquee elements
+        const marquees = Array.from(document.querySelectorAll('marquee'));
+        marquees.forEach(marquee => {
+            if (typeof marquee.stop === 'function') {
+                marquee.stop();
+            }
+        });
+
+        // Carousels are paused by capture-freeze.js, which the background script
+        // loads into the page's own context before the capture starts
+        document.dispatchEvent(new CustomEvent('gfp-capture-freeze'));
+
+        return function unfreezePageMotion() {
+            style.remove();
+
+            document.dispatchEvent(new CustomEvent('gfp-capture-unfreeze'));
+
+            marquees.forEach(marquee => {
+                if (typeof marquee.start === 'function') {
+                    marquee.start();
+                }
+            });
+
+            playingMedia.forEach(media => {
+                const playPromise = media.play();
+                if (playPromise && typeof playPromise.catch === 'function') {
+                    // Autoplay policies can refuse to resume, the media simply stays paused
+                    playPromise.catch(() => {});
+                }
+            });
+        };
+    }
+
+    /**
+     * Get the user's selectors that apply to the current page
+     * @param {Object} selectorsByDomain - Selectors keyed by domain ('*' applies everywhere)
+     * @returns {Array<string>} - CSS selectors
+     */
+    function getSelectorsForPage(selectorsByDomain) {
+        const hostname = window.location.hostname.toLowerCase();
+
+        return Object.entries(selectorsByDomain)
+            .filter(([domain]) => {
+                const normalized = domain.toLowerCase().replace(/^\*?\./, '');
+                // A domain entry also covers its subdomains
+                return domain === '*' || hostname === normalized || hostname.endsWith('.' + normalized);
+            })
+            .flatMap(([, selectors]) => Array.isArray(selectors) ? selectors : []);
+    }
+
+    /**
+     * Decide whether a fixed element looks like a banner, modal or floating widget
+     * @param {Element} element - Fixed position element
+     * @returns {string|null} - Reason for hiding it, or null to keep it
+     */
+    function getOverlayReason(element) {
+        const identity = [
+            element.id,
+            typeof element.className === 'string' ? element.className : '',
+            element.getAttribute('aria-label') || '',
+            element.getAttribute('data-testid') || ''
+        ].join(' ');
+
+        if (OVERLAY_KEYWORDS.test(identity)) {
+            return 'keyword';
+        }
+
+        if (element.getAttribute('role') === 'dialog' || element.getAttribute('aria-modal') === 'true') {
+            return 'dialog';
+        }
+
+        // Large layers stacked above the page are usually modal backdrops
+        const zIndex = parseInt(window.getComputedStyle(element).zIndex, 10);
+        if (zIndex >= OVERLAY_MIN_Z_INDEX) {
+            const rect = element.getBoundingClientRect();
+            const visibleWidth = Math.max(0, Math.min(rect.right, window.innerWidth) - Math.max(rect.left, 0));
+            const visibleHeight = Math.max(0, Math.min(rect.bottom, window.innerHeight) - Math.max(rect.top, 0));
+            if (visibleWidth * visibleHeight >= window.innerWidth * window.innerHeight * OVERLAY_MIN_COVERAGE) {
+                return 'backdrop';
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Describe an element briefly for the capture report
+     * @param {Element} element - Element to describe
+     * @returns {string} - Description such as div#consent.banner
+     */
+    function describeElement(element) {
+        let description = element.tagName.toLowerCase();
+        if (element.id) {
+            description += '#' + element.id;
+        }
+        if (typeof element.className === 'string' && element.className.trim()) {
+            description += '.' + element.className.trim().split(/\s+/).slice(0, 2).join('.');
+        }
+        return description;
+    }
+
+    /**
+     * Hide consent banners, modal backdrops and floating widgets for the capture.
+     * Fixed elements are checked with heuristics, user selectors for the domain
+     * are always hidden.
+     * @param {Array<Element>} fixedElements - Fixed position elements from getFixedElements
+     * @param {Array<Element>} keepElements - Elements that must stay visible (selection, scroll container)
+     * @returns {Object} - {overlays: descriptions of hidden elements, restore: undoes the hiding}
+     */
+    function suppressOverlays(fixedElements, keepElements = []) {
+        const keep = keepElements.filter(Boolean);
+        const candidates = new Map();
+
+        // Never hide our own UI or anything that holds the area being captured
+        const isProtected = (element) =>
+            element === document.documentElement ||
+            element === document.body ||
+            (element.id && element.id.startsWith('gfp-')) ||
+            keep.some(kept => element.contains(kept));
+
+        getSelectorsForPage(OVERLAY_SELECTORS).forEach(selector => {
+            try {
+                document.querySelectorAll(selector).forEach(element => {
+                    if (!isProtected(element)) {
+                        candidates.set(element, 'selector');
+                    }
+                });
+            } catch (error) {
+                console.warn('Invalid overlay selector:', selector);
+            }
+        });
+
+        fixedElements.forEach(element => {
+            if (candidates.has(element) || isProtected(element)) return;
+
+            const reason = getOverlayReason(element);
+            if (reason) {
+                candidates.set(element, reason);
+            }
+        });
+
+        const hidden = [];
+        candidates.forEach((reason, element) => {
+            // Nested matches disappear with their hidden ancestor
+            if (hidden.some(data => data.element.contains(element))) return;
+
+            hidden.push({
+                element,
+                reason,
+                originalDisplay: element.style.getPropertyValue('display'),
+                originalPriority: element.style.getPropertyPriority('display')
+            });
+            element.style.setProperty('display', 'none', 'important');
+        });
+
+        if (hidden.length > 0) {
+            console.log('Suppressed overlays:', hidden.map(data => `${describeElement(data.element)} (${data.reason})`));
+        }
+
+        return {
+            overlays: hidden.map(data => ({ element: describeElement(data.element), reason: data.reason })),
+            restore() {
+                hidden.forEach(data => {
+                    if (data.originalDisplay) {
+                        data.element.style.setProperty('display', data.originalDisplay, data.originalPriority);
+                    } else {
+                        data.element.style.removeProperty('display');
+                    }
+                });
+            }
+        };
+    }
+
+    /**
+     * Cover password fields, fields matching the sensitive field selectors and
+     * flagged editable regions so their contents never reach a screenshot.
+     * The elements keep their size, only what is typed in them is hidden.
+     * @returns {Object} - {count: number of covered elements, restore: undoes the masking}
+     */
+    function maskSensitiveFields() {
+        const elements = new Set(document.querySelectorAll('input[type=password]'));
+
+        getSelectorsForPage(SENSITIVE_FIELD_SELECTORS).forEach(selector => {
+            try {
+                document.querySelectorAll(selector).forEach(element => elements.add(element));
+            } catch (error) {
+                console.warn('Invalid sensitive field selector:', selector);
+            }
+        });
+
+        // Never cover our own UI or the whole page
+        const masked = Array.from(elements).filter(element =>
+            element !== document.documentElement &&
+            element !== document.body &&
+            !(element.id && element.id.startsWith('gfp-'))
+        );
+
+        if (masked.length === 0) {
+            return { count: 0, restore() {} };
+        }
+
+        const style = document.createElement('style');
+        style.id = 'gfp-mask-style';
+        style.textContent = `
+            [${MASK_ATTRIBUTE}], [${MASK_ATTRIBUTE}] *, [${MASK_ATTRIBUTE}]::placeholder {
+                color: transparent !important;
+                -webkit-text-fill-color: transparent !important;
+                text-shadow: none !important;
+                caret-color: transparent !important;
+            }
+            [${MASK_ATTRIBUTE}] {
+                background-color: #c8c8c8 !important;
+                background-image: repeating-linear-gradient(45deg, rgba(255, 255, 255, 0.35) 0 6px, transparent 6px 12px) !important;
+            }
+            [${MASK_ATTRIBUTE}] img, [${MASK_ATTRIBUTE}] svg, [${MASK_ATTRIBUTE}] video,
+            [${MASK_ATTRIBUTE}] canvas, [${MASK_ATTRIBUTE}] iframe {
+                visibility: hidden !important;
+            }
+        `;
+        (document.head || document.documentElement).appendChild(style);
+        masked.forEach(element => element.setAttribute(MASK_ATTRIBUTE, ''));
+
+        console.log(`Masked ${masked.length} sensitive field(s):`, masked.map(describeElement));
+
+        return {
+            count: masked.length,
+            restore() {
+                masked.forEach(element => element.removeAttribute(MASK_ATTRIBUTE));
+                style.remove();
+            }
+        };
+    }
+
+    /**
+     * Compile the configured sensitive text patterns, skipping invalid ones
+     * @returns {Array<RegExp>} - Global, case-insensitive expressions
+     */
+    function compileSensitivePatterns() {
+        return SENSITIVE_TEXT_PATTERNS.map(source => {
+            try {
+                return new RegExp(source, 'gi');
+            } catch (error) {
+                console.warn('Ignoring invalid redaction pattern:', source, error);
+                return null;
+            }
+        }).filter(Boolean);
+    }
+
+    /**
+     * Record where text matching the sensitive patterns appears in the captured area.
+     * Boxes are in CSS pixels relative to the top-left of the stitched screenshot.
+     * @param {Object} scroller - Scroller used for the capture
+     * @param {Object|null} clip - Capture area of element and region captures
+     * @param {Array} fixedElementsData - Fixed elements, whose position differs per tile
+     * @param {number} areaWidth - Width of the captured area in CSS pixels
+     * @param {Array<Object>} tiles - Captured tiles ({x, y, width, height} in content coordinates) in drawing order
+     * @returns {Object|null} - {width, rects} or null when nothing matched
+     */
+    function findSensitiveText(scroller, clip, fixedElementsData, areaWidth, tiles) {
+        const patterns = compileSensitivePatterns();
+        if (patterns.length === 0) return null;
+
+        const root = scroller.element || document.body;
+        if (!root) return null;
+
+        // Viewport coordinates are converted to coordinates of the scrolled content
+        let toContentX = (x) => x + window.scrollX;
+        let toContentY = (y) => y + window.scrollY;
+        if (scroller.element) {
+            const box = scroller.element.getBoundingClientRect();
+            toContentX = (x) => x - box.left - scroller.element.clientLeft + scroller.element.scrollLeft;
+            toContentY = (y) => y - box.top - scroller.element.clientTop + scroller.element.scrollTop;
+        }
+        const originX = clip ? clip.x : 0;
+        const originY = clip ? clip.y : 0;
+
+        const rects = [];
+        const addRect = (rect, pattern, shift = { x: 0, y: 0 }) => {
+            if (rect.width < 1 || rect.height < 1 || rects.length >= MAX_SENSITIVE_MATCHES) return;
+            rects.push({
+                x: Math.round(toContentX(rect.left) + shift.x - originX - SENSITIVE_TEXT_PADDING),
+                y: Math.round(toContentY(rect.top) + shift.y - originY - SENSITIVE_TEXT_PADDING),
+                width: Math.round(rect.width + SENSITIVE_TEXT_PADDING * 2),
+                height: Math.round(rect.height + SENSITIVE_TEXT_PADDING * 2),
+                pattern: pattern.source
+            });
+        };
+        const isSkipped = (element) => !element ||
+            element.closest(`script, style, noscript, template, #gfp-capture-overlay, [${MASK_ATTRIBUTE}]`);
+        const isFixed = (element) => fixedElementsData.some(data => data.element.contains(element));
+
+        // A fixed element is captured again on every tile, at the same place in the
+        // viewport; each copy stays in the screenshot unless a later tile covers it
+        const scrollX = scroller.getX();
+        const scrollY = scroller.getY();
+        const addFixedRect = (rect, pattern) => {
+            tiles.forEach((tile, index) => {
+                const shift = { x: tile.x - scrollX, y: tile.y - scrollY };
+                const left = toContentX(rect.left) + shift.x;
+                const top = toContentY(rect.top) + shift.y;
+                const covered = tiles.slice(index + 1).some(later =>
+                    left >= later.x && top >= later.y &&
+                    left + rect.width <= later.x + later.width && top + rect.height <= later.y + later.height);
+                if (!covered) {
+                    addRect(rect, pattern, shift);
+                }
+            });
+        };
+        const addMatch = (rect, pattern, fixed) => {
+            if (fixed) {
+                addFixedRect(rect, pattern);
+            } else {
+                addRect(rect, pattern);
+            }
+        };
+
+        // Text on the page, and on fixed elements placed outside a scrolled container
+        const roots = [root, ...fixedElementsData.map(data => data.element).filter(element => !root.contains(element))];
+        const range = document.createRange();
+        let nodeCount = 0;
+        roots.forEach(scanRoot => {
+            const walker = document.createTreeWalker(scanRoot, NodeFilter.SHOW_TEXT);
+            let node;
+            while ((node = walker.nextNode()) && nodeCount++ < MAX_SENSITIVE_TEXT_NODES && rects.length < MAX_SENSITIVE_MATCHES) {
+                const text = node.nodeValue;
+                if (!text || text.trim().length < 3 || isSkipped(node.parentElement)) continue;
+
+                const fixed = isFixed(node.parentElement);
+                patterns.forEach(pattern => {
+                    pattern.lastIndex = 0;
+                    let match;
+                    while ((match = pattern.exec(text)) && rects.length < MAX_SENSITIVE_MATCHES) {
+                        if (match[0].length === 0) {
+                            pattern.lastIndex++;
+                            continue;
+                        }
+                        range.setStart(node, match.index);
+                        range.setEnd(node, match.index + match[0].length);
+                        Array.from(range.getClientRects()).forEach(rect => addMatch(rect, pattern, fixed));
+                    }
+                });
+            }
+
+            // Values typed into form fields are not text nodes, cover the whole field
+            scanRoot.querySelectorAll('input:not([type=hidden]):not([type=password]), textarea').forEach(field => {
+                if (!field.value || isSkipped(field)) return;
+                const pattern = patterns.find(item => {
+                    item.lastIndex = 0;
+                    return item.test(field.value);
+                });
+                if (pattern) {
+                    addMatch(field.getBoundingClientRect(), pattern, isFixed(field));
+                }
+            });
+        });
+
+        return rects.length > 0 ? { width: areaWidth, rects: rects } : null;
+    }
+
+    /**
+     * Let the user pick an element, a region or a scrolling area, then capture it
+     * @param {string} mode - 'element', 'region' or 'container'
+     * @param {function} sendResponse - Function to send response back
+     */
+    function beginSelectionCapture(mode, sendResponse) {
+        // Acknowledge right away - picking can take as long as the user needs
+        sendResponse({ success: true });
+
+        // Report progress periodically so the capture job is not treated as stalled
+        const heartbeat = setInterval(() => {
+            chrome.runtime.sendMessage({
+                action: 'capture_progress',
+                percent: 0,
+                status: mode === 'region' ? 'Waiting for a region to be selected...' : 'Waiting for an element to be selected...'
+            });
+        }, SELECTION_HEARTBEAT_INTERVAL);
+
+        const onSelected = (selection) => {
+            clearInterval(heartbeat);
+            cancelActiveCapture = null;
+
+            // Cancelled from the extension page, the background already cleaned up
+            if (captureCancelled) {
+                return;
+            }
+
+            if (!selection) {
+                reportError('Selection cancelled');
+                return;
+            }
+
+            // The response was already sent, errors are reported through reportError
+            if (mode === 'container') {
+                beginCapture(() => {}, null, findScrollableAncestor(selection.element));
+            } else {
+                beginCapture(() => {}, selection);
+            }
+        };
+
+        if (mode === 'element') {
+            cancelActiveCapture = startElementPicker(onSelected);
+        } else if (mode === 'container') {
+            cancelActiveCapture = startElementPicker(onSelected, 'Click inside the scrolling area to capture (Esc cancels)');
+        } else {
+            cancelActiveCapture = startRegionPicker(onSelected);
+        }
+    }
+
+    /**
+     * Highlight elements under the cursor and let the user click one
+     * @param {function} onDone - Called with {element} or null when cancelled
+     * @param {string} prompt - Instruction shown while picking
+     * @returns {Function} - Closes the picker as if the user cancelled it
+     */
+    function startElementPicker(onDone, prompt = 'Click an element to capture it (\u2191 selects parent, Esc cancels)') {
+        const highlight = document.createElement('div');
+        highlight.id = 'gfp-element-highlight';
+        highlight.style.cssText = `
+            position: fixed;
+            display: none;
+            pointer-events: none;
+            z-index: 2147483646;
+            border: 2px solid #2196f3;
+            background: rgba(33, 150, 243, 0.15);
+            box-sizing: border-box;
+        `;
+        document.documentElement.appendChild(highlight);
+        showCaptureOverlay(prompt);
+
+        let currentElement = null;
+
+        const highlightElement = (element) => {
+            currentElement = element;
+            const rect = element.getBoundingClientRect();
+            highlight.style.display = 'block';
+            highlight.style.left = `${rect.left}px`;
+            highlight.style.top = `${rect.top}px`;
+            highlight.style.width = `${rect.width}px`;
+            highlight.style.height = `${rect.height}px`;
+        };
+
+        const onMouseMove = (e) => {
+            const target = document.elementFromPoint(e.clientX, e.clientY);
+            if (target && target !== highlight && target !== currentElement) {
+                highlightElement(target);
+            }
+        };
+
+        // Keep the page from reacting to the clicks used for picking
+        const suppressEvent = (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+        };
+
+        const onClick = (e) => {
+            suppressEvent(e);
+            finish(currentElement || e.target);
+        };
+
+        const onKeyDown = (e) => {
+            if (e.key === 'Escape') {
+                suppressEvent(e);
+                finish(null);
+            } else if (e.key === 'ArrowUp' && currentElement && currentElement.parentElement &&
+                currentElement.parentElement !== document.documentElement) {
+                suppressEvent(e);
+                highlightElement(currentElement.parentElement);
+            }
+        };
+
+        function finish(element) {
+            document.removeEventListener('mousemove', onMouseMove, true);
+            document.removeEventListener('mousedown', suppressEvent, true);
+            document.removeEventListener('mouseup', suppressEvent, true);
+            document.removeEventListener('click', onClick, true);
+            document.removeEventListener('keydown', onKeyDown, true);
+            highlight.remove();
+            removeOverlay();
+            onDone(element ? { element: element } : null);
+        }
+
+        document.addEventListener('mousemove', onMouseMove, true);
+        document.addEventListener('mousedown', suppressEvent, true);
+        document.addEventListener('mouseup', suppressEvent, true);
+        document.addEventListener('click', onClick, true);
+        document.addEventListener('keydown', onKeyDown, true);
+
+        return () => finish(null);
+    }
+
+    /**
+     * Let the user drag a rectangle over the visible part of the page
+     * @param {function} onDone - Called with {rect} in document coordinates or null when cancelled
+     * @returns {Function} - Closes the picker as if the user cancelled it
+     */
+    function startRegionPicker(onDone) {
+        const layer = document.createElement('div');
+        layer.id = 'gfp-region-layer';
+        layer.style.cssText = `
+            position: fixed;
+            inset: 0;
+            z-index: 2147483646;
+            cursor: crosshair;
+            background: rgba(0, 0, 0, 0.15);
+        `;
+
+        const box = document.createElement('div');
+        box.style.cssText = `
+            position: fixed;
+            display: none;
+            pointer-events: none;
+            border: 2px dashed #2196f3;
+            background: rgba(33, 150, 243, 0.15);
+            box-sizing: border-box;
+        `;
+        layer.appendChild(box);
+        document.documentElement.appendChild(layer);
+        showCaptureOverlay('Drag to select the area to capture (Esc cancels)');
+
+        let start = null;
+        let currentRect = null;
+
+        const onMouseDown = (e) => {
+            e.preventDefault();
+            start = { x: e.clientX, y: e.clientY };
+            currentRect = null;
+        };
+
+        const onMouseMove = (e) => {
+            if (!start) return;
+
+            currentRect = {
+                left: Math.min(start.x, e.clientX),
+                top: Math.min(start.y, e.clientY),
+                width: Math.abs(e.clientX - start.x),
+                height: Math.abs(e.clientY - start.y)
+            };
+            box.style.display = 'block';
+            box.style.left = `${currentRect.left}px`;
+            box.style.top = `${currentRect.top}px`;
+            box.style.width = `${currentRect.width}px`;
+            box.style.height = `${currentRect.height}px`;
+        };
+
+        const onMouseUp = () => {
+            if (!start) return;
+            start = null;
+
+            // Ignore accidental clicks, let the user try again
+            if (!currentRect || currentRect.width < MIN_REGION_SIZE || currentRect.height < MIN_REGION_SIZE) {
+                box.style.display = 'none';
+                return;
+            }
+
+            finish({
+                rect: {
+                    x: currentRect.left + window.scrollX,
+                    y: currentRect.top + window.scrollY,
+                    width: currentRect.width,
+                    height: currentRect.height
+                }
+            });
+        };
+
+        const onKeyDown = (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                e.stopPropagation();
+                finish(null);
+            }
+        };
+
+        function finish(selection) {
+            document.removeEventListener('keydown', onKeyDown, true);
+            layer.remove();
+            removeOverlay();
+            onDone(selection);
+        }
+
+        layer.addEventListener('mousedown', onMouseDown);
+        layer.addEventListener('mousemove', onMouseMove);
+        layer.addEventListener('mouseup', onMouseUp);
+        document.addEventListener('keydown', onKeyDown, true);
+
+        return () => finish(null);
+    }
+
+    /**
+     * Check whether an element scrolls its own content vertically
+     * @param {Element} element - Element to check
+     * @returns {boolean} - Whether the element is a scroll container with hidden content
+     */
+    function isScrollContainer(element) {
+        if (!element || element === document.documentElement || element === document.body) {
+            return false;
+        }
+
+        const overflowY = window.getComputedStyle(element).overflowY;
+        return (overflowY === 'auto' || overflowY === 'scroll' || overflowY === 'overlay') &&
+            element.scrollHeight > element.clientHeight + MIN_CONTAINER_SCROLL;
+    }
+
+    /**
+     * Find the scrolling element that dominates the viewport in app-style pages
+     * where the document itself does not scroll (e.g. mail clients, chat apps, boards)
+     * @returns {Element|null} - Scroll container or null to scroll the document
+     */
+    function findDominantScrollContainer() {
+        // A document that scrolls on its own is captured the normal way
+        const documentScrollRange = document.documentElement.scrollHeight - window.innerHeight;
+        if (documentScrollRange > MIN_CONTAINER_SCROLL) {
+            return null;
+        }
+
+        const viewportArea = window.innerWidth * window.innerHeight;
+        let bestElement = null;
+        let bestArea = 0;
+
+        const walker = document.createTreeWalker(document.body || document.documentElement, NodeFilter.SHOW_ELEMENT);
+        let node = walker.nextNode();
+        while (node) {
+            if (node.clientHeight > 0 && isScrollContainer(node)) {
+                // Score candidates by how much of the viewport they cover
+                const rect = node.getBoundingClientRect();
+                const visibleWidth = Math.max(0, Math.min(rect.right, window.innerWidth) - Math.max(rect.left, 0));
+                const visibleHeight = Math.max(0, Math.min(rect.bottom, window.innerHeight) - Math.max(rect.top, 0));
+                const area = visibleWidth * visibleHeight;
+
+                if (area > bestArea) {
+                    bestArea = area;
+                    bestElement = node;
+                }
+            }
+            node = walker.nextNode();
+        }
+
+        if (bestElement && bestArea >= viewportArea * MIN_CONTAINER_AREA_RATIO) {
+            console.log('Capturing dominant scroll container:', bestElement);
+            return bestElement;
+        }
+
+        return null;
+    }
+
+    /**
+     * Find the closest scroll container around a picked element
+     * @param {Element} element - Picked element
+     * @returns {Element|null} - Scroll container or null to scroll the document
+     */
+    function findScrollableAncestor(element) {
+        let current = element;
+        while (current && current !== document.body && current !== document.documentElement) {
+            if (isScrollContainer(current)) {
+                return current;
+            }
+            current = current.parentElement;
+        }
+
+        console.log('No scrolling container around the picked element, capturing the document');
+        return null;
+    }
+
+    /**
+     * Create a uniform scrolling interface for the document or an inner container
+     * @param {Element|null} container - Scroll container, or null for the document
+     * @returns {Object} - Scroller with position, scroll and size helpers
+     */
+    function createScroller(container) {
+        if (!container) {
+            return {
+                element: null,
+                getX: () => window.scrollX,
+                getY: () => window.scrollY,
+                scrollTo: (...args) => window.scrollTo(...args),
+                scrollBy: (...args) => window.scrollBy(...args),
+                getMaxX: () => Math.max(0, document.documentElement.scrollWidth - window.innerWidth),
+                getMaxY: () => Math.max(0, document.documentElement.scrollHeight - window.innerHeight),
+                getContentHeight: () => Math.max(
+                    document.documentElement.scrollHeight,
+                    document.body ? document.body.scrollHeight : 0
+                ),
+                getViewportBox: () => null
+            };
+        }
+
+        return {
+            element: container,
+            getX: () => container.scrollLeft,
+            getY: () => container.scrollTop,
+            scrollTo: (...args) => container.scrollTo(...args),
+            scrollBy: (...args) => container.scrollBy(...args),
+            getMaxX: () => Math.max(0, container.scrollWidth - container.clientWidth),
+            getMaxY: () => Math.max(0, container.scrollHeight - container.clientHeight),
+            getContentHeight: () => container.scrollHeight,
+            getViewportBox: () => {
+                // Visible part of the container's content box, in viewport coordinates
+                const rect = container.getBoundingClientRect();
+                const contentLeft = rect.left + container.clientLeft;
+                const contentTop = rect.top + container.clientTop;
+                const left = Math.max(0, contentLeft);
+                const top = Math.max(0, contentTop);
+                const right = Math.min(window.innerWidth, contentLeft + container.clientWidth);
+                const bottom = Math.min(window.innerHeight, contentTop + container.clientHeight);
+
+                return {
+                    // windowWidth lets the stitcher convert CSS pixels to screenshot pixels
+                    crop: {
+                        x: left,
+                        y: top,
+                        width: Math.max(0, right - left),
+                        height: Math.max(0, bottom - top),
+                        windowWidth: window.innerWidth
+                    },
+                    // Offset of the visible part inside the container's content box
+                    offsetX: left - contentLeft,
+                    offsetY: top - contentTop
+                };
+            }
+        };
+    }
+
+    /**
+     * Work out the area to capture for an element or region selection
+     * @param {Object} selection - {element} or {rect} in document coordinates
+     * @param {number} fullWidth - Full width of the page
+     * @param {number} fullHeight - Full height of the page
+     * @returns {Object} - Clip rectangle {x, y, width, height} in document coordinates
+     */
+    function getSelectionClip(selection, fullWidth, fullHeight) {
+        let rect = selection.rect;
+
+        if (selection.element) {
+            const elementRect = selection.element.getBoundingClientRect();
+            rect = {
+                x: elementRect.left + window.scrollX,
+                y: elementRect.top + window.scrollY,
+                width: elementRect.width,
+                height: elementRect.height
+            };
+        }
+
+        // Keep the clip inside the page and below the height limit
+        const x = Math.max(0, Math.floor(rect.x));
+        const y = Math.max(0, Math.floor(rect.y));
+        const width = Math.min(Math.ceil(rect.x + rect.width), fullWidth) - x;
+        const height = Math.min(Math.ceil(rect.y + rect.height), fullHeight, y + MAX_CAPTURE_HEIGHT) - y;
+
+        if (width < 1 || height < 1) {
+            throw new Error('The selected area is empty');
+        }
+
+        return { x, y, width, height };
+    }
+
     /**
      * Report an error to the background script
      * @param {string} errorMessage - Error message
@@ -121,17 +1260,31 @@
 
     /**
      * Calculate page dimensions and prepare for capture
+     * @param {Object} selection - Optional element ({element}) or region ({rect}) to capture
+     * @param {Element} scrollContainer - Optional inner element to scroll instead of the document
+     * @param {Object} warmUp - Optional heights measured by the lazy content warm-up
+     * @param {Object} resume - Optional remaining positions and geometry of an interrupted capture
      */
-    function calculatePageInfo() {
+    function calculatePageInfo(selection = null, scrollContainer = null, warmUp = null, resume = null) {
+        const scroller = createScroller(scrollContainer);
+
         // Save original scroll position to restore later
-        const originalX = window.scrollX;
-        const originalY = window.scrollY;
+        const originalX = scroller.getX();
+        const originalY = scroller.getY();
 
         // Get the body and document elements
         const body = document.body;
         const originalBodyOverflowYStyle = body ? body.style.overflowY : '';
         const originalOverflowStyle = document.documentElement.style.overflow;
 
+        // Hide banners, modals and floating widgets first so they are not measured or captured
+        const overlaySuppression = SUPPRESS_OVERLAYS
+            ? suppressOverlays(getFixedElements(), [selection && selection.element, scrollContainer])
+            : null;
+
+        // Cover passwords and other sensitive fields before the first tile is taken
+        const fieldMasking = MASK_SENSITIVE_FIELDS ? maskSensitiveFields() : null;
+
         // Detect and store fixed elements before capture starts
         const fixedElements = getFixedElements();
         const fixedElementsData = fixedElements.map(el => ({
@@ -165,15 +1318,31 @@
         ];
 
         // Use the maximum values for full dimensions
-        const fullWidth = max(widths);
-        const fullHeight = max(heights);
-
-        // Store initial height for infinite scroll detection
-        const initialHeight = fullHeight;
+        let fullWidth = max(widths);
+        let fullHeight = max(heights);
 
         // Get viewport dimensions
-        const windowWidth = window.innerWidth;
-        const windowHeight = window.innerHeight;
+        let windowWidth = window.innerWidth;
+        let windowHeight = window.innerHeight;
+
+        // An inner scroll container is measured by its scroll size and its visible box
+        const containerBox = scroller.getViewportBox();
+        if (containerBox) {
+            fullWidth = scrollContainer.scrollWidth;
+            fullHeight = scrollContainer.scrollHeight;
+            windowWidth = containerBox.crop.width;
+            windowHeight = containerBox.crop.height;
+
+            if (windowWidth < 1 || windowHeight < 1) {
+                if (overlaySuppression) overlaySuppression.restore();
+                if (fieldMasking) fieldMasking.restore();
+                throw new Error('The scrolling area is not visible');
+            }
+        }
+
+        // Store initial height for infinite scroll detection. Growth during the warm-up
+        // counts too, so a page that keeps loading content is treated as infinite scroll.
+        const initialHeight = warmUp ? Math.min(warmUp.initialHeight, fullHeight) : fullHeight;
 
         // Handle extreme dimensions
         // Limit height to prevent issues with infinite scrolling pages
@@ -189,20 +1358,46 @@
         // Create an array of scroll positions
         const arrangements = [];
 
-        // Match original GoFullPage behavior: start from bottom and scroll up
-        let yPos = usableHeight - windowHeight;
-
         // Hide scrollbars during capture
         document.documentElement.style.overflow = 'hidden';
 
-        // Generate the grid of scroll positions (matching original GoFullPage approach)
-        while (yPos > -yDelta) {
-            let xPos = 0;
-            while (xPos < usableWidth) {
-                arrangements.push([xPos, yPos]);
-                xPos += xDelta;
+        // Keep moving content still so neighbouring tiles match
+        const unfreezePageMotion = FREEZE_ANIMATIONS ? freezePageMotion() : null;
+
+        // Element and region captures only cover the selected area (measured after
+        // the scrollbars are hidden so the layout no longer shifts)
+        let clip = selection ? getSelectionClip(selection, fullWidth, fullHeight) : null;
+        if (resume) {
+            clip = resume.geometry && resume.geometry.clip ? resume.geometry.clip : null;
+        }
+        const area = clip || { x: 0, y: 0, width: usableWidth, height: usableHeight };
+
+        // Fixed elements unrelated to a picked element would cover it, so hide them for the whole capture
+        if (selection && selection.element) {
+            fixedElementsData.forEach(data => {
+                if (!data.element.contains(selection.element) && !selection.element.contains(data.element)) {
+                    data.element.style.visibility = 'hidden';
+                    data.hiddenForSelection = true;
+                }
+            });
+        }
+
+        // Match original GoFullPage behavior: start from bottom and scroll up
+        let yPos = area.y + area.height - windowHeight;
+
+        if (resume) {
+            // Only the positions that were not captured before the interruption
+            resume.arrangements.forEach(position => arrangements.push(position));
+        } else {
+            // Generate the grid of scroll positions (matching original GoFullPage approach)
+            while (yPos > area.y - yDelta) {
+                let xPos = area.x;
+                while (xPos < area.x + area.width) {
+                    arrangements.push([xPos, yPos]);
+                    xPos += xDelta;
+                }
+                yPos -= yDelta;
             }
-            yPos -= yDelta;
         }
 
         // Log capture parameters
@@ -211,9 +1406,17 @@
         console.log('Viewport:', windowWidth, 'x', windowHeight);
         console.log('Total screenshots to take:', arrangements.length);
         console.log('Fixed elements found:', fixedElements.length);
+        if (clip) {
+            console.log('Capture area:', clip);
+        }
+        if (scrollContainer) {
+            console.log('Scrolling inside container:', scrollContainer);
+        }
 
         // Create cleanup function to restore original state
         function cleanUp(heightGrowthDetected = false, currentMaxHeight = initialHeight) {
+            cancelActiveCapture = null;
+
             // Restore scrollability
             document.documentElement.style.overflow = originalOverflowStyle;
 
@@ -226,6 +1429,21 @@
                 }
             }
 
+            // Resume animations, media and carousels
+            if (unfreezePageMotion) {
+                unfreezePageMotion();
+            }
+
+            // Bring back the overlays hidden for the capture
+            if (overlaySuppression) {
+                overlaySuppression.restore();
+            }
+
+            // Show the contents of the covered fields again
+            if (fieldMasking) {
+                fieldMasking.restore();
+            }
+
             // Restore fixed elements to their original state
             fixedElementsData.forEach(data => {
                 data.element.style.position = data.originalPosition;
@@ -240,7 +1458,7 @@
             }
 
             // Return to the original scroll position
-            window.scrollTo(originalX, originalY);
+            scroller.scrollTo(originalX, originalY);
 
             // Force a reflow to ensure scrolling works
             document.body.getBoundingClientRect();
@@ -260,9 +1478,13 @@
             console.log('Page state restored, scrolling behavior should be normal');
         }
 
+        // Cancelling mid-capture restores the page right away
+        cancelActiveCapture = () => cleanUp();
+
         // Process all scroll positions and capture screenshots
         processArrangements(arrangements, fullWidth, fullHeight, windowWidth, windowHeight,
-            cleanUp, initialHeight, fixedElementsData);
+            cleanUp, initialHeight, fixedElementsData.filter(data => !data.hiddenForSelection), clip, scroller,
+            overlaySuppression ? overlaySuppression.overlays : []);
     }
 
     /**
@@ -275,9 +1497,13 @@
      * @param {function} cleanUpCallback - Function to call when done
      * @param {number} initialHeight - Initial height of the page
      * @param {Array} fixedElementsData - Data about fixed elements
+     * @param {Object} clip - Optional capture area for element and region captures
+     * @param {Object} scroller - Scroller for the document or an inner scroll container
+     * @param {Array<Object>} suppressedOverlays - Overlays hidden for the capture, reported on completion
      */
     function processArrangements(arrangements, fullWidth, fullHeight, viewportWidth, viewportHeight,
-        cleanUpCallback, initialHeight, fixedElementsData) {
+        cleanUpCallback, initialHeight, fixedElementsData, clip = null, scroller = createScroller(null),
+        suppressedOverlays = []) {
         // Track total arrangements for progress calculation
         const totalArrangements = arrangements.length;
 
@@ -322,14 +1548,51 @@
         let captureAttempts = 0;
         let isFirstPosition = true;
         let currentMaxHeight = initialHeight;
+        // Scroll positions of the stored tiles, where fixed elements were captured
+        const capturedTiles = [];
         let heightGrowthDetected = false;
 
+        /**
+         * Get the page geometry a resumed capture needs to line up with the stored tiles
+         * @returns {Object} - Page and viewport size, clip and scroll container flag
+         */
+        function getCaptureGeometry() {
+            return {
+                fullWidth: fullWidth,
+                fullHeight: fullHeight,
+                viewportWidth: viewportWidth,
+                viewportHeight: viewportHeight,
+                clip: clip,
+                scrollContainer: !!scroller.element
+            };
+        }
+
+        /**
+         * Stop the capture but keep what was captured so it can be resumed
+         * @param {Array<number>} failedPosition - Position that could not be captured
+         * @param {string} errorMessage - Reason the capture stopped
+         */
+        function interruptCapture(failedPosition, errorMessage) {
+            console.warn('Capture interrupted, remaining positions can be resumed:', errorMessage);
+
+            chrome.runtime.sendMessage({
+                action: 'capture_interrupted',
+                error: errorMessage,
+                remaining: [failedPosition, ...arrangements],
+                geometry: getCaptureGeometry()
+            });
+
+            cleanUpCallback(heightGrowthDetected, currentMaxHeight);
+        }
+
         function captureAtPosition() {
+            // The page was already restored by cancelCapture
+            if (captureCancelled) {
+                return;
+            }
+
             // Check for infinite scroll detection
-            const currentDocHeight = Math.max(
-                document.documentElement.scrollHeight,
-                document.body ? document.body.scrollHeight : 0
-            );
+            const currentDocHeight = scroller.getContentHeight();
 
             // If height has grown significantly during capture, it might be infinite scroll
             if (currentDocHeight > currentMaxHeight + INFINITE_SCROLL_THRESHOLD) {
@@ -349,10 +1612,23 @@
 
             // If all positions are processed, we're done
             if (arrangements.length === 0) {
+                // Positions of text the user may want to redact (a failed scan must not lose the capture)
+                let sensitiveText = null;
+                try {
+                    sensitiveText = findSensitiveText(scroller, clip, fixedElementsData,
+                        clip ? clip.width : Math.max(fullWidth, viewportWidth), capturedTiles);
+                } catch (error) {
+                    console.warn('Could not scan for sensitive text:', error);
+                }
+
                 // Send completion message to background script
                 chrome.runtime.sendMessage({
                     action: 'capture_complete',
-                    url: window.location.href
+                    url: window.location.href,
+                    clip: clip,
+                    suppressedOverlays: suppressedOverlays,
+                    viewport: { width: window.innerWidth, height: window.innerHeight },
+                    sensitiveText: sensitiveText
                 });
 
                 // Clean up
@@ -401,8 +1677,8 @@
             }
 
             // First, validate that the target position is even possible
-            const maxScrollX = Math.max(0, document.documentElement.scrollWidth - window.innerWidth);
-            const maxScrollY = Math.max(0, document.documentElement.scrollHeight - window.innerHeight);
+            const maxScrollX = scroller.getMaxX();
+            const maxScrollY = scroller.getMaxY();
 
             // Normalize the target position to valid values (can't be negative, can't exceed max)
             const validX = Math.max(0, Math.min(x, maxScrollX));
@@ -416,11 +1692,11 @@
             // Implement more robust scrolling approach
             const scrollWithVerification = () => {
                 // Initial scroll
-                window.scrollTo(validX, validY);
+                scroller.scrollTo(validX, validY);
 
                 // Check if we achieved our position within tolerance
-                const xDiff = Math.abs(window.scrollX - validX);
-                const yDiff = Math.abs(window.scrollY - validY);
+                const xDiff = Math.abs(scroller.getX() - validX);
+                const yDiff = Math.abs(scroller.getY() - validY);
 
                 if (xDiff <= 10 && yDiff <= 10) {
                     // Position achieved within acceptable tolerance
@@ -429,7 +1705,7 @@
 
                 // Try secondary approach with behavior option
                 try {
-                    window.scrollTo({
+                    scroller.scrollTo({
                         left: validX,
                         top: validY,
                         behavior: 'auto'
@@ -439,18 +1715,18 @@
                     return new Promise(resolve => {
                         setTimeout(() => {
                             // Check if scroll was successful
-                            const newXDiff = Math.abs(window.scrollX - validX);
-                            const newYDiff = Math.abs(window.scrollY - validY);
+                            const newXDiff = Math.abs(scroller.getX() - validX);
+                            const newYDiff = Math.abs(scroller.getY() - validY);
 
                             if (newXDiff <= 10 && newYDiff <= 10) {
                                 resolve(true);
                             } else {
                                 // Try one more precise adjustment
-                                window.scrollBy(validX - window.scrollX, validY - window.scrollY);
+                                scroller.scrollBy(validX - scroller.getX(), validY - scroller.getY());
 
                                 setTimeout(() => {
-                                    const finalXDiff = Math.abs(window.scrollX - validX);
-                                    const finalYDiff = Math.abs(window.scrollY - validY);
+                                    const finalXDiff = Math.abs(scroller.getX() - validX);
+                                    const finalYDiff = Math.abs(scroller.getY() - validY);
                                     resolve(finalXDiff <= 15 && finalYDiff <= 15);
                                 }, 50);
                             }
@@ -465,13 +1741,13 @@
             // Execute the scroll function and continue processing
             Promise.resolve(scrollWithVerification()).then(scrollSucceeded => {
                 if (!scrollSucceeded) {
-                    console.warn(`Scroll position not achieved exactly: wanted (${validX}, ${validY}), got (${window.scrollX}, ${window.scrollY})`);
+                    console.warn(`Scroll position not achieved exactly: wanted (${validX}, ${validY}), got (${scroller.getX()}, ${scroller.getY()})`);
 
                     // Send a message about the scroll issue but continue
                     chrome.runtime.sendMessage({
                         action: 'scroll_position_issue',
                         wanted: { x: validX, y: validY },
-                        actual: { x: window.scrollX, y: window.scrollY },
+                        actual: { x: scroller.getX(), y: scroller.getY() },
                         methods_tried: ['scrollTo', 'scrollTo with options', 'scrollBy adjustment']
                     });
                 }
@@ -481,41 +1757,62 @@
                 const scrollDelay = processedCount === 1 ? INITIAL_CAPTURE_DELAY : CAPTURE_DELAY;
 
                 setTimeout(() => {
+                    if (captureCancelled) {
+                        return;
+                    }
+
                     // Get the actual position right before capture
-                    const actualX = window.scrollX;
-                    const actualY = window.scrollY;
+                    const actualX = scroller.getX();
+                    const actualY = scroller.getY();
                     const scrollPositionError = Math.abs(actualX - validX) > 15 || Math.abs(actualY - validY) > 15;
 
                     // Store current position for potential retries
                     const currentPosition = [validX, validY];
                     const actualPosition = [actualX, actualY];
 
+                    // Inner containers only keep their own visible box of each screenshot
+                    const containerBox = scroller.getViewportBox();
+
                     // Request screenshot from background script using ACTUAL scroll position
                     chrome.runtime.sendMessage({
                         action: 'capture_screenshot',
-                        x: actualX,
-                        y: actualY,
+                        x: actualX + (containerBox ? containerBox.offsetX : 0),
+                        y: actualY + (containerBox ? containerBox.offsetY : 0),
+                        crop: containerBox ? containerBox.crop : null,
                         requestedX: validX,
                         requestedY: validY,
                         scrollPositionError: scrollPositionError,
                         totalWidth: fullWidth,
                         totalHeight: fullHeight,
                         viewportWidth: viewportWidth,
-                        viewportHeight: viewportHeight
+                        viewportHeight: viewportHeight,
+                        // Positions still missing once this one is stored, so the job
+                        // stays resumable if the capture dies without reporting it
+                        resume: { arrangements: [...arrangements], geometry: getCaptureGeometry() }
                     }, (response) => {
                         if (!response || !response.success) {
                             console.error('Error capturing screenshot:', response?.error || 'Unknown error');
 
+                            // The per-run screenshot limit cannot be retried, stop and offer to resume
+                            if (response?.limitReached) {
+                                interruptCapture(currentPosition, response.error);
+                                return;
+                            }
+
                             // Apply exponential backoff for rate limiting errors
                             if (response?.error && response.error.includes('Exceeded screenshot capture rate')) {
-                                // Use exponential backoff for rate limiting
-                                currentRetryDelay = Math.min(currentRetryDelay * RETRY_BACKOFF_MULTIPLIER, 3000);
-                                console.log(`Rate limit hit. Using increased delay: ${currentRetryDelay}ms`);
+                                captureAttempts++;
 
-                                // Put the position back in the queue and retry with longer delay
-                                arrangements.unshift(currentPosition);
-                                setTimeout(captureAtPosition, currentRetryDelay);
-                                return;
+                                if (captureAttempts < MAX_CAPTURE_ATTEMPTS) {
+                                    // Use exponential backoff for rate limiting
+                                    currentRetryDelay = Math.min(currentRetryDelay * RETRY_BACKOFF_MULTIPLIER, 3000);
+                                    console.log(`Rate limit hit. Using increased delay: ${currentRetryDelay}ms`);
+
+                                    // Put the position back in the queue and retry with longer delay
+                                    arrangements.unshift(currentPosition);
+                                    setTimeout(captureAtPosition, currentRetryDelay);
+                                    return;
+                                }
                             }
 
                             // Check if error is related to scrolling issues
@@ -542,6 +1839,12 @@
                                 setTimeout(captureAtPosition, CAPTURE_DELAY * 2); // Double delay for retry
                                 return;
                             } else {
+                                // Failures of the capture itself keep the tiles so far and can be resumed
+                                if (response?.resumable) {
+                                    interruptCapture(currentPosition, response.error);
+                                    return;
+                                }
+
                                 // Enough retries, report error and continue
                                 console.error('Max capture attempts reached, continuing with next position');
                                 captureAttempts = 0;
@@ -555,6 +1858,8 @@
                                 });
                             }
                         } else {
+                            capturedTiles.push({ x: actualX, y: actualY, width: viewportWidth, height: viewportHeight });
+
                             // Reset attempts counter on successful capture
                             captureAttempts = 0;
                             // Gradually reduce delay after successful captures to optimize speed
@@ -0,0 +1,290 @@
+/**
+ * PDF Exporter Module
+ * Slices a stitched screenshot into printable pages and writes them as a
+ * PDF entirely in the browser. Every page embeds one JPEG strip of the
+ * screenshot, with the page title, URL and capture time as a header.
+ */
+
+class PdfExporter {
+    // Page sizes in PDF points (1/72 inch)
+    static PAGE_SIZES = {
+        a4: { width: 595.28, height: 841.89 },
+        letter: { width: 612, height: 792 }
+    };
+
+    static POINTS_PER_MM = 72 / 25.4;
+
+    // Strips are rendered at twice the printed size (144 dpi) to stay sharp without huge files
+    static RENDER_SCALE = 2;
+    static JPEG_QUALITY = 0.85;
+
+    // Header layout in points
+    static HEADER_HEIGHT = 34;
+    static TITLE_FONT_SIZE = 10;
+    static DETAIL_FONT_SIZE = 7.5;
+    static MAX_HEADER_CHARS = 110;
+
+    /**
+     * Create a PDF document from a screenshot
+     * @param {Blob} imageBlob - Stitched screenshot
+     * @param {Object} options - Export options
+     * @param {string} options.pageSize - 'a4' or 'letter'
+     * @param {number} options.margin - Page margin in millimetres
+     * @param {boolean} options.includeHeader - Whether to print the title, URL and capture time
+     * @param {string} options.title - Page title
+     * @param {string} options.url - Page URL
+     * @param {Date|number} options.capturedAt - Capture time
+     * @param {Function} options.onProgress - Called with the percentage of pages written
+     * @returns {Promise<Blob>} - PDF document
+     */
+    static async createPdf(imageBlob, options = {}) {
+        const page = this.PAGE_SIZES[options.pageSize] || this.PAGE_SIZES.a4;
+        const margin = Math.max(0, Number(options.margin) || 0) * this.POINTS_PER_MM;
+        const headerHeight = options.includeHeader === false ? 0 : this.HEADER_HEIGHT;
+
+        const contentWidth = page.width - margin * 2;
+        const contentHeight = page.height - margin * 2 - headerHeight;
+        if (contentWidth <= 0 || contentHeight <= 0) {
+            throw new Error('The page margins leave no room for the screenshot');
+        }
+
+        const image = await createImageBitmap(imageBlob);
+        try {
+            // Fit the screenshot to the content width, then cut it into page high strips
+            const pointsPerPixel = contentWidth / image.width;
+            const sliceHeight = Math.max(1, Math.floor(contentHeight / pointsPerPixel));
+            const pageCount = Math.ceil(image.height / sliceHeight);
+            const renderScale = Math.min(1, (contentWidth * this.RENDER_SCALE) / image.width);
+
+            const header = headerHeight ? this.buildHeaderLines(options) : null;
+            const pages = [];
+
+            for (let index = 0; index < pageCount; index++) {
+                const sourceY = index * sliceHeight;
+                const sourceHeight = Math.min(sliceHeight, image.height - sourceY);
+
+                const jpeg = await this.renderSlice(image, sourceY, sourceHeight, renderScale);
+                pages.push({
+                    jpeg: jpeg,
+                    drawWidth: contentWidth,
+                    drawHeight: sourceHeight * pointsPerPixel,
+                    header: header ? [...header, `Page ${index + 1} of ${pageCount}`] : null
+                });
+
+                if (options.onProgress) {
+                    options.onProgress(Math.round(((index + 1) / pageCount) * 100));
+                }
+            }
+
+            return this.writeDocument(pages, page, margin, headerHeight, options.title || 'Screenshot');
+        } finally {
+            image.close();
+        }
+    }
+
+    /**
+     * Render one horizontal strip of the screenshot as JPEG data
+     * @param {ImageBitmap} image - Decoded screenshot
+     * @param {number} sourceY - Top of the strip in image pixels
+     * @param {number} sourceHeight - Height of the strip in image pixels
+     * @param {number} renderScale - Scale applied to the strip
+     * @returns {Promise<Object>} - JPEG bytes with the pixel width and height
+     */
+    static async renderSlice(image, sourceY, sourceHeight, renderScale) {
+        const width = Math.max(1, Math.round(image.width * renderScale));
+        const height = Math.max(1, Math.round(sourceHeight * renderScale));
+
+        const canvas = new OffscreenCanvas(width, height);
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, width, height);
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(image, 0, sourceY, image.width, sourceHeight, 0, 0, width, height);
+
+        const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality: this.JPEG_QUALITY });
+        return {
+            bytes: new Uint8Array(await blob.arrayBuffer()),
+            width: width,
+            height: height
+        };
+    }
+
+    /**
+     * Build the header lines shared by every page
+     * @param {Object} options - Export options (title, url, capturedAt)
+     * @returns {Array<string>} - Title line and detail line
+     */
+    static buildHeaderLines(options) {
+        const capturedAt = new Date(options.capturedAt || Date.now());
+        const details = [options.url, `Captured ${capturedAt.toLocaleString()}`].filter(Boolean).join('  |  ');
+
+        return [
+            this.truncate(options.title || 'Untitled page', this.MAX_HEADER_CHARS),
+            this.truncate(details, Math.round(this.MAX_HEADER_CHARS * 1.3))
+        ];
+    }
+
+    /**
+     * Write the PDF file structure
+     * @param {Array<Object>} pages - Rendered pages
+     * @param {Object} pageSize - Page width and height in points
+     * @param {number} margin - Margin in points
+     * @param {number} headerHeight - Header height in points (0 without header)
+     * @param {string} title - Document title
+     * @returns {Blob} - PDF document
+     */
+    static writeDocument(pages, pageSize, margin, headerHeight, title) {
+        // Fixed objects: 1 catalog, 2 page tree, 3 font; then page, content and image per page
+        const pageObjectId = (index) => 4 + index * 3;
+        const objects = [];
+
+        objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+        objects[2] = `<< /Type /Pages /Count ${pages.length} /Kids [${pages.map((_, index) => `${pageObjectId(index)} 0 R`).join(' ')}] >>`;
+        objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+
+        pages.forEach((page, index) => {
+            const pageId = pageObjectId(index);
+            const contentId = pageId + 1;
+            const imageId = pageId + 2;
+
+            objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${this.number(pageSize.width)} ${this.number(pageSize.height)}] ` +
+                `/Resources << /Font << /F1 3 0 R >> /XObject << /Im${index} ${imageId} 0 R >> >> /Contents ${contentId} 0 R >>`;
+
+            const content = this.buildPageContent(page, index, pageSize, margin, headerHeight);
+            objects[contentId] = [`<< /Length ${content.length} >>\nstream\n`, content, '\nendstream'];
+
+            objects[imageId] = [
+                `<< /Type /XObject /Subtype /Image /Width ${page.jpeg.width} /Height ${page.jpeg.height} ` +
+                `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.bytes.length} >>\nstream\n`,
+                page.jpeg.bytes,
+                '\nendstream'
+            ];
+        });
+
+        const infoId = objects.length;
+        objects[infoId] = `<< /Title ${this.pdfString(title)} /Producer (Declutter!) /CreationDate ${this.pdfString(this.pdfDate(new Date()))} >>`;
+
+        // Serialize while recording the byte offset of every object for the cross-reference table
+        const chunks = [];
+        let length = 0;
+        const write = (chunk) => {
+            const bytes = typeof chunk === 'string' ? this.toBytes(chunk) : chunk;
+            chunks.push(bytes);
+            length += bytes.length;
+        };
+
+        const offsets = [];
+        write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+        for (let id = 1; id < objects.length; id++) {
+            offsets[id] = length;
+            write(`${id} 0 obj\n`);
+            [].concat(objects[id]).forEach(write);
+            write('\nendobj\n');
+        }
+
+        const xrefOffset = length;
+        write(`xref\n0 ${objects.length}\n0000000000 65535 f \n`);
+        for (let id = 1; id < objects.length; id++) {
+            write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+        }
+        write(`trailer\n<< /Size ${objects.length} /Root 1 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+        return new Blob(chunks, { type: 'application/pdf' });
+    }
+
+    /**
+     * Build the drawing operators of a page
+     * @param {Object} page - Rendered page
+     * @param {number} index - Page index
+     * @param {Object} pageSize - Page width and height in points
+     * @param {number} margin - Margin in points
+     * @param {number} headerHeight - Header height in points
+     * @returns {string} - Content stream
+     */
+    static buildPageContent(page, index, pageSize, margin, headerHeight) {
+        const top = pageSize.height - margin;
+        const imageY = top - headerHeight - page.drawHeight;
+        const operators = [
+            // Draw the strip at the top of the content area
+            `q ${this.number(page.drawWidth)} 0 0 ${this.number(page.drawHeight)} ${this.number(margin)} ${this.number(imageY)} cm /Im${index} Do Q`
+        ];
+
+        if (page.header) {
+            const [title, details, pageLabel] = page.header;
+            const titleY = top - this.TITLE_FONT_SIZE;
+            const detailY = titleY - this.DETAIL_FONT_SIZE - 5;
+            const ruleY = top - headerHeight + 6;
+
+            operators.push(
+                'BT',
+                `/F1 ${this.TITLE_FONT_SIZE} Tf 0.1 0.1 0.1 rg`,
+                `${this.number(margin)} ${this.number(titleY)} Td ${this.pdfString(title)} Tj`,
+                'ET',
+                'BT',
+                `/F1 ${this.DETAIL_FONT_SIZE} Tf 0.4 0.4 0.4 rg`,
+                `${this.number(margin)} ${this.number(detailY)} Td ${this.pdfString(`${details}  |  ${pageLabel}`)} Tj`,
+                'ET',
+                `0.8 0.8 0.8 RG 0.5 w ${this.number(margin)} ${this.number(ruleY)} m ${this.number(pageSize.width - margin)} ${this.number(ruleY)} l S`
+            );
+        }
+
+        return operators.join('\n');
+    }
+
+    /**
+     * Encode text as a PDF literal string (characters outside Latin-1 become '?')
+     * @param {string} text - Text to encode
+     * @returns {string} - PDF string literal
+     */
+    static pdfString(text) {
+        const escaped = String(text)
+            .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?')
+            .replace(/([\\()])/g, '\\$1');
+        return `(${escaped})`;
+    }
+
+    /**
+     * Format a date the way PDF metadata expects (D:YYYYMMDDHHmmSS)
+     * @param {Date} date - Date to format
+     * @returns {string} - PDF date
+     */
+    static pdfDate(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `D:${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+            `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+    }
+
+    /**
+     * Format a number for PDF operators
+     * @param {number} value - Number to format
+     * @returns {string} - Number with at most two decimals
+     */
+    static number(value) {
+        return String(Math.round(value * 100) / 100);
+    }
+
+    /**
+     * Shorten text to a maximum length
+     * @param {string} text - Text to shorten
+     * @param {number} maxLength - Maximum number of characters
+     * @returns {string} - Shortened text
+     */
+    static truncate(text, maxLength) {
+        return text.length > maxLength ? `${text.substring(0, maxLength - 3)}...` : text;
+    }
+
+    /**
+     * Convert a Latin-1 string to bytes
+     * @param {string} text - Text with character codes below 256
+     * @returns {Uint8Array} - Bytes
+     */
+    static toBytes(text) {
+        const bytes = new Uint8Array(text.length);
+        for (let i = 0; i < text.length; i++) {
+            bytes[i] = text.charCodeAt(i) & 0xff;
+        }
+        return bytes;
+    }
+}
+
+export default PdfExporter;
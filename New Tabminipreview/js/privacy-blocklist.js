@@ -0,0 +1,120 @@
+/**
+ * Privacy Blocklist Module
+ * Matches URLs against the user's list of sites that must never be
+ * captured or cached. Entries are either plain domains (covering their
+ * subdomains) or glob patterns using * and ?. An entry with a path covers
+ * everything below that path, an entry with a port only that port.
+ */
+
+class PrivacyBlocklist {
+    /**
+     * Clean up one blocklist entry as typed by the user
+     * @param {string} pattern - Raw entry, e.g. 'https://www.mybank.com/' or '*.health.*'
+     * @returns {string} - Normalized entry (empty when nothing is left)
+     */
+    static normalizePattern(pattern) {
+        return String(pattern || '')
+            .trim()
+            .toLowerCase()
+            .replace(/^[a-z][a-z0-9+.-]*:\/\//, '') // The scheme never matters
+            .replace(/\/+$/, ''); // 'mybank.com/' means the whole site
+    }
+
+    /**
+     * Parse one entry per line, dropping empty lines and duplicates
+     * @param {string} text - Text from the settings field
+     * @returns {Array<string>} - Normalized entries
+     */
+    static parse(text) {
+        const patterns = String(text || '')
+            .split('\n')
+            .map(line => this.normalizePattern(line))
+            .filter(Boolean);
+        return [...new Set(patterns)];
+    }
+
+    /**
+     * Check whether an entry is a glob pattern rather than a plain domain
+     * @param {string} pattern - Normalized entry
+     * @returns {boolean} - Whether it uses wildcards or a path
+     */
+    static isGlob(pattern) {
+        return /[*?/]/.test(pattern);
+    }
+
+    /**
+     * Turn a glob pattern into an anchored regular expression
+     * @param {string} pattern - Glob with * (any characters) and ? (one character)
+     * @param {boolean} prefix - Also match anything below the pattern as a path ('/...')
+     * @returns {RegExp} - Case-insensitive expression
+     */
+    static globToRegExp(pattern, prefix = false) {
+        const source = pattern
+            .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+            .replace(/\*/g, '.*')
+            .replace(/\?/g, '.');
+        return new RegExp(`^${source}${prefix ? '(/.*)?' : ''}$`, 'i');
+    }
+
+    /**
+     * Get the port a URL connects to, including the default ports
+     * @param {URL} url - Parsed URL
+     * @returns {string} - Port number, empty for schemes without a default port
+     */
+    static getPort(url) {
+        return url.port || ({ 'http:': '80', 'https:': '443' })[url.protocol] || '';
+    }
+
+    /**
+     * Check a single entry against a URL
+     * @param {URL} url - Parsed URL
+     * @param {string} pattern - Normalized entry
+     * @returns {boolean} - Whether the entry covers the URL
+     */
+    static matchesPattern(url, pattern) {
+        // Entries with a port are compared against host and port
+        const hostname = url.hostname.toLowerCase();
+        const host = pattern.split('/')[0].includes(':') ? `${hostname}:${this.getPort(url)}` : hostname;
+
+        if (!this.isGlob(pattern)) {
+            // A domain also covers its subdomains
+            return host === pattern || host.endsWith('.' + pattern);
+        }
+
+        if (!pattern.includes('/')) {
+            return this.globToRegExp(pattern).test(host);
+        }
+
+        // A path covers the pages below it, 'mybank.com/accounts' also blocks '/accounts/summary'
+        return this.globToRegExp(pattern, true).test(host + url.pathname);
+    }
+
+    /**
+     * Check whether a URL is on the blocklist
+     * @param {string} url - Page URL
+     * @param {Array<string>} patterns - Blocklist entries
+     * @returns {boolean} - Whether the page must not be captured or cached
+     */
+    static isBlocked(url, patterns) {
+        if (!url || !Array.isArray(patterns) || patterns.length === 0) {
+            return false;
+        }
+
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return false;
+        }
+        if (!parsed.hostname) {
+            return false;
+        }
+
+        return patterns.some(pattern => {
+            const normalized = this.normalizePattern(pattern);
+            return normalized && this.matchesPattern(parsed, normalized);
+        });
+    }
+}
+
+export default PrivacyBlocklist;
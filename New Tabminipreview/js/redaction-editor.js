@@ -0,0 +1,349 @@
+/**
+ * Redaction Editor Module
+ * Full-screen editor on top of the fullscreen preview where boxes are drawn
+ * over a screenshot to blur or black out parts of it. Text found by the
+ * content script while capturing (emails, tokens, keys) is redacted up front.
+ */
+
+class RedactionEditor {
+    static MODES = {
+        blackout: 'Black out',
+        blur: 'Blur'
+    };
+
+    // Blurred regions are scaled down this much first, so no readable detail survives
+    static BLUR_DOWNSCALE = 16;
+    static BLUR_RADIUS = 6;
+
+    // Boxes smaller than this (in screen pixels) are treated as stray clicks
+    static MIN_DRAG_SIZE = 4;
+
+    /**
+     * @param {string} imageUrl - Screenshot to redact (object URL or data URL)
+     * @param {Object} options - Editor options
+     * @param {Object} options.sensitiveText - Text boxes recorded while capturing ({width, rects})
+     * @param {boolean} options.canSave - Whether the result can be saved back to the cache
+     * @param {Function} options.onSave - Called with the redacted PNG blob to update the cache
+     * @param {Function} options.onExport - Called with the redacted PNG blob to download it
+     * @param {Function} options.onError - Called with the error when saving or exporting fails
+     */
+    constructor(imageUrl, options = {}) {
+        this.imageUrl = imageUrl;
+        this.options = options;
+        this.mode = 'blackout';
+        this.regions = [];
+        this.useAutoRegions = true;
+        this.autoRegions = [];
+        this.image = null;
+        this.element = null;
+        this.canvas = null;
+        this.drag = null;
+
+        this.onKeyDown = this.onKeyDown.bind(this);
+    }
+
+    /**
+     * Load the screenshot and show the editor
+     * @returns {Promise<void>}
+     */
+    async open() {
+        const blob = await (await fetch(this.imageUrl)).blob();
+        this.image = await createImageBitmap(blob);
+        this.autoRegions = this.getAutoRegions(this.options.sensitiveText);
+
+        this.render();
+        this.draw();
+
+        // Capture phase so Escape does not also close the fullscreen preview underneath
+        window.addEventListener('keydown', this.onKeyDown, true);
+    }
+
+    /**
+     * Convert the recorded text boxes to image pixels
+     * @param {Object} sensitiveText - Boxes in page pixels plus the page width they refer to
+     * @returns {Array<Object>} - Regions in image pixels
+     */
+    getAutoRegions(sensitiveText) {
+        if (!sensitiveText || !Array.isArray(sensitiveText.rects) || !sensitiveText.width) {
+            return [];
+        }
+
+        // The image may be scaled by the device pixel ratio or the cache width limit
+        const scale = this.image.width / sensitiveText.width;
+        return sensitiveText.rects
+            .map(rect => ({
+                x: Math.floor(rect.x * scale),
+                y: Math.floor(rect.y * scale),
+                width: Math.ceil(rect.width * scale),
+                height: Math.ceil(rect.height * scale),
+                mode: 'blackout',
+                auto: true
+            }))
+            .filter(region => region.width > 0 && region.height > 0 &&
+                region.x < this.image.width && region.y < this.image.height);
+    }
+
+    /**
+     * Build the editor overlay
+     */
+    render() {
+        const modeButtons = Object.entries(RedactionEditor.MODES).map(([mode, label]) => `
+            <button class="btn redaction-mode${mode === this.mode ? ' active' : ''}" data-mode="${mode}">${label}</button>
+        `).join('');
+
+        this.element = document.createElement('div');
+        this.element.className = 'redaction-editor';
+        this.element.innerHTML = `
+            <div class="redaction-toolbar">
+                <div class="redaction-modes">${modeButtons}</div>
+                <label class="redaction-auto" title="Text matching the sensitive text patterns in the settings">
+                    <input type="checkbox" ${this.autoRegions.length ? 'checked' : 'disabled'}>
+                    Auto-detected (${this.autoRegions.length})
+                </label>
+                <button class="btn redaction-undo" title="Undo last box (Ctrl+Z)">Undo</button>
+                <button class="btn redaction-clear" title="Remove all drawn boxes">Clear</button>
+                <div class="redaction-actions">
+                    <button class="btn cancel-btn redaction-cancel">Cancel</button>
+                    <button class="btn redaction-save" ${this.options.canSave ? '' : 'disabled title="Only previews of listed tabs are cached"'}>Save to cache</button>
+                    <button class="btn btn-primary redaction-export">Download</button>
+                </div>
+            </div>
+            <div class="redaction-canvas-container">
+                <div class="redaction-stage">
+                    <canvas></canvas>
+                    <div class="redaction-selection"></div>
+                </div>
+            </div>
+        `;
+
+        this.canvas = this.element.querySelector('canvas');
+        this.canvas.width = this.image.width;
+        this.canvas.height = this.image.height;
+        // Never shown larger than the screenshot itself
+        this.element.querySelector('.redaction-stage').style.maxWidth = `${this.image.width}px`;
+        this.selection = this.element.querySelector('.redaction-selection');
+
+        this.element.querySelectorAll('.redaction-mode').forEach(button => {
+            button.addEventListener('click', () => {
+                this.mode = button.dataset.mode;
+                this.element.querySelectorAll('.redaction-mode').forEach(other => {
+                    other.classList.toggle('active', other === button);
+                });
+            });
+        });
+
+        this.element.querySelector('.redaction-auto input').addEventListener('change', (e) => {
+            this.useAutoRegions = e.target.checked;
+            this.draw();
+        });
+
+        this.element.querySelector('.redaction-undo').addEventListener('click', () => this.undo());
+        this.element.querySelector('.redaction-clear').addEventListener('click', () => {
+            this.regions = [];
+            this.draw();
+        });
+        this.element.querySelector('.redaction-cancel').addEventListener('click', () => this.close());
+        this.element.querySelector('.redaction-save').addEventListener('click', (e) => this.finish(e.target, this.options.onSave, true));
+        this.element.querySelector('.redaction-export').addEventListener('click', (e) => this.finish(e.target, this.options.onExport, false));
+
+        this.canvas.addEventListener('mousedown', (e) => this.startDrag(e));
+
+        document.body.appendChild(this.element);
+    }
+
+    /**
+     * Start drawing a box
+     * @param {MouseEvent} e - Mouse down event
+     */
+    startDrag(e) {
+        if (e.button !== 0) return;
+        e.preventDefault();
+
+        const bounds = this.canvas.getBoundingClientRect();
+        this.drag = { startX: e.clientX - bounds.left, startY: e.clientY - bounds.top, bounds: bounds };
+
+        const onMove = (moveEvent) => this.updateDrag(moveEvent);
+        const onUp = (upEvent) => {
+            document.removeEventListener('mousemove', onMove);
+            document.removeEventListener('mouseup', onUp);
+            this.endDrag(upEvent);
+        };
+        document.addEventListener('mousemove', onMove);
+        document.addEventListener('mouseup', onUp);
+    }
+
+    /**
+     * Get the dragged box in canvas display pixels, limited to the canvas
+     * @param {MouseEvent} e - Mouse event
+     * @returns {Object} - Box (x, y, width, height)
+     */
+    getDragBox(e) {
+        const { startX, startY, bounds } = this.drag;
+        const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+        const endX = clamp(e.clientX - bounds.left, bounds.width);
+        const endY = clamp(e.clientY - bounds.top, bounds.height);
+
+        return {
+            x: Math.min(startX, endX),
+            y: Math.min(startY, endY),
+            width: Math.abs(endX - startX),
+            height: Math.abs(endY - startY)
+        };
+    }
+
+    /**
+     * Show the box while it is being dragged
+     * @param {MouseEvent} e - Mouse move event
+     */
+    updateDrag(e) {
+        if (!this.drag) return;
+        const box = this.getDragBox(e);
+
+        // Drawn as an element so the full size canvas is only repainted once per box
+        Object.assign(this.selection.style, {
+            display: 'block',
+            left: `${box.x}px`,
+            top: `${box.y}px`,
+            width: `${box.width}px`,
+            height: `${box.height}px`
+        });
+    }
+
+    /**
+     * Add the dragged box as a region
+     * @param {MouseEvent} e - Mouse up event
+     */
+    endDrag(e) {
+        if (!this.drag) return;
+        const box = this.getDragBox(e);
+        const scale = this.canvas.width / this.drag.bounds.width;
+
+        this.drag = null;
+        this.selection.style.display = 'none';
+
+        if (box.width < RedactionEditor.MIN_DRAG_SIZE || box.height < RedactionEditor.MIN_DRAG_SIZE) {
+            return;
+        }
+
+        this.regions.push({
+            x: Math.floor(box.x * scale),
+            y: Math.floor(box.y * scale),
+            width: Math.ceil(box.width * scale),
+            height: Math.ceil(box.height * scale),
+            mode: this.mode
+        });
+        this.draw();
+    }
+
+    /**
+     * Remove the last drawn box
+     */
+    undo() {
+        if (this.regions.length > 0) {
+            this.regions.pop();
+            this.draw();
+        }
+    }
+
+    /**
+     * Repaint the screenshot with every region applied
+     */
+    draw() {
+        const ctx = this.canvas.getContext('2d');
+        ctx.drawImage(this.image, 0, 0);
+
+        const regions = this.useAutoRegions ? [...this.autoRegions, ...this.regions] : this.regions;
+        regions.forEach(region => {
+            if (region.mode === 'blur') {
+                this.blurRegion(ctx, region);
+            } else {
+                ctx.fillStyle = '#000000';
+                ctx.fillRect(region.x, region.y, region.width, region.height);
+            }
+        });
+    }
+
+    /**
+     * Blur a region of the original screenshot beyond recognition
+     * @param {CanvasRenderingContext2D} ctx - Editor canvas context
+     * @param {Object} region - Region in image pixels
+     */
+    blurRegion(ctx, region) {
+        const { x, y, width, height } = region;
+        const smallWidth = Math.max(1, Math.round(width / RedactionEditor.BLUR_DOWNSCALE));
+        const smallHeight = Math.max(1, Math.round(height / RedactionEditor.BLUR_DOWNSCALE));
+
+        // Sample the original image so overlapping regions don't pick up other redactions
+        const small = new OffscreenCanvas(smallWidth, smallHeight);
+        small.getContext('2d').drawImage(this.image, x, y, width, height, 0, 0, smallWidth, smallHeight);
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(x, y, width, height);
+        ctx.clip();
+        ctx.filter = `blur(${RedactionEditor.BLUR_RADIUS}px)`;
+        ctx.imageSmoothingEnabled = true;
+        ctx.drawImage(small, x, y, width, height);
+        ctx.restore();
+    }
+
+    /**
+     * Hand the redacted image to a callback
+     * @param {HTMLElement} button - Clicked button, disabled while working
+     * @param {Function} callback - onSave or onExport
+     * @param {boolean} closeAfter - Whether to close the editor when done
+     */
+    async finish(button, callback, closeAfter) {
+        if (!callback) return;
+        button.disabled = true;
+
+        try {
+            const blob = await new Promise((resolve, reject) => {
+                this.canvas.toBlob(result => result ? resolve(result) : reject(new Error('Could not encode the redacted image')), 'image/png');
+            });
+            await callback(blob);
+            if (closeAfter) {
+                this.close();
+            }
+        } catch (error) {
+            console.error('Error finishing redaction:', error);
+            if (this.options.onError) {
+                this.options.onError(error);
+            }
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Handle editor shortcuts
+     * @param {KeyboardEvent} e - Key event
+     */
+    onKeyDown(e) {
+        if (e.key === 'Escape') {
+            e.stopPropagation();
+            this.close();
+        } else if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+            e.preventDefault();
+            e.stopPropagation();
+            this.undo();
+        }
+    }
+
+    /**
+     * Close the editor and release the decoded image
+     */
+    close() {
+        window.removeEventListener('keydown', this.onKeyDown, true);
+        if (this.element) {
+            this.element.remove();
+            this.element = null;
+        }
+        if (this.image) {
+            this.image.close();
+            this.image = null;
+        }
+    }
+}
+
+export default RedactionEditor;
@@ -0,0 +1,192 @@
+/**
+ * Settings Manager Module
+ * Stores user preferences in chrome.storage.local and keeps every
+ * extension context (pages and the service worker) in sync
+ */
+
+import DownloadManager from './download-manager.js';
+
+class SettingsManager {
+    // Storage key shared by all extension contexts
+    static STORAGE_KEY = 'declutter_settings';
+
+    // Default values for every known setting
+    static DEFAULTS = {
+        // 'scroll' stitches viewport captures, 'debugger' uses the DevTools protocol
+        captureEngine: 'scroll',
+        // 'auto' captures the main scrolling container of app-style pages,
+        // 'document' always scrolls the page, 'pick' asks which area to scroll
+        scrollTarget: 'auto',
+        // Scroll through the page once before capturing so lazy images load
+        warmUpLazyContent: false,
+        // Pause animations, videos and carousels while capturing
+        freezeAnimations: true,
+        // Hide cookie banners, modals and chat widgets while capturing
+        suppressOverlays: true,
+        // Extra selectors to hide, keyed by domain ('*' applies to every site)
+        overlaySelectors: {},
+        // Sites that are never captured or cached (domains or glob patterns)
+        privacyBlocklist: [],
+        // Cover password fields and the fields below while capturing
+        maskSensitiveFields: true,
+        // Fields and flagged editable regions to cover, keyed by domain ('*' applies to every site)
+        sensitiveFieldSelectors: {
+            '*': [
+                'input[autocomplete^="cc-"]',
+                'input[name*="card" i]',
+                'input[name*="cvv" i]',
+                'input[name*="cvc" i]',
+                'input[name*="ssn" i]',
+                'input[id*="ssn" i]',
+                'input[autocomplete="one-time-code"]',
+                'input[name*="otp" i]',
+                '[data-sensitive]',
+                '[data-private]'
+            ]
+        },
+        // Record where text matching these patterns appears so it can be redacted
+        autoRedact: true,
+        redactionPatterns: [
+            '[A-Z0-9._%+-]+@[A-Z0-9.-]+\\.[A-Z]{2,}', // Email addresses
+            'eyJ[A-Za-z0-9_-]{10,}\\.[A-Za-z0-9_-]{10,}\\.[A-Za-z0-9_-]{10,}', // JSON web tokens
+            '\\b(?:sk|pk|rk|ghp|gho|glpat|xox[abprs])[-_][A-Za-z0-9_-]{16,}', // API keys with a known prefix
+            'Bearer\\s+[A-Za-z0-9._~+/-]{20,}=*' // Authorization headers
+        ],
+        // Cached previews are stored small, downloads right after a capture keep full quality by
+        // default. Previews opened from the cache are downloaded from the cached copy.
+        // Formats are 'png', 'jpeg' or 'webp'; quality is 0-1; max width 0 keeps the original size
+        cacheFormat: 'jpeg',
+        cacheQuality: 0.7,
+        cacheMaxWidth: 1600,
+        downloadFormat: 'png',
+        downloadQuality: 0.92,
+        downloadMaxWidth: 0,
+        // Write the source URL, title and capture time into downloaded files
+        embedMetadata: true,
+        // Download path below the downloads folder, see DownloadManager.TOKENS
+        downloadFilenameTemplate: DownloadManager.DEFAULT_TEMPLATE,
+        // 'uniquify', 'overwrite' or 'prompt' when the file already exists
+        downloadConflictAction: 'uniquify',
+        downloadSaveAs: false,
+        // PDF export: 'a4' or 'letter', margin in millimetres
+        pdfPageSize: 'a4',
+        pdfMargin: 10,
+        pdfIncludeHeader: true
+    };
+
+    constructor() {
+        this.settings = { ...SettingsManager.DEFAULTS };
+        this.initialized = false;
+        this.storageListener = null;
+    }
+
+    /**
+     * Load stored settings and start listening for changes from other contexts
+     * @returns {Promise<Object>} - Current settings
+     */
+    async init() {
+        if (this.initialized) {
+            return this.getAll();
+        }
+
+        try {
+            const data = await chrome.storage.local.get(SettingsManager.STORAGE_KEY);
+            this.settings = this.mergeWithDefaults(data[SettingsManager.STORAGE_KEY]);
+        } catch (error) {
+            console.error('Error loading settings, using defaults:', error);
+            this.settings = { ...SettingsManager.DEFAULTS };
+        }
+
+        // Keep this copy fresh when another page or the service worker saves settings
+        this.storageListener = (changes, areaName) => {
+            if (areaName === 'local' && changes[SettingsManager.STORAGE_KEY]) {
+                this.settings = this.mergeWithDefaults(changes[SettingsManager.STORAGE_KEY].newValue);
+            }
+        };
+        chrome.storage.onChanged.addListener(this.storageListener);
+
+        this.initialized = true;
+        return this.getAll();
+    }
+
+    /**
+     * Read the settings from storage again, e.g. after a backup was restored
+     * @returns {Promise<Object>} - Current settings
+     */
+    async reload() {
+        const data = await chrome.storage.local.get(SettingsManager.STORAGE_KEY);
+        this.settings = this.mergeWithDefaults(data[SettingsManager.STORAGE_KEY]);
+        return this.getAll();
+    }
+
+    /**
+     * Combine stored values with defaults so newly added settings always have a value
+     * @param {Object} storedSettings - Settings read from storage
+     * @returns {Object} - Complete settings object
+     */
+    mergeWithDefaults(storedSettings) {
+        if (!storedSettings || typeof storedSettings !== 'object') {
+            return { ...SettingsManager.DEFAULTS };
+        }
+
+        return { ...SettingsManager.DEFAULTS, ...storedSettings };
+    }
+
+    /**
+     * Get a single setting
+     * @param {string} key - Setting name
+     * @returns {any} - Setting value (or its default)
+     */
+    get(key) {
+        return key in this.settings ? this.settings[key] : SettingsManager.DEFAULTS[key];
+    }
+
+    /**
+     * Get a copy of all settings
+     * @returns {Object} - All settings
+     */
+    getAll() {
+        return { ...this.settings };
+    }
+
+    /**
+     * Update one or more settings and persist them
+     * @param {Object} changes - Settings to change
+     * @returns {Promise<Object>} - Updated settings
+     */
+    async update(changes) {
+        this.settings = { ...this.settings, ...changes };
+
+        try {
+            await chrome.storage.local.set({ [SettingsManager.STORAGE_KEY]: this.settings });
+        } catch (error) {
+            console.error('Error saving settings:', error);
+            throw error;
+        }
+
+        return this.getAll();
+    }
+
+    /**
+     * Restore all settings to their defaults
+     * @returns {Promise<Object>} - Default settings
+     */
+    async reset() {
+        this.settings = { ...SettingsManager.DEFAULTS };
+        await chrome.storage.local.set({ [SettingsManager.STORAGE_KEY]: this.settings });
+        return this.getAll();
+    }
+
+    /**
+     * Stop listening for storage changes
+     */
+    dispose() {
+        if (this.storageListener) {
+            chrome.storage.onChanged.removeListener(this.storageListener);
+            this.storageListener = null;
+        }
+        this.initialized = false;
+    }
+}
+
+export default SettingsManager;
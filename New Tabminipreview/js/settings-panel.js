@@ -0,0 +1,606 @@
+/**
+ * Settings Panel Component
+ * Renders the settings dialog from a declarative list of fields
+ * and saves changes through the settings manager
+ */
+import PrivacyBlocklist from './privacy-blocklist.js';
+import DownloadManager from './download-manager.js';
+import HtmlUtils from './html-utils.js';
+
+export default class SettingsPanel {
+    // Sections and fields shown in the dialog
+    static SECTIONS = [
+        {
+            title: 'Capture',
+            fields: [
+                {
+                    key: 'captureEngine',
+                    label: 'Capture engine',
+                    type: 'select',
+                    options: [
+                        { value: 'scroll', label: 'Scroll and stitch (default)' },
+                        { value: 'debugger', label: 'DevTools protocol (single pass, shows a debugging banner)' }
+                    ],
+                    // The DevTools engine needs the optional debugger permission
+                    permission: { value: 'debugger', permissions: ['debugger'] },
+                    help: 'The DevTools engine captures beyond the viewport in one pass and falls back to scroll and stitch when it is unavailable.'
+                },
+                {
+                    key: 'scrollTarget',
+                    label: 'Scrolling area',
+                    type: 'select',
+                    options: [
+                        { value: 'auto', label: 'Detect automatically (default)' },
+                        { value: 'document', label: 'Always scroll the whole page' },
+                        { value: 'pick', label: 'Let me pick the area before each capture' }
+                    ],
+                    help: 'Pages like mail clients and chat apps scroll an inner panel instead of the page. Automatic detection captures that panel when the page itself does not scroll.'
+                },
+                {
+                    key: 'warmUpLazyContent',
+                    label: 'Load lazy images before capturing',
+                    type: 'checkbox',
+                    help: 'Scrolls through the page once and waits for images to load. Slower, but avoids blank placeholders.'
+                },
+                {
+                    key: 'freezeAnimations',
+                    label: 'Freeze animations, videos and carousels',
+                    type: 'checkbox',
+                    help: 'Keeps moving content still so the stitched screenshot has no seams or repeated slides.'
+                }
+            ]
+        },
+        {
+            title: 'Overlays',
+            fields: [
+                {
+                    key: 'suppressOverlays',
+                    label: 'Hide cookie banners, pop-ups and chat widgets',
+                    type: 'checkbox',
+                    help: 'Detected overlays are hidden while capturing and shown again afterwards.'
+                },
+                {
+                    key: 'overlaySelectors',
+                    label: 'Always hide on these sites',
+                    type: 'textarea',
+                    rows: 4,
+                    placeholder: 'example.com: #newsletter-popup\n*: .promo-bar',
+                    help: 'One "domain: CSS selector" per line. A domain also covers its subdomains, * applies to every site.',
+                    format: (value) => SettingsPanel.formatDomainSelectors(value),
+                    parse: (value) => SettingsPanel.parseDomainSelectors(value)
+                }
+            ]
+        },
+        {
+            title: 'Privacy',
+            fields: [
+                {
+                    key: 'privacyBlocklist',
+                    label: 'Never capture or cache',
+                    type: 'textarea',
+                    rows: 4,
+                    placeholder: 'mybank.com\n*.health.*\nmail.example.com/private',
+                    help: 'One site per line. A domain also covers its subdomains, a path the pages below it, * and ? match any characters. Previews already cached for these sites are deleted when you save.',
+                    format: (value) => (value || []).join('\n'),
+                    parse: (value) => PrivacyBlocklist.parse(value)
+                },
+                {
+                    key: 'maskSensitiveFields',
+                    label: 'Cover password fields and sensitive inputs while capturing',
+                    type: 'checkbox',
+                    help: 'Covered fields appear as grey boxes in the screenshot and are restored as soon as the capture ends.'
+                },
+                {
+                    key: 'sensitiveFieldSelectors',
+                    label: 'Also cover',
+                    type: 'textarea',
+                    rows: 5,
+                    placeholder: 'mail.example.com: [contenteditable].private-notes\n*: input[name*="iban" i]',
+                    help: 'One "domain: CSS selector" per line, for inputs such as card numbers or one-time codes and for editable regions you want hidden. Password fields are always covered.',
+                    format: (value) => SettingsPanel.formatDomainSelectors(value),
+                    parse: (value) => SettingsPanel.parseDomainSelectors(value)
+                }
+            ]
+        },
+        {
+            title: 'Redaction',
+            fields: [
+                {
+                    key: 'autoRedact',
+                    label: 'Find sensitive text while capturing',
+                    type: 'checkbox',
+                    help: 'Matches are blacked out automatically when you open the redaction editor.'
+                },
+                {
+                    key: 'redactionPatterns',
+                    label: 'Sensitive text patterns',
+                    type: 'textarea',
+                    rows: 5,
+                    placeholder: '[A-Z0-9._%+-]+@[A-Z0-9.-]+\\.[A-Z]{2,}',
+                    help: 'One regular expression per line, matched without regard to case. Invalid expressions are dropped when saving.',
+                    format: (value) => (Array.isArray(value) ? value : []).join('\n'),
+                    parse: (value) => SettingsPanel.parsePatterns(value)
+                }
+            ]
+        },
+        {
+            title: 'Output',
+            fields: [
+                ...SettingsPanel.outputFields('cache', 'Cached preview',
+                    'Previews kept for the tab list. Smaller files keep the cache fast.'),
+                ...SettingsPanel.outputFields('download', 'Download',
+                    'Used when saving a screenshot to disk. Previews opened from the cache only have the cached quality and keep a lossy cached format.'),
+                {
+                    key: 'embedMetadata',
+                    label: 'Embed source URL, title and capture time in downloaded files',
+                    type: 'checkbox',
+                    help: 'Drop a downloaded screenshot onto this page to read it back.'
+                }
+            ]
+        },
+        {
+            title: 'Downloads',
+            fields: [
+                {
+                    key: 'downloadFilenameTemplate',
+                    label: 'File name',
+                    type: 'text',
+                    placeholder: '{domain}/{date}/{title}.{ext}',
+                    help: 'Placeholders: {title}, {domain}, {date}, {time}, {year}, {month}, {day}, {ext}. Use / to save into subfolders of the downloads folder.',
+                    parse: (value) => SettingsPanel.parseFilenameTemplate(value)
+                },
+                {
+                    key: 'downloadConflictAction',
+                    label: 'When the file already exists',
+                    type: 'select',
+                    options: [
+                        { value: 'uniquify', label: 'Add a number to the name (default)' },
+                        { value: 'overwrite', label: 'Replace the existing file' },
+                        { value: 'prompt', label: 'Ask me' }
+                    ]
+                },
+                {
+                    key: 'downloadSaveAs',
+                    label: 'Ask where to save each file',
+                    type: 'checkbox'
+                }
+            ]
+        },
+        {
+            title: 'PDF export',
+            fields: [
+                {
+                    key: 'pdfPageSize',
+                    label: 'Page size',
+                    type: 'select',
+                    options: [
+                        { value: 'a4', label: 'A4' },
+                        { value: 'letter', label: 'US Letter' }
+                    ]
+                },
+                {
+                    key: 'pdfMargin',
+                    label: 'Margins (mm)',
+                    type: 'number',
+                    min: 0,
+                    max: 50,
+                    step: 1,
+                    parse: (value) => Math.min(50, Math.max(0, value ?? 10))
+                },
+                {
+                    key: 'pdfIncludeHeader',
+                    label: 'Print page title, URL and capture time on every page',
+                    type: 'checkbox'
+                }
+            ]
+        }
+    ];
+
+    /**
+     * Parse one regular expression per line, dropping empty and invalid lines
+     * @param {string} value - Textarea contents
+     * @returns {Array<string>} - Pattern sources
+     */
+    static parsePatterns(value) {
+        return String(value || '')
+            .split('\n')
+            .map(line => line.trim())
+            .filter(line => {
+                if (!line) return false;
+                try {
+                    new RegExp(line, 'gi');
+                    return true;
+                } catch (error) {
+                    console.warn('Dropping invalid redaction pattern:', line);
+                    return false;
+                }
+            });
+    }
+
+    /**
+     * Check a download file name template, an empty one means the default
+     * @param {string} value - Text field contents
+     * @returns {string} - Template
+     */
+    static parseFilenameTemplate(value) {
+        const template = String(value || '').trim();
+        const unknown = DownloadManager.getUnknownTokens(template);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown placeholder in the file name: ${unknown.map(token => `{${token}}`).join(', ')}`);
+        }
+        return template || DownloadManager.DEFAULT_TEMPLATE;
+    }
+
+    /**
+     * Build the format, quality and width fields of one output target
+     * @param {string} prefix - Settings prefix ('cache' or 'download')
+     * @param {string} label - Label of the output target
+     * @param {string} help - Help text shown below the format
+     * @returns {Array<Object>} - Field definitions
+     */
+    static outputFields(prefix, label, help) {
+        return [
+            {
+                key: `${prefix}Format`,
+                label: `${label} format`,
+                type: 'select',
+                options: [
+                    { value: 'png', label: 'PNG (lossless)' },
+                    { value: 'jpeg', label: 'JPEG' },
+                    { value: 'webp', label: 'WebP' }
+                ],
+                help: help
+            },
+            {
+                key: `${prefix}Quality`,
+                label: `${label} quality (%)`,
+                type: 'number',
+                min: 10,
+                max: 100,
+                step: 5,
+                help: 'Only applies to JPEG and WebP.',
+                format: (value) => Math.round((value ?? 0.92) * 100),
+                parse: (value) => Math.min(100, Math.max(10, value || 92)) / 100
+            },
+            {
+                key: `${prefix}MaxWidth`,
+                label: `${label} maximum width (px)`,
+                type: 'number',
+                min: 0,
+                step: 100,
+                help: 'Wider screenshots are scaled down. 0 keeps the original width.',
+                parse: (value) => Math.max(0, Math.round(value || 0))
+            }
+        ];
+    }
+
+    /**
+     * Turn a {domain: [selectors]} map into editable "domain: selector" lines
+     * @param {Object} value - Selectors keyed by domain
+     * @returns {string} - One line per selector
+     */
+    static formatDomainSelectors(value) {
+        if (!value || typeof value !== 'object') {
+            return '';
+        }
+
+        return Object.entries(value)
+            .flatMap(([domain, selectors]) => (selectors || []).map(selector => `${domain}: ${selector}`))
+            .join('\n');
+    }
+
+    /**
+     * Parse "domain: selector" lines into a {domain: [selectors]} map
+     * @param {string} text - Text from the settings field
+     * @returns {Object} - Selectors keyed by domain
+     */
+    static parseDomainSelectors(text) {
+        const result = {};
+
+        String(text || '').split('\n').forEach(line => {
+            // Domains never contain a colon, selectors can (e.g. :not())
+            const separator = line.indexOf(':');
+            if (separator <= 0) return;
+
+            const domain = line.slice(0, separator).trim().toLowerCase();
+            const selector = line.slice(separator + 1).trim();
+            if (!domain || !selector) return;
+
+            if (!result[domain]) {
+                result[domain] = [];
+            }
+            result[domain].push(selector);
+        });
+
+        return result;
+    }
+
+    constructor(settingsManager) {
+        this.settingsManager = settingsManager;
+        this.dialogElement = null;
+    }
+
+    /**
+     * Initialize the panel and bind the header button
+     * @param {string} buttonSelector - Selector of the button that opens the panel
+     */
+    init(buttonSelector = '#settingsButton') {
+        const button = document.querySelector(buttonSelector);
+        if (button) {
+            button.addEventListener('click', () => this.open());
+        }
+        return this;
+    }
+
+    /**
+     * Open the settings dialog
+     */
+    open() {
+        if (this.dialogElement) {
+            return;
+        }
+
+        const settings = this.settingsManager.getAll();
+
+        this.dialogElement = document.createElement('div');
+        this.dialogElement.className = 'options-dialog settings-dialog';
+        this.dialogElement.innerHTML = `
+            <div class="options-dialog-content settings-dialog-content">
+                <h3>Settings</h3>
+                <div class="settings-sections">
+                    ${SettingsPanel.SECTIONS.map(section => `
+                        <fieldset class="settings-section">
+                            <legend>${HtmlUtils.escape(section.title)}</legend>
+                            ${section.fields.map(field => this.renderField(field, settings[field.key])).join('')}
+                        </fieldset>
+                    `).join('')}
+                    <fieldset class="settings-section settings-backup">
+                        <legend>Backup</legend>
+                        <div class="settings-field">
+                            <div class="settings-backup-actions">
+                                <button class="btn btn-secondary settings-backup-create">Back up all data</button>
+                                <button class="btn btn-secondary settings-backup-restore">Restore from file...</button>
+                                <select class="settings-backup-mode" title="How restored data is combined with what is stored now">
+                                    <option value="merge">Merge with current data</option>
+                                    <option value="replace">Replace current data</option>
+                                </select>
+                                <input type="file" class="settings-backup-file" accept=".zip,application/zip" hidden>
+                            </div>
+                            <small class="settings-help">Workspaces, cached previews, tab metadata and settings are saved to a single ZIP file. Merging keeps the newer copy of anything stored on both sides.</small>
+                        </div>
+                    </fieldset>
+                </div>
+                <div class="dialog-actions settings-actions">
+                    <button class="btn btn-secondary settings-reset">Reset to defaults</button>
+                    <button class="btn cancel-btn">Cancel</button>
+                    <button class="btn btn-primary settings-save">Save</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(this.dialogElement);
+        this.bindPermissionFields();
+        this.bindBackupActions();
+
+        this.dialogElement.querySelector('.settings-save').addEventListener('click', () => this.save());
+        this.dialogElement.querySelector('.cancel-btn').addEventListener('click', () => this.close());
+        this.dialogElement.querySelector('.settings-reset').addEventListener('click', () => this.resetToDefaults());
+
+        // Close on click outside
+        this.dialogElement.addEventListener('click', (e) => {
+            if (e.target === this.dialogElement) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Render the markup of a single field
+     * @param {Object} field - Field definition
+     * @param {any} value - Current value
+     * @returns {string} - HTML markup
+     */
+    renderField(field, value) {
+        const id = `setting-${field.key}`;
+        const displayValue = field.format ? field.format(value) : value;
+        const help = field.help ? `<small class="settings-help">${HtmlUtils.escape(field.help)}</small>` : '';
+        let control;
+
+        switch (field.type) {
+            case 'select':
+                control = `
+                    <select id="${id}" data-key="${field.key}">
+                        ${field.options.map(option => `
+                            <option value="${HtmlUtils.escape(option.value)}" ${option.value === displayValue ? 'selected' : ''}>
+                                ${HtmlUtils.escape(option.label)}
+                            </option>
+                        `).join('')}
+                    </select>`;
+                break;
+            case 'checkbox':
+                return `
+                    <div class="settings-field settings-field-checkbox">
+                        <label for="${id}">
+                            <input type="checkbox" id="${id}" data-key="${field.key}" ${displayValue ? 'checked' : ''}>
+                            ${HtmlUtils.escape(field.label)}
+                        </label>
+                        ${help}
+                    </div>`;
+            case 'number':
+                control = `<input type="number" id="${id}" data-key="${field.key}"
+                    value="${HtmlUtils.escape(String(displayValue ?? ''))}"
+                    ${field.min !== undefined ? `min="${field.min}"` : ''}
+                    ${field.max !== undefined ? `max="${field.max}"` : ''}
+                    ${field.step !== undefined ? `step="${field.step}"` : ''}>`;
+                break;
+            case 'textarea':
+                control = `<textarea id="${id}" data-key="${field.key}" rows="${field.rows || 4}"
+                    placeholder="${HtmlUtils.escape(field.placeholder || '')}">${HtmlUtils.escape(String(displayValue ?? ''))}</textarea>`;
+                break;
+            default:
+                control = `<input type="text" id="${id}" data-key="${field.key}"
+                    value="${HtmlUtils.escape(String(displayValue ?? ''))}"
+                    placeholder="${HtmlUtils.escape(field.placeholder || '')}">`;
+        }
+
+        return `
+            <div class="settings-field">
+                <label for="${id}">${HtmlUtils.escape(field.label)}</label>
+                ${control}
+                ${help}
+            </div>`;
+    }
+
+    /**
+     * Request optional permissions as soon as a value that needs them is picked.
+     * This has to happen inside the change event so Chrome sees a user gesture.
+     */
+    bindPermissionFields() {
+        this.getAllFields()
+            .filter(field => field.permission)
+            .forEach(field => {
+                const input = this.dialogElement.querySelector(`[data-key="${field.key}"]`);
+                if (!input) return;
+
+                let previousValue = input.value;
+                input.addEventListener('change', () => {
+                    if (input.value !== field.permission.value || !chrome.permissions) {
+                        previousValue = input.value;
+                        return;
+                    }
+
+                    chrome.permissions.request({ permissions: field.permission.permissions }, (granted) => {
+                        if (chrome.runtime.lastError || !granted) {
+                            console.warn('Permission not granted for setting:', field.key);
+                            input.value = previousValue;
+                            return;
+                        }
+                        previousValue = input.value;
+                    });
+                });
+            });
+    }
+
+    /**
+     * Get a flat list of every field definition
+     * @returns {Array<Object>} - Field definitions
+     */
+    getAllFields() {
+        return SettingsPanel.SECTIONS.flatMap(section => section.fields);
+    }
+
+    /**
+     * Read the current values from the dialog inputs
+     * @returns {Object} - Values keyed by setting name
+     */
+    readValues() {
+        const values = {};
+
+        this.getAllFields().forEach(field => {
+            const input = this.dialogElement.querySelector(`[data-key="${field.key}"]`);
+            if (!input) return;
+
+            let value;
+            if (field.type === 'checkbox') {
+                value = input.checked;
+            } else if (field.type === 'number') {
+                value = input.value === '' ? null : Number(input.value);
+            } else {
+                value = input.value;
+            }
+
+            values[field.key] = field.parse ? field.parse(value) : value;
+        });
+
+        return values;
+    }
+
+    /**
+     * Save the dialog values and notify the rest of the page
+     */
+    async save() {
+        try {
+            const previous = this.settingsManager.getAll();
+            const values = this.readValues();
+            const settings = await this.settingsManager.update(values);
+
+            const changedKeys = Object.keys(values).filter(key =>
+                JSON.stringify(previous[key]) !== JSON.stringify(settings[key])
+            );
+
+            document.dispatchEvent(new CustomEvent('settingsChanged', {
+                detail: { settings, changedKeys }
+            }));
+
+            this.close();
+        } catch (error) {
+            console.error('Error saving settings:', error);
+            alert('Failed to save settings: ' + error.message);
+        }
+    }
+
+    /**
+     * Reset every setting to its default after confirmation
+     */
+    async resetToDefaults() {
+        if (!confirm('Reset all settings to their defaults?')) {
+            return;
+        }
+
+        try {
+            const previous = this.settingsManager.getAll();
+            const settings = await this.settingsManager.reset();
+            const changedKeys = Object.keys(settings).filter(key =>
+                JSON.stringify(previous[key]) !== JSON.stringify(settings[key])
+            );
+
+            document.dispatchEvent(new CustomEvent('settingsChanged', {
+                detail: { settings, changedKeys }
+            }));
+
+            this.close();
+        } catch (error) {
+            console.error('Error resetting settings:', error);
+            alert('Failed to reset settings: ' + error.message);
+        }
+    }
+
+    /**
+     * Hand the backup buttons over to the app, which owns the stored data
+     */
+    bindBackupActions() {
+        const fileInput = this.dialogElement.querySelector('.settings-backup-file');
+
+        this.dialogElement.querySelector('.settings-backup-create').addEventListener('click', () => {
+            document.dispatchEvent(new CustomEvent('createBackup'));
+            this.close();
+        });
+
+        this.dialogElement.querySelector('.settings-backup-restore').addEventListener('click', () => {
+            fileInput.click();
+        });
+
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            if (!file) {
+                return;
+            }
+
+            const mode = this.dialogElement.querySelector('.settings-backup-mode').value;
+            document.dispatchEvent(new CustomEvent('restoreBackup', {
+                detail: { file, mode }
+            }));
+            this.close();
+        });
+    }
+
+    /**
+     * Close the dialog
+     */
+    close() {
+        if (this.dialogElement) {
+            this.dialogElement.remove();
+            this.dialogElement = null;
+        }
+    }
+}
@@ -11,6 +11,10 @@ export default class Sidebar {
         this.hoverTimer = null;
         this.leaveTimer = null;
         this.toggleButton = null;
+        // Returns the thumbnail of a page's cached preview, set by the app
+        this.thumbnailProvider = null;
+        // Object URLs of the thumbnails shown, released when the list is rebuilt
+        this.thumbnailUrls = new Set();
     }
 
     /**
@@ -191,6 +195,7 @@ export default class Sidebar {
     async renderWorkspaces() {
         const workspacesList = this.sidebarElement.querySelector('.workspaces-list');
         workspacesList.innerHTML = '';
+        this.releaseThumbnails();
 
         try {
             // Get workspaces
@@ -387,6 +392,7 @@ export default class Sidebar {
                     <div class="tab-title">${this.escapeHtml(tab.title || 'Untitled Tab')}</div>
                 `;
                 tabsList.appendChild(tabItem);
+                this.addThumbnail(tabItem, tab);
             });
             
             tabsContainer.appendChild(tabsList);
@@ -401,6 +407,44 @@ export default class Sidebar {
         }
     }
 
+    /**
+     * Add the thumbnail of a tab's cached preview, if there is one
+     * @param {HTMLElement} tabItem - Element of the workspace tab
+     * @param {Object} tab - Saved tab
+     */
+    async addThumbnail(tabItem, tab) {
+        if (!this.thumbnailProvider || !tab.url) {
+            return;
+        }
+
+        try {
+            // Saved tab IDs belong to an earlier session, the page URL identifies the preview
+            const thumbnail = await this.thumbnailProvider(tab.url);
+            if (!thumbnail || !tabItem.isConnected) {
+                return;
+            }
+
+            const url = URL.createObjectURL(thumbnail);
+            this.thumbnailUrls.add(url);
+
+            const image = document.createElement('img');
+            image.className = 'workspace-tab-thumbnail';
+            image.alt = '';
+            image.src = url;
+            tabItem.appendChild(image);
+        } catch (error) {
+            console.warn('Could not load the preview thumbnail:', error);
+        }
+    }
+
+    /**
+     * Release the thumbnails shown in the workspace tab lists
+     */
+    releaseThumbnails() {
+        this.thumbnailUrls.forEach(url => URL.revokeObjectURL(url));
+        this.thumbnailUrls.clear();
+    }
+
     /**
      * Format date to readable string
      * @param {string} dateString - ISO date string
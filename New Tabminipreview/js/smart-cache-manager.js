@@ -1,9 +1,13 @@
 /**
  * Smart Cache Manager for Screenshot Previews
- * Extends IndexedDBCacheManager with activity-based expiry logic
+ * Extends IndexedDBCacheManager with activity-based expiry logic and a
+ * thumbnail tier: a small image made when a preview is cached, so lists and
+ * hover previews never have to read the full screenshot
  */
 
 import IndexedDBCacheManager from './indexeddb-cache-manager.js';
+import ImageProcessor from './image-processor.js';
+import Crc32 from './crc32.js';
 
 class SmartCacheManager extends IndexedDBCacheManager {
     constructor() {
@@ -21,6 +25,173 @@ class SmartCacheManager extends IndexedDBCacheManager {
         
         // Cleanup interval reference
         this.cleanupInterval = null;
+
+        // Thumbnails are kept in their own store, keyed like the full images
+        this.THUMBNAIL_STORE = 'thumbnails';
+        this.THUMBNAIL_SIZE = 320;
+        this.THUMBNAIL_ASPECT = 0.75; // Top of the page in 4:3, like a browser window
+    }
+
+    /**
+     * Store a new screenshot (a capture or a redacted copy) together with its thumbnail.
+     * Its checksum is computed once here and kept in the metadata.
+     * @param {string} tabId - Tab the screenshot was taken of
+     * @param {Blob|string} screenshot - Screenshot as Blob, blob URL or data URL
+     * @param {Object} metadata - Additional metadata about the screenshot, metadata.url is used as key
+     * @returns {Promise<boolean>} - Whether the screenshot was stored
+     */
+    async cacheScreenshot(tabId, screenshot, metadata = {}) {
+        let blob = screenshot;
+        if (screenshot && !(screenshot instanceof Blob)) {
+            try {
+                blob = await this.urlToBlob(screenshot);
+            } catch (error) {
+                console.error('Error reading screenshot URL:', error);
+                return false;
+            }
+        }
+
+        const checksum = blob ? Crc32.compute(new Uint8Array(await blob.arrayBuffer())) : null;
+        const cached = await super.cacheScreenshot(tabId, blob, { ...metadata, checksum: checksum });
+        if (cached) {
+            const key = this.resolveKey(metadata.url ? { id: tabId, url: metadata.url } : tabId);
+            await this.cacheThumbnail(key, blob, checksum);
+        }
+        return cached;
+    }
+
+    /**
+     * Create and store the thumbnail of a screenshot
+     * @param {string} key - Cache key of the screenshot
+     * @param {Blob} blob - Full screenshot
+     * @param {number|null} checksum - CRC-32 of the screenshot, when known
+     * @returns {Promise<boolean>} - Whether a current thumbnail is stored
+     */
+    async cacheThumbnail(key, blob, checksum = null) {
+        if (!key || !blob) return false;
+
+        try {
+            // The thumbnail of an identical image is still current
+            const existing = await this._getThumbnailItem(key);
+            if (checksum !== null && existing && existing.sourceChecksum === checksum &&
+                existing.sourceSize === blob.size && existing.sourceType === blob.type) {
+                return true;
+            }
+
+            const thumbnail = await ImageProcessor.generateThumbnail(blob, this.THUMBNAIL_SIZE, {
+                maxAspect: this.THUMBNAIL_ASPECT
+            });
+            const entry = {
+                url: key,
+                ...await this._describeImage(thumbnail),
+                sourceSize: blob.size,
+                sourceType: blob.type,
+                sourceChecksum: checksum,
+                timestamp: Date.now()
+            };
+
+            return await this._safeOperation(async () => {
+                await this._thumbnailRequest('readwrite', store => store.put(entry));
+                return true;
+            }, 'cacheThumbnail', false);
+        } catch (error) {
+            console.error('Error creating thumbnail:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get the thumbnail of a cached preview. Previews cached before thumbnails
+     * existed get one made from the full image on first use.
+     * @param {Object|string|number} tab - Tab ({id, url}), page URL or tab ID
+     * @returns {Promise<Blob|null>} - Thumbnail, or null when the page has no preview
+     */
+    async getThumbnail(tab) {
+        const key = this.resolveKey(tab);
+        if (!key) return null;
+
+        const existing = await this._getThumbnailItem(key);
+        if (existing) {
+            return existing.blob;
+        }
+
+        const full = await this._getItem(key);
+        if (!full || this.isExpired(full) || !await this.cacheThumbnail(key, full.blob, full.metadata?.checksum ?? null)) {
+            return null;
+        }
+
+        const created = await this._getThumbnailItem(key);
+        return created ? created.blob : null;
+    }
+
+    /**
+     * Read a thumbnail entry
+     * @private
+     * @param {string} key - Cache key
+     * @returns {Promise<Object|null>} - Thumbnail entry or null
+     */
+    async _getThumbnailItem(key) {
+        return this._safeOperation(async () => {
+            const item = await this._thumbnailRequest('readonly', store => store.get(key));
+            return item && item.blob instanceof Blob ? item : null;
+        }, '_getThumbnailItem', null);
+    }
+
+    /**
+     * Run a single request against the thumbnail store
+     * @private
+     * @param {string} mode - Transaction mode
+     * @param {Function} run - Called with the store, returns the request
+     * @returns {Promise<any>} - Result of the request once the transaction completed
+     */
+    _thumbnailRequest(mode, run) {
+        return new Promise((resolve, reject) => {
+            try {
+                const transaction = this.db.transaction([this.THUMBNAIL_STORE], mode);
+                const request = run(transaction.objectStore(this.THUMBNAIL_STORE));
+
+                transaction.oncomplete = () => resolve(request.result);
+                transaction.onerror = (event) => {
+                    console.error('Transaction error in thumbnail store:', event.target.error);
+                    reject(event.target.error);
+                };
+                transaction.onabort = () => reject(new Error('Transaction aborted'));
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * Remove a screenshot and its thumbnail
+     * @param {Object|string|number} tab - Tab ({id, url}), page URL or tab ID
+     * @returns {Promise<boolean>} - Whether the operation was successful
+     */
+    async removeScreenshot(tab) {
+        const key = this.resolveKey(tab);
+        const result = await super.removeScreenshot(key);
+        if (key) {
+            await this._safeOperation(
+                () => this._thumbnailRequest('readwrite', store => store.delete(key)),
+                'removeThumbnail',
+                null
+            );
+        }
+        return result;
+    }
+
+    /**
+     * Clear all screenshots and thumbnails
+     * @returns {Promise<number>} - Number of cleared screenshots
+     */
+    async clearAllCache() {
+        const count = await super.clearAllCache();
+        await this._safeOperation(
+            () => this._thumbnailRequest('readwrite', store => store.clear()),
+            'clearThumbnails',
+            null
+        );
+        return count;
     }
     
     /**
@@ -166,25 +337,28 @@ class SmartCacheManager extends IndexedDBCacheManager {
     
     /**
      * Override getScreenshot to implement activity-aware expiry logic
-     * @param {string} tabId - Tab ID to retrieve
+     * @param {Object|string|number} tab - Tab ({id, url}), page URL or tab ID
      * @returns {Promise<Object|null>} - Cache entry or null if not found/expired
      */
-    async getScreenshot(tabId) {
+    async getScreenshot(tab) {
+        const key = this.resolveKey(tab);
+        if (!key) return null;
+
         return await this._safeOperation(async () => {
-            const result = await this._getItem(tabId);
+            const result = await this._getItem(key);
             if (!result) {
-                console.log(`No cached screenshot for tab ${tabId}`);
+                console.log(`No cached screenshot for ${key}`);
                 return null;
             }
             
             // Check if this item should be expired based on activity
             if (this.isExpired(result)) {
-                console.log(`Cached screenshot for tab ${tabId} has expired due to inactivity`);
-                await this.removeScreenshot(tabId);
+                console.log(`Cached screenshot for ${key} has expired due to inactivity`);
+                await this.removeScreenshot(key);
                 return null;
             }
             
-            console.log(`Retrieved cached screenshot for tab ${tabId}`);
+            console.log(`Retrieved cached screenshot for ${key}`);
             return result;
         }, 'getScreenshot', null);
     }
@@ -200,13 +374,15 @@ class SmartCacheManager extends IndexedDBCacheManager {
                 const items = await this._getAllItems();
                 let removedCount = 0;
                 
-                // Delete items one by one if they're expired
-                const transaction = this.db.transaction([this.STORE_NAME], 'readwrite');
+                // Delete items one by one if they're expired, together with their thumbnails
+                const transaction = this.db.transaction([this.STORE_NAME, this.THUMBNAIL_STORE], 'readwrite');
                 const store = transaction.objectStore(this.STORE_NAME);
+                const thumbnails = transaction.objectStore(this.THUMBNAIL_STORE);
                 
                 for (const item of items) {
                     if (this.isExpired(item)) {
-                        store.delete(item.tabId);
+                        store.delete(item.url);
+                        thumbnails.delete(item.url);
                         removedCount++;
                     }
                 }
@@ -273,12 +449,14 @@ class SmartCacheManager extends IndexedDBCacheManager {
                 }
                 
                 // Create transaction for batch deletion
-                const transaction = this.db.transaction([this.STORE_NAME], 'readwrite');
+                const transaction = this.db.transaction([this.STORE_NAME, this.THUMBNAIL_STORE], 'readwrite');
                 const store = transaction.objectStore(this.STORE_NAME);
+                const thumbnails = transaction.objectStore(this.THUMBNAIL_STORE);
                 
-                // Delete each item
+                // Delete each item and its thumbnail
                 for (const item of itemsToRemove) {
-                    store.delete(item.tabId);
+                    store.delete(item.url);
+                    thumbnails.delete(item.url);
                 }
                 
                 // Wait for transaction to complete
@@ -0,0 +1,344 @@
+/**
+ * Storage Database Module
+ * The single IndexedDB database of the extension. Object stores and their
+ * indexes are declared here, and numbered migrations move stored data forward
+ * when the schema changes, so an upgrade never wipes what users have saved.
+ */
+
+import UrlNormalizer from './url-normalizer.js';
+
+class StorageDatabase {
+    static DB_NAME = 'DeclutterX';
+
+    // Object stores with their key and indexes (index name: key path)
+    static STORES = {
+        screenshots: { keyPath: 'url', indexes: { timestamp: 'metadata.timestamp' } },
+        thumbnails: { keyPath: 'url' },
+        tabMetadata: { keyPath: 'id', indexes: { isOpen: 'isOpen', capturedAt: 'capturedAt', url: 'url' } },
+        workspaces: { keyPath: 'id', indexes: { name: 'name', createdAt: 'createdAt' } },
+        captureJobs: { keyPath: 'id', indexes: { status: 'status', updatedAt: 'updatedAt' } },
+        captureTiles: { keyPath: 'id', autoIncrement: true, indexes: { jobId: 'jobId' } },
+        meta: { keyPath: 'key' }
+    };
+
+    // Separate databases used before this one, with the store each of their stores moves to
+    static LEGACY_DATABASES = [
+        { name: 'TabPreviewCache', stores: { screenshots: 'screenshots', thumbnails: 'thumbnails' } },
+        { name: 'DeclutterXTab', stores: { tabMetadata: 'tabMetadata' } },
+        { name: 'declutterWorkspacesDB', stores: { workspaces: 'workspaces' } },
+        { name: 'DeclutterCaptureJobs', stores: { jobs: 'captureJobs', tiles: 'captureTiles' } }
+    ];
+
+    /**
+     * Migrations in version order. `upgrade(db, transaction)` runs inside the
+     * version change and can only use that transaction; `migrate(db)` runs once
+     * after the database opened and may do asynchronous work. Declared stores
+     * and indexes that are missing are created after the upgrades.
+     * `convertRecords(storeName, records)` brings records exported at an older
+     * version up to date when a backup is restored.
+     */
+    static MIGRATIONS = [
+        {
+            version: 1,
+            description: 'Import the preview cache, tab state, workspace and capture job databases',
+            migrate: (db) => StorageDatabase.importLegacyDatabases(db)
+        }
+    ];
+
+    // Open connection of this context, shared by every manager
+    static openPromise = null;
+
+    /**
+     * Current schema version, the version of the last migration
+     * @returns {number} - Database version
+     */
+    static get VERSION() {
+        return this.MIGRATIONS[this.MIGRATIONS.length - 1].version;
+    }
+
+    /**
+     * Open the database, running pending migrations first
+     * @returns {Promise<IDBDatabase>} - Open database
+     */
+    static open() {
+        if (this.openPromise) {
+            return this.openPromise;
+        }
+
+        this.openPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.DB_NAME, this.VERSION);
+
+            request.onupgradeneeded = (event) => {
+                console.log(`Storage database upgrade: ${event.oldVersion} to ${event.newVersion}`);
+                this.runUpgrades(event.target.result, event.target.transaction, event.oldVersion);
+            };
+
+            request.onsuccess = async (event) => {
+                const db = event.target.result;
+
+                // Let another context upgrade the database, the next open() reconnects
+                db.onversionchange = () => {
+                    db.close();
+                    this.openPromise = null;
+                };
+                db.onclose = () => {
+                    this.openPromise = null;
+                };
+
+                try {
+                    await this.runDataMigrations(db);
+                    resolve(db);
+                } catch (error) {
+                    console.error('Storage migration failed:', error);
+                    db.close();
+                    this.openPromise = null;
+                    reject(error);
+                }
+            };
+
+            request.onerror = (event) => {
+                console.error('Error opening storage database:', event.target.error);
+                this.openPromise = null;
+                reject(event.target.error);
+            };
+
+            request.onblocked = () => {
+                console.warn('Storage database upgrade is waiting for other extension pages to close');
+            };
+        });
+
+        return this.openPromise;
+    }
+
+    /**
+     * Run the schema part of the migrations newer than the stored version
+     * @param {IDBDatabase} db - Database being upgraded
+     * @param {IDBTransaction} transaction - Version change transaction
+     * @param {number} oldVersion - Version the database had
+     */
+    static runUpgrades(db, transaction, oldVersion) {
+        this.MIGRATIONS
+            .filter(migration => migration.version > oldVersion && migration.upgrade)
+            .forEach(migration => {
+                console.log(`Storage migration ${migration.version}: ${migration.description}`);
+                migration.upgrade(db, transaction);
+            });
+
+        this.applySchema(db, transaction);
+    }
+
+    /**
+     * Create the declared stores and indexes that don't exist yet. Nothing is deleted.
+     * @param {IDBDatabase} db - Database being upgraded
+     * @param {IDBTransaction} transaction - Version change transaction
+     */
+    static applySchema(db, transaction) {
+        Object.entries(this.STORES).forEach(([name, definition]) => {
+            const store = db.objectStoreNames.contains(name)
+                ? transaction.objectStore(name)
+                : db.createObjectStore(name, {
+                    keyPath: definition.keyPath,
+                    autoIncrement: !!definition.autoIncrement
+                });
+
+            Object.entries(definition.indexes || {}).forEach(([indexName, keyPath]) => {
+                if (!store.indexNames.contains(indexName)) {
+                    store.createIndex(indexName, keyPath, { unique: false });
+                }
+            });
+        });
+    }
+
+    /**
+     * Run the data part of migrations that have not completed yet. Progress is
+     * stored after each migration, so an interrupted one runs again next time.
+     * @param {IDBDatabase} db - Open database
+     * @returns {Promise<void>}
+     */
+    static async runDataMigrations(db) {
+        const state = await this.request(db, 'meta', 'readonly', store => store.get('migrations'));
+        const completed = state ? state.version : 0;
+
+        for (const migration of this.MIGRATIONS) {
+            if (migration.version <= completed) {
+                continue;
+            }
+
+            if (migration.migrate) {
+                console.log(`Storage data migration ${migration.version}: ${migration.description}`);
+                await migration.migrate(db);
+            }
+            await this.request(db, 'meta', 'readwrite', store => store.put({
+                key: 'migrations',
+                version: migration.version,
+                updatedAt: Date.now()
+            }));
+        }
+    }
+
+    /**
+     * Bring records exported at an older schema version up to date
+     * @param {number} fromVersion - Schema version the records were exported at
+     * @param {string} storeName - Store the records belong to
+     * @param {Array<Object>} records - Exported records
+     * @returns {Array<Object>} - Records in the current format
+     */
+    static convertRecords(fromVersion, storeName, records) {
+        return this.MIGRATIONS
+            .filter(migration => migration.version > fromVersion && migration.convertRecords)
+            .reduce((current, migration) => migration.convertRecords(storeName, current), records);
+    }
+
+    /**
+     * Run a callback inside a transaction and resolve once it commits
+     * @param {Array<string>} storeNames - Object stores used by the transaction
+     * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+     * @param {Function} callback - Receives the transaction, returns a value or request
+     * @returns {Promise<any>} - Result of the callback (request results are unwrapped)
+     */
+    static async transaction(storeNames, mode, callback) {
+        return this.runTransaction(await this.open(), storeNames, mode, callback);
+    }
+
+    /**
+     * Run a single request against one store
+     * @param {IDBDatabase} db - Open database
+     * @param {string} storeName - Object store
+     * @param {string} mode - Transaction mode
+     * @param {Function} run - Receives the store, returns the request
+     * @returns {Promise<any>} - Result of the request
+     */
+    static request(db, storeName, mode, run) {
+        return this.runTransaction(db, [storeName], mode, transaction => run(transaction.objectStore(storeName)));
+    }
+
+    /**
+     * Run a callback inside a transaction of the given database
+     * @param {IDBDatabase} db - Open database
+     * @param {Array<string>} storeNames - Object stores used by the transaction
+     * @param {string} mode - Transaction mode
+     * @param {Function} callback - Receives the transaction, returns a value or request
+     * @returns {Promise<any>} - Result of the callback (request results are unwrapped)
+     */
+    static runTransaction(db, storeNames, mode, callback) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeNames, mode);
+            let result;
+
+            transaction.oncomplete = () => {
+                resolve(result instanceof IDBRequest ? result.result : result);
+            };
+            transaction.onerror = (event) => reject(event.target.error);
+            transaction.onabort = (event) => reject(event.target.error || new Error('Transaction aborted'));
+
+            try {
+                result = callback(transaction);
+            } catch (error) {
+                transaction.abort();
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * Copy the records of the databases used before into this one and delete
+     * each old database once its records are stored
+     * @param {IDBDatabase} db - Open database
+     * @returns {Promise<void>}
+     */
+    static async importLegacyDatabases(db) {
+        // Opening a database that doesn't exist would create it
+        const existing = new Set((await indexedDB.databases()).map(database => database.name));
+
+        for (const legacy of this.LEGACY_DATABASES) {
+            if (!existing.has(legacy.name)) {
+                continue;
+            }
+
+            const records = await this.readLegacyDatabase(legacy);
+            const targets = Object.keys(records);
+            if (targets.length > 0) {
+                await this.runTransaction(db, targets, 'readwrite', transaction => {
+                    targets.forEach(target => {
+                        const store = transaction.objectStore(target);
+                        records[target].forEach(record => store.put(record));
+                    });
+                });
+            }
+
+            const count = targets.reduce((total, target) => total + records[target].length, 0);
+            console.log(`Imported ${count} records from ${legacy.name}`);
+            await this.deleteDatabase(legacy.name);
+        }
+    }
+
+    /**
+     * Read every record of an old database
+     * @param {Object} legacy - Entry of LEGACY_DATABASES
+     * @returns {Promise<Object>} - Converted records keyed by target store
+     */
+    static async readLegacyDatabase(legacy) {
+        const legacyDb = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(legacy.name);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        try {
+            const records = {};
+            for (const [source, target] of Object.entries(legacy.stores)) {
+                if (!legacyDb.objectStoreNames.contains(source)) {
+                    continue;
+                }
+
+                const items = await this.request(legacyDb, source, 'readonly', store => store.getAll());
+                records[target] = this.convertLegacyRecords(target, items || []);
+            }
+            return records;
+        } finally {
+            legacyDb.close();
+        }
+    }
+
+    /**
+     * Bring old records into the current format of their store
+     * @param {string} target - Store the records move to
+     * @param {Array<Object>} items - Records as stored before
+     * @returns {Array<Object>} - Records to store
+     */
+    static convertLegacyRecords(target, items) {
+        if (target !== 'screenshots') {
+            return items;
+        }
+
+        // Early versions keyed previews by tab ID, later ones by the normalized page URL
+        return items
+            .map(item => {
+                const url = item.url || (item.metadata ? UrlNormalizer.normalize(item.metadata.url) : null);
+                return url ? { ...item, url: url } : null;
+            })
+            .filter(Boolean)
+            // Oldest first, so the newest capture of a page wins
+            .sort((a, b) => (a.metadata?.timestamp || 0) - (b.metadata?.timestamp || 0));
+    }
+
+    /**
+     * Delete a database, without waiting for other contexts to let go of it
+     * @param {string} name - Database name
+     * @returns {Promise<void>}
+     */
+    static deleteDatabase(name) {
+        return new Promise((resolve) => {
+            const request = indexedDB.deleteDatabase(name);
+            request.onsuccess = () => resolve();
+            request.onerror = () => {
+                console.warn(`Could not delete old database ${name}:`, request.error);
+                resolve();
+            };
+            // Deleted as soon as the last connection closes
+            request.onblocked = () => resolve();
+        });
+    }
+}
+
+export default StorageDatabase;
@@ -23,6 +23,13 @@ export default class TabManager {
         this.activityTracker = activityTracker;
         // Flag to prevent multiple confirmations
         this.isConfirmationDialogActive = false;
+        // Returns the thumbnail of a tab's cached preview, set by the app
+        this.thumbnailProvider = null;
+        // Hover preview state
+        this.hoverPreview = null;
+        this.hoverTimer = null;
+        this.hoverImageUrl = null;
+        this.HOVER_DELAY = 400;
     }
 
     /**
@@ -1106,6 +1113,42 @@ export default class TabManager {
 
         tabActions.appendChild(openButton);
 
+        // Add element and region capture buttons for open tabs
+        if (isCapturable && tab.isOpenInChrome) {
+            [
+                { mode: 'element', icon: '&#9678;', title: 'Capture an element of this tab' },
+                { mode: 'region', icon: '&#9633;', title: 'Capture a region of this tab' }
+            ].forEach(({ mode, icon, title }) => {
+                const selectionButton = document.createElement('button');
+                selectionButton.className = `tab-capture-${mode}-btn`;
+                selectionButton.title = title;
+                selectionButton.innerHTML = icon;
+                selectionButton.style.cssText = `
+                    background: none;
+                    border: none;
+                    cursor: pointer;
+                    color: #555;
+                    font-size: 14px;
+                    padding: 3px;
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                    border-radius: 3px;
+                `;
+
+                selectionButton.addEventListener('click', (e) => {
+                    e.stopPropagation(); // Prevent triggering the tab selection
+
+                    // Dispatch custom event to be handled by main.js
+                    document.dispatchEvent(new CustomEvent('captureTabSelection', {
+                        detail: { tab: tab, mode: mode }
+                    }));
+                });
+
+                tabActions.appendChild(selectionButton);
+            });
+        }
+
         // If not closed, create delete button
         if (isCapturable) {
             // Add delete button for manual removal
@@ -1148,13 +1191,15 @@ export default class TabManager {
         // Add the actions container to the tab element
         tabElement.appendChild(tabActions);
 
-        // Show/hide action buttons on mouse enter/leave
+        // Show/hide action buttons and the preview thumbnail on mouse enter/leave
         tabElement.addEventListener('mouseenter', () => {
             tabActions.style.display = 'flex';
+            this.scheduleHoverPreview(tab, tabElement);
         });
 
         tabElement.addEventListener('mouseleave', () => {
             tabActions.style.display = 'none';
+            this.hideHoverPreview();
         });
 
         // Add the tab to the container
@@ -1165,6 +1210,79 @@ export default class TabManager {
         return tabElement;
     }
 
+    /**
+     * Show the thumbnail of a tab's cached preview after the pointer rests on it
+     * @param {Object} tab - Hovered tab
+     * @param {HTMLElement} tabElement - Element of the tab
+     */
+    scheduleHoverPreview(tab, tabElement) {
+        this.hideHoverPreview();
+        if (!this.thumbnailProvider || !this.cachedTabIds || !this.cachedTabIds.has(tab.id)) {
+            return;
+        }
+
+        const timer = setTimeout(async () => {
+            try {
+                const thumbnail = await this.thumbnailProvider(tab);
+
+                // The pointer may have moved on while the thumbnail was read
+                if (!thumbnail || this.hoverTimer !== timer || !tabElement.isConnected) {
+                    return;
+                }
+                this.showHoverPreview(thumbnail, tabElement);
+            } catch (error) {
+                console.warn('Could not load the preview thumbnail:', error);
+            }
+        }, this.HOVER_DELAY);
+        this.hoverTimer = timer;
+    }
+
+    /**
+     * Show a thumbnail next to a tab
+     * @param {Blob} thumbnail - Thumbnail image
+     * @param {HTMLElement} tabElement - Element of the tab
+     */
+    showHoverPreview(thumbnail, tabElement) {
+        if (!this.hoverPreview) {
+            this.hoverPreview = document.createElement('div');
+            this.hoverPreview.className = 'tab-hover-preview';
+            this.hoverPreview.innerHTML = '<img alt="">';
+            document.body.appendChild(this.hoverPreview);
+        }
+
+        if (this.hoverImageUrl) {
+            URL.revokeObjectURL(this.hoverImageUrl);
+        }
+        this.hoverImageUrl = URL.createObjectURL(thumbnail);
+        this.hoverPreview.querySelector('img').src = this.hoverImageUrl;
+
+        // Beside the tab, on its left when there is no room on the right
+        const rect = tabElement.getBoundingClientRect();
+        const width = this.hoverPreview.offsetWidth || 330;
+        const left = rect.right + width + 8 < window.innerWidth ? rect.right + 8 : Math.max(8, rect.left - width - 8);
+        this.hoverPreview.style.left = `${left}px`;
+        this.hoverPreview.style.top = `${Math.max(8, Math.min(rect.top, window.innerHeight - 260))}px`;
+        this.hoverPreview.classList.add('visible');
+    }
+
+    /**
+     * Hide the hover thumbnail and release its image
+     */
+    hideHoverPreview() {
+        if (this.hoverTimer) {
+            clearTimeout(this.hoverTimer);
+            this.hoverTimer = null;
+        }
+        if (this.hoverPreview) {
+            this.hoverPreview.classList.remove('visible');
+            this.hoverPreview.querySelector('img').removeAttribute('src');
+        }
+        if (this.hoverImageUrl) {
+            URL.revokeObjectURL(this.hoverImageUrl);
+            this.hoverImageUrl = null;
+        }
+    }
+
     /**
      * Handle tab selection by user
      * @param {Event} event - Click event
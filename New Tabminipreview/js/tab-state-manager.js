@@ -4,11 +4,11 @@
  * Implements decoupling of previews from open tabs
  */
 
+import StorageDatabase from './storage-database.js';
+
 class TabStateManager {
     constructor() {
-        this.DB_NAME = 'DeclutterXTab';
-        this.TAB_STORE = 'tabMetadata';
-        this.DB_VERSION = 1;
+        this.TAB_STORE = 'tabMetadata'; // Store of the shared storage database
         this.db = null;
         this._dbReady = false;
         this._initPromise = null;
@@ -34,43 +34,24 @@ class TabStateManager {
                 return this._initPromise;
             }
 
-            this._initPromise = new Promise((resolve) => {
-                // Check if IndexedDB is available
-                if (!window.indexedDB) {
-                    console.error('IndexedDB is not supported in this browser');
-                    this._dbReady = false;
-                    resolve(false);
-                    return;
-                }
-
-                const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
-
-                request.onerror = (event) => {
-                    console.error('Error opening tab state database:', event.target.error);
-                    this._dbReady = false;
-                    resolve(false);
-                };
-
-                request.onsuccess = (event) => {
-                    this.db = event.target.result;
-                    this._dbReady = true;
-                    console.log('Tab state database initialized successfully');
-                    resolve(true);
-                };
-
-                request.onupgradeneeded = (event) => {
-                    const db = event.target.result;
-
-                    // Create tab metadata store if it doesn't exist
-                    if (!db.objectStoreNames.contains(this.TAB_STORE)) {
-                        const tabStore = db.createObjectStore(this.TAB_STORE, { keyPath: 'id' });
+            // Check if IndexedDB is available
+            if (!window.indexedDB) {
+                console.error('IndexedDB is not supported in this browser');
+                this._dbReady = false;
+                return false;
+            }
 
-                        // Create indices for efficient querying
-                        tabStore.createIndex('isOpen', 'isOpen', { unique: false });
-                        tabStore.createIndex('capturedAt', 'capturedAt', { unique: false });
-                        tabStore.createIndex('url', 'url', { unique: false });
-                    }
-                };
+            this._initPromise = StorageDatabase.open().then((db) => {
+                this.db = db;
+                this._dbReady = true;
+                console.log('Tab state database initialized successfully');
+                return true;
+            }).catch((error) => {
+                console.error('Error opening tab state database:', error);
+                this.db = null;
+                this._dbReady = false;
+                this._initPromise = null;
+                return false;
             });
 
             return this._initPromise;
@@ -322,6 +303,62 @@ class TabStateManager {
         });
     }
 
+    /**
+     * Remove every stored tab whose URL matches, together with its screenshot.
+     * Covers the IndexedDB store as well as the chrome.storage copies.
+     * @param {Function} isMatch - Called with a tab URL, returns true to remove the tab
+     * @returns {Promise<number>} Number of removed entries
+     */
+    async purgeTabs(isMatch) {
+        let removed = 0;
+
+        if (await this.init()) {
+            removed += await new Promise((resolve) => {
+                let count = 0;
+                try {
+                    const transaction = this.db.transaction([this.TAB_STORE], 'readwrite');
+                    const request = transaction.objectStore(this.TAB_STORE).openCursor();
+
+                    request.onsuccess = (event) => {
+                        const cursor = event.target.result;
+                        if (!cursor) return;
+                        if (cursor.value && cursor.value.url && isMatch(cursor.value.url)) {
+                            cursor.delete();
+                            count++;
+                        }
+                        cursor.continue();
+                    };
+
+                    transaction.oncomplete = () => resolve(count);
+                    transaction.onerror = (event) => {
+                        console.error('Error purging tab metadata:', event.target.error);
+                        resolve(0);
+                    };
+                } catch (error) {
+                    console.error('Exception purging tab metadata:', error);
+                    resolve(0);
+                }
+            });
+        }
+
+        // Metadata and screenshots kept in chrome.storage
+        try {
+            await this.loadTabMetadata();
+            this.tabScreenshots = await this.getStorageData(this.STORAGE_KEYS.TAB_SCREENSHOTS) || {};
+
+            for (const [tabId, metadata] of Object.entries(this.tabMetadata)) {
+                if (metadata && metadata.url && isMatch(metadata.url)) {
+                    await this.removeTab(tabId);
+                    removed++;
+                }
+            }
+        } catch (error) {
+            console.error('Error purging stored tabs:', error);
+        }
+
+        return removed;
+    }
+
     /**
      * Initialize the manager
      * @returns {Promise<void>}
@@ -3,6 +3,17 @@
  * Handles the extension's user interface elements and interactions
  */
 
+import ImageProcessor from './image-processor.js';
+import ImageMetadata from './image-metadata.js';
+import PdfExporter from './pdf-exporter.js';
+import DownloadManager from './download-manager.js';
+import ClipboardExporter from './clipboard-exporter.js';
+import HtmlUtils from './html-utils.js';
+import RedactionEditor from './redaction-editor.js';
+import AnnotationEditor from './annotation-editor.js';
+import AnnotationRenderer from './annotation-renderer.js';
+import SettingsManager from './settings-manager.js';
+
 class UIController {
     constructor() {
         this.previewContainer = null;
@@ -13,6 +24,16 @@ class UIController {
         this.messageContainer = null;
         this.screenshotUrls = new Set(); // Track created URLs for cleanup
         this.messageTimeout = null;
+        this.settingsManager = null;
+        this.currentPreview = null; // Image URL and tab info of the screenshot in the preview area
+    }
+
+    /**
+     * Use the user's settings for downloads
+     * @param {SettingsManager} settingsManager - Initialized settings manager
+     */
+    setSettingsManager(settingsManager) {
+        this.settingsManager = settingsManager;
     }
 
     /**
@@ -33,6 +54,9 @@ class UIController {
         // Set up action buttons
         this.setupButtons();
 
+        // Read capture metadata from screenshots dropped onto the page
+        this.setupFileDrop();
+
         // Initialize UI state
         this.resetPreview();
 
@@ -80,6 +104,14 @@ class UIController {
             });
         }
 
+        // Cancel button in the progress area - the app decides what to cancel
+        const cancelBtn = document.querySelector('#cancel-capture');
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', () => {
+                document.dispatchEvent(new CustomEvent('cancelCapture'));
+            });
+        }
+
         // Download button (if available)
         const downloadBtn = document.querySelector('#download-screenshot');
         if (downloadBtn) {
@@ -89,6 +121,105 @@ class UIController {
         }
     }
 
+    /**
+     * Show the embedded capture metadata of image files dropped onto the page.
+     * Only file drags are handled so dragging tabs keeps working.
+     */
+    setupFileDrop() {
+        const isFileDrag = (event) => event.dataTransfer && Array.from(event.dataTransfer.types).includes('Files');
+
+        document.addEventListener('dragover', (event) => {
+            if (!isFileDrag(event)) return;
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'copy';
+            document.body.classList.add('file-drag-over');
+        });
+
+        document.addEventListener('dragleave', (event) => {
+            // relatedTarget is null once the drag leaves the window
+            if (!event.relatedTarget) {
+                document.body.classList.remove('file-drag-over');
+            }
+        });
+
+        document.addEventListener('drop', async (event) => {
+            if (!isFileDrag(event)) return;
+            event.preventDefault();
+            document.body.classList.remove('file-drag-over');
+
+            const file = Array.from(event.dataTransfer.files).find(item => item.type.startsWith('image/'));
+            if (!file) {
+                this.showMessage('Drop a PNG, JPEG or WebP screenshot to see where it came from', 'info', 3000);
+                return;
+            }
+
+            try {
+                const metadata = await ImageMetadata.read(file);
+                this.showImageMetadata(file.name, metadata);
+            } catch (error) {
+                console.error('Error reading image metadata:', error);
+                this.showMessage('Could not read the metadata of this file', 'error', 3000);
+            }
+        });
+    }
+
+    /**
+     * Show the metadata read from an image file in a dialog
+     * @param {string} fileName - Name of the dropped file
+     * @param {Object} metadata - Result of ImageMetadata.read
+     */
+    showImageMetadata(fileName, metadata) {
+        const rows = ImageMetadata.FIELDS
+            .filter(field => metadata.fields[field.key])
+            .map(field => {
+                const value = field.key === 'capturedAt'
+                    ? new Date(metadata.fields[field.key]).toLocaleString()
+                    : metadata.fields[field.key];
+                return [field.label, value];
+            })
+            .concat(Object.entries(metadata.other));
+
+        if (rows.length === 0) {
+            this.showMessage(`No capture information found in ${fileName}`, 'info', 3000);
+            return;
+        }
+
+        const dialog = document.createElement('div');
+        dialog.className = 'options-dialog metadata-dialog';
+        dialog.innerHTML = `
+            <div class="options-dialog-content">
+                <h3>${HtmlUtils.escape(fileName)}</h3>
+                <dl class="metadata-list">
+                    ${rows.map(([label, value]) => `
+                        <dt>${HtmlUtils.escape(label)}</dt>
+                        <dd>${HtmlUtils.escape(value)}</dd>
+                    `).join('')}
+                </dl>
+                <div class="dialog-actions">
+                    ${/^https?:\/\//i.test(metadata.fields.url || '') ? '<button class="btn btn-secondary open-source-btn">Open source page</button>' : ''}
+                    <button class="btn cancel-btn">Close</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(dialog);
+
+        const openSourceBtn = dialog.querySelector('.open-source-btn');
+        if (openSourceBtn) {
+            openSourceBtn.addEventListener('click', () => {
+                chrome.tabs.create({ url: metadata.fields.url });
+                dialog.remove();
+            });
+        }
+
+        dialog.querySelector('.cancel-btn').addEventListener('click', () => dialog.remove());
+        dialog.addEventListener('click', (e) => {
+            if (e.target === dialog) {
+                dialog.remove();
+            }
+        });
+    }
+
     /**
      * Show capture progress
      * @param {number} percent - Percentage complete (0-100)
@@ -133,8 +264,9 @@ class UIController {
      * @param {string} titleOrMessage - Error title or complete error message
      * @param {string} message - Error message (optional)
      * @param {Function} retryCallback - Optional callback for retry button
+     * @param {string} retryLabel - Optional label of the retry button
      */
-    showError(titleOrMessage, message, retryCallback = null) {
+    showError(titleOrMessage, message, retryCallback = null, retryLabel = 'Retry') {
         if (!this.errorContainer) {
             return;
         }
@@ -182,7 +314,7 @@ class UIController {
         if (retryCallback && typeof retryCallback === 'function') {
             const retryButton = document.createElement('button');
             retryButton.className = 'btn btn-primary';
-            retryButton.textContent = 'Retry';
+            retryButton.textContent = retryLabel;
             retryButton.addEventListener('click', retryCallback);
 
             const buttonContainer = document.createElement('div');
@@ -273,6 +405,7 @@ class UIController {
         if (this.previewContainer) {
             this.previewContainer.innerHTML = '<div class="empty-preview">Click on a tab to capture a screenshot</div>';
         }
+        this.currentPreview = null;
 
         this.hideProgress();
         this.hideError();
@@ -314,12 +447,18 @@ class UIController {
      * @param {function} refreshCallback - Optional callback for refreshing the screenshot
      */
     showScreenshot(imageUrl, tabInfo, refreshCallback = null) {
+        // Remember when this screenshot was taken for exports
+        if (tabInfo && !tabInfo.capturedAt) {
+            tabInfo.capturedAt = Date.now();
+        }
+
         if (!this.previewContainer) {
             return;
         }
 
         // Track URL for cleanup
         this.screenshotUrls.add(imageUrl);
+        this.currentPreview = { imageUrl: imageUrl, tabInfo: tabInfo };
 
         // Create preview container
         this.previewContainer.innerHTML = `
@@ -342,6 +481,8 @@ class UIController {
                     </div>
                     <button id="close-tabs-dropdown-preview" class="btn btn-danger btn-sm" title="Close Tabs">Close Tabs</button>
                     ${refreshCallback ? '<button id="refresh-screenshot" class="btn btn-refresh" title="Refresh Preview"><span class="icon-refresh"></span> Refresh</button>' : ''}
+                    <button id="copy-screenshot" class="btn btn-copy" title="Copy to clipboard">Copy</button>
+                    <button id="export-pdf" class="btn btn-export-pdf" title="Export as PDF">PDF</button>
                     <button id="download-screenshot" class="btn btn-download" title="Download Screenshot">
                         <span class="icon-download"></span>
                     </button>
@@ -364,6 +505,9 @@ class UIController {
             </div>
         `;
 
+        // Draw saved annotations over the screenshot
+        this.showAnnotations(this.previewContainer.querySelector('.screenshot-image'), imageUrl, tabInfo.annotations);
+
         // Set up download button
         const downloadBtn = document.querySelector('#download-screenshot');
         if (downloadBtn) {
@@ -372,6 +516,26 @@ class UIController {
             });
         }
 
+        // Set up clipboard menu
+        const copyBtn = document.querySelector('#copy-screenshot');
+        if (copyBtn) {
+            copyBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.showCopyMenu(copyBtn, imageUrl, tabInfo, () => this.getVisibleImageRect(
+                    this.previewContainer.querySelector('.screenshot-image'),
+                    this.previewContainer.querySelector('.screenshot-container')
+                ));
+            });
+        }
+
+        // Set up PDF export button
+        const exportPdfBtn = document.querySelector('#export-pdf');
+        if (exportPdfBtn) {
+            exportPdfBtn.addEventListener('click', () => {
+                this.exportPdf(imageUrl, tabInfo, exportPdfBtn);
+            });
+        }
+
         // Set up zoom functionality
         let currentZoom = 100;
         const zoomStep = 10;
@@ -474,7 +638,7 @@ class UIController {
     /**
      * Toggle fullscreen preview for a screenshot
      * @param {Object} tabInfo - Tab information
-     * @param {string|Blob|Object} imageUrl - URL of the image to show, can be a string URL, Blob object, or an object with dataUrl property
+     * @param {string|Blob|Object} imageUrl - URL of the image to show, can be a string URL, Blob object, or a cache entry with a blob property
      */
     toggleFullscreenPreview(tabInfo, imageUrl) {
         // Remove any existing fullscreen previews
@@ -494,12 +658,12 @@ class UIController {
         if (typeof imageUrl === 'string') {
             finalImageUrl = imageUrl;
         } else if (imageUrl instanceof Blob) {
-            // Create an object URL for the Blob
-            finalImageUrl = URL.createObjectURL(imageUrl);
-            this.screenshotUrls.add(finalImageUrl); // Track for cleanup
+            finalImageUrl = this.createScreenshotUrl(imageUrl);
         } else if (imageUrl && typeof imageUrl === 'object') {
-            // If it's an object from cache, it might have a dataUrl property
-            if (imageUrl.dataUrl) {
+            // Cache entries hold the image as a Blob
+            if (imageUrl.blob instanceof Blob) {
+                finalImageUrl = this.createScreenshotUrl(imageUrl.blob);
+            } else if (imageUrl.dataUrl) {
                 finalImageUrl = imageUrl.dataUrl;
             } else if (imageUrl.screenshot) {
                 finalImageUrl = imageUrl.screenshot;
@@ -531,6 +695,10 @@ class UIController {
                             <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"></polygon>
                         </svg>
                     </button>
+                    <button class="btn copy-btn" title="Copy to clipboard">Copy</button>
+                    <button class="btn export-pdf-btn" title="Export as PDF">PDF</button>
+                    <button class="btn annotate-btn" title="Draw arrows, boxes, labels and callouts">Annotate</button>
+                    <button class="btn redact-btn" title="Blur or black out parts of the screenshot">Redact</button>
                     <button class="btn remove-tab-btn" title="Remove Tab">
                         <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
                             <path d="M3 6h18"></path>
@@ -566,6 +734,7 @@ class UIController {
         // Add to document
         document.body.appendChild(fullscreenPreview);
         document.body.classList.add('no-scroll'); // Prevent scrolling the main page
+        this.showAnnotations(fullscreenPreview.querySelector('.fullscreen-image-container img'), finalImageUrl, tabInfo.annotations);
         
         // Close button functionality
         const closeBtn = fullscreenPreview.querySelector('.close-fullscreen');
@@ -585,6 +754,35 @@ class UIController {
             starBtn.querySelector('svg').setAttribute('fill', newIsStarred ? 'currentColor' : 'none');
         });
         
+        // Clipboard menu
+        const fullscreenCopyBtn = fullscreenPreview.querySelector('.copy-btn');
+        fullscreenCopyBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const imageContainer = fullscreenPreview.querySelector('.fullscreen-image-container');
+            this.showCopyMenu(fullscreenCopyBtn, finalImageUrl, tabInfo, () => this.getVisibleImageRect(
+                imageContainer.querySelector('img'),
+                imageContainer
+            ));
+        });
+
+        // PDF export functionality
+        const exportPdfBtn = fullscreenPreview.querySelector('.export-pdf-btn');
+        exportPdfBtn.addEventListener('click', () => {
+            this.exportPdf(finalImageUrl, tabInfo, exportPdfBtn);
+        });
+
+        // Annotation editor
+        const annotateBtn = fullscreenPreview.querySelector('.annotate-btn');
+        annotateBtn.addEventListener('click', () => {
+            this.openAnnotationEditor(finalImageUrl, tabInfo, fullscreenPreview);
+        });
+
+        // Redaction editor
+        const redactBtn = fullscreenPreview.querySelector('.redact-btn');
+        redactBtn.addEventListener('click', () => {
+            this.openRedactionEditor(finalImageUrl, tabInfo, fullscreenPreview);
+        });
+
         // Remove tab button functionality
         const removeBtn = fullscreenPreview.querySelector('.remove-tab-btn');
         removeBtn.addEventListener('click', () => {
@@ -617,17 +815,137 @@ class UIController {
         const keyHandler = (e) => {
             // Handle escape key to exit fullscreen
             if (e.key === 'Escape') {
-                if (document.querySelector('.fullscreen-preview')) {
+                // This preview may already have been replaced by another one
+                if (fullscreenPreview.isConnected) {
                     document.body.removeChild(fullscreenPreview);
                     document.body.classList.remove('no-scroll');
-                    document.removeEventListener('keydown', keyHandler);
                 }
+                document.removeEventListener('keydown', keyHandler);
             }
         };
         
         document.addEventListener('keydown', keyHandler);
     }
     
+    /**
+     * Open the annotation editor for the screenshot in the fullscreen preview
+     * @param {string} imageUrl - URL of the screenshot without annotations
+     * @param {Object} tabInfo - Tab information, including saved annotations
+     * @param {HTMLElement} fullscreenPreview - The fullscreen preview element
+     */
+    async openAnnotationEditor(imageUrl, tabInfo, fullscreenPreview) {
+        const editor = new AnnotationEditor(imageUrl, {
+            annotations: tabInfo.annotations,
+            canSave: !!tabInfo.id,
+            onExport: (annotations) => this.downloadScreenshot(imageUrl, { ...tabInfo, annotations: annotations }),
+            onSave: (annotations) => {
+                tabInfo.annotations = annotations;
+                document.dispatchEvent(new CustomEvent('saveAnnotations', {
+                    detail: { tabId: tabInfo.id, url: tabInfo.url, annotations: annotations }
+                }));
+
+                // Update the fullscreen view and the preview area when it shows the same tab
+                this.showAnnotations(fullscreenPreview.querySelector('.fullscreen-image-container img'), imageUrl, annotations);
+                if (this.currentPreview && this.currentPreview.tabInfo.id === tabInfo.id && this.previewContainer) {
+                    this.currentPreview.tabInfo.annotations = annotations;
+                    this.showAnnotations(
+                        this.previewContainer.querySelector('.screenshot-image'),
+                        this.currentPreview.imageUrl,
+                        annotations
+                    );
+                }
+            }
+        });
+
+        try {
+            await editor.open();
+        } catch (error) {
+            console.error('Error opening annotation editor:', error);
+            editor.close();
+            this.showMessage('Could not open the annotation editor: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Show a screenshot with its annotations drawn in. The element keeps the plain
+     * screenshot until the annotated copy is ready.
+     * @param {HTMLImageElement} img - Image element to update
+     * @param {string} imageUrl - URL of the screenshot without annotations
+     * @param {Object} annotations - Annotation data, if any
+     */
+    async showAnnotations(img, imageUrl, annotations) {
+        if (!img) return;
+
+        if (!AnnotationRenderer.hasShapes(annotations)) {
+            img.src = imageUrl;
+            return;
+        }
+
+        try {
+            const annotated = await AnnotationRenderer.flatten(await (await fetch(imageUrl)).blob(), annotations);
+            const annotatedUrl = URL.createObjectURL(annotated);
+            this.screenshotUrls.add(annotatedUrl); // Track for cleanup
+            if (img.isConnected) {
+                img.src = annotatedUrl;
+            }
+        } catch (error) {
+            console.error('Error drawing annotations:', error);
+        }
+    }
+
+    /**
+     * Read a screenshot for exporting, with its annotations drawn in
+     * @param {string} imageUrl - URL of the screenshot without annotations
+     * @param {Object} tabInfo - Tab information, including saved annotations
+     * @returns {Promise<Blob>} - Screenshot to export
+     */
+    async getExportBlob(imageUrl, tabInfo) {
+        const blob = await (await fetch(imageUrl)).blob();
+        return AnnotationRenderer.flatten(blob, tabInfo && tabInfo.annotations);
+    }
+
+    /**
+     * Open the redaction editor for the screenshot in the fullscreen preview
+     * @param {string} imageUrl - URL of the screenshot
+     * @param {Object} tabInfo - Tab information, including any sensitive text found while capturing
+     * @param {HTMLElement} fullscreenPreview - The fullscreen preview element
+     */
+    async openRedactionEditor(imageUrl, tabInfo, fullscreenPreview) {
+        const editor = new RedactionEditor(imageUrl, {
+            sensitiveText: tabInfo.sensitiveText,
+            canSave: !!tabInfo.id,
+            onExport: async (blob) => {
+                const redactedUrl = URL.createObjectURL(blob);
+                try {
+                    await this.downloadScreenshot(redactedUrl, tabInfo);
+                } finally {
+                    URL.revokeObjectURL(redactedUrl);
+                }
+            },
+            onSave: (blob) => {
+                // The boxes are part of the pixels now, the recorded text positions are no longer needed
+                const redactedTabInfo = { ...tabInfo, sensitiveText: null, redacted: true };
+                document.dispatchEvent(new CustomEvent('saveRedactedScreenshot', {
+                    detail: { tabInfo: redactedTabInfo, blob: blob }
+                }));
+
+                // Show the redacted version in place of the original
+                fullscreenPreview.remove();
+                document.body.classList.remove('no-scroll');
+                this.toggleFullscreenPreview(redactedTabInfo, blob);
+            },
+            onError: (error) => this.showMessage('Could not use the redacted screenshot: ' + error.message, 'error')
+        });
+
+        try {
+            await editor.open();
+        } catch (error) {
+            console.error('Error opening redaction editor:', error);
+            editor.close();
+            this.showMessage('Could not open the redaction editor: ' + error.message, 'error');
+        }
+    }
+
     /**
      * Toggle starred status of a tab
      * @param {Object} tabInfo - The tab to toggle star status
@@ -815,6 +1133,136 @@ class UIController {
         });
     }
 
+    /**
+     * Show the clipboard menu under a button
+     * @param {HTMLElement} button - Button the menu belongs to
+     * @param {string} imageUrl - URL of the screenshot (object URL or data URL)
+     * @param {Object} tabInfo - Information about the source tab
+     * @param {Function} getVisibleRect - Returns the visible part of the image in image pixels
+     */
+    showCopyMenu(button, imageUrl, tabInfo, getVisibleRect) {
+        const existingMenu = document.querySelector('.copy-menu');
+        if (existingMenu) {
+            existingMenu.remove();
+            return;
+        }
+
+        const readImage = () => this.getExportBlob(imageUrl, tabInfo);
+        const actions = [
+            { label: 'Copy image', run: () => this.copyToClipboard('image', readImage, tabInfo) },
+            { label: 'Copy visible area', run: () => this.copyToClipboard('area', readImage, tabInfo, getVisibleRect()) },
+            { label: 'Copy Markdown link', run: () => this.copyToClipboard('markdown', readImage, tabInfo) },
+            { label: 'Copy HTML with thumbnail', run: () => this.copyToClipboard('html', readImage, tabInfo) }
+        ];
+
+        const dropdownMenu = document.createElement('div');
+        dropdownMenu.className = 'dropdown-menu copy-menu';
+
+        actions.forEach(action => {
+            const item = document.createElement('button');
+            item.className = 'dropdown-menu-item';
+            item.textContent = action.label;
+            item.addEventListener('click', (e) => {
+                e.stopPropagation();
+                dropdownMenu.remove();
+                // The clipboard write starts within the click, the image is read while it runs
+                action.run();
+            });
+            dropdownMenu.appendChild(item);
+        });
+
+        // Position the dropdown under the button
+        const buttonRect = button.getBoundingClientRect();
+        dropdownMenu.style.top = `${buttonRect.bottom + 5}px`;
+        dropdownMenu.style.right = `${window.innerWidth - buttonRect.right}px`;
+        document.body.appendChild(dropdownMenu);
+
+        // Close dropdown when clicking outside
+        setTimeout(() => {
+            document.addEventListener('click', () => dropdownMenu.remove(), { once: true });
+        });
+    }
+
+    /**
+     * Copy a screenshot to the clipboard in one of the supported forms
+     * @param {string} type - 'image', 'area', 'markdown' or 'html'
+     * @param {Function} readImage - Returns a promise of the screenshot, called when the format needs it
+     * @param {Object} tabInfo - Information about the source tab
+     * @param {Object} rect - Area to copy for 'area' (image pixels)
+     */
+    async copyToClipboard(type, readImage, tabInfo, rect = null) {
+        try {
+            switch (type) {
+                case 'image': {
+                    const result = await ClipboardExporter.copyImage(readImage());
+                    this.showMessage(result.scaled
+                        ? `Image copied, scaled down to ${result.width}x${result.height}px to fit the clipboard`
+                        : 'Image copied to clipboard', 'success', 3000);
+                    break;
+                }
+                case 'area': {
+                    if (!rect) {
+                        this.showMessage('Scroll the screenshot into view to copy the visible area', 'info', 3000);
+                        return;
+                    }
+                    const result = await ClipboardExporter.copyArea(readImage(), rect);
+                    this.showMessage(`Visible area copied (${result.width}x${result.height}px)`, 'success', 3000);
+                    break;
+                }
+                case 'markdown':
+                    await ClipboardExporter.copyMarkdown(tabInfo);
+                    this.showMessage('Markdown link copied to clipboard', 'success', 3000);
+                    break;
+                case 'html':
+                    await ClipboardExporter.copyHtml(readImage(), tabInfo);
+                    this.showMessage('HTML snippet copied to clipboard', 'success', 3000);
+                    break;
+                default:
+                    throw new Error(`Unknown clipboard format: ${type}`);
+            }
+        } catch (error) {
+            console.error('Error copying to clipboard:', error);
+            if (error.tooLarge) {
+                this.showMessage(`${error.message}. Copy the visible area or download it instead.`, 'warning', 5000);
+            } else {
+                this.showMessage('Could not copy to clipboard: ' + error.message, 'error', 4000);
+            }
+        }
+    }
+
+    /**
+     * Get the part of an image currently visible inside a scrolling viewport
+     * @param {HTMLImageElement} img - Displayed image
+     * @param {HTMLElement} viewport - Element the image scrolls in
+     * @returns {Object|null} - Visible area in image pixels, or null when nothing is visible
+     */
+    getVisibleImageRect(img, viewport) {
+        if (!img || !viewport || !img.naturalWidth) {
+            return null;
+        }
+
+        const imageRect = img.getBoundingClientRect();
+        const viewportRect = viewport.getBoundingClientRect();
+
+        // The preview itself may also be scrolled out of the window
+        const left = Math.max(imageRect.left, viewportRect.left, 0);
+        const top = Math.max(imageRect.top, viewportRect.top, 0);
+        const right = Math.min(imageRect.right, viewportRect.right, window.innerWidth);
+        const bottom = Math.min(imageRect.bottom, viewportRect.bottom, window.innerHeight);
+
+        if (right <= left || bottom <= top) {
+            return null;
+        }
+
+        const scale = img.naturalWidth / imageRect.width;
+        return {
+            x: (left - imageRect.left) * scale,
+            y: (top - imageRect.top) * scale,
+            width: Math.min((right - left) * scale, img.naturalWidth),
+            height: Math.min((bottom - top) * scale, img.naturalHeight)
+        };
+    }
+
     /**
      * Hide the preview
      */
@@ -823,51 +1271,137 @@ class UIController {
     }
 
     /**
-     * Download the current screenshot
+     * Download the current screenshot in the format chosen in the settings
      * @param {string} imageUrl - URL of the screenshot to download
      * @param {Object} tabInfo - Information about the source tab
      */
-    downloadScreenshot(imageUrl, tabInfo) {
+    async downloadScreenshot(imageUrl, tabInfo) {
         try {
-            // Create a download link
-            const downloadLink = document.createElement('a');
-            downloadLink.href = imageUrl;
-
-            // Generate filename from the page title
-            let filename = `screenshot-${new Date().toISOString().split('T')[0]}`;
-            if (tabInfo && tabInfo.title) {
-                // Clean the title for use in a filename
-                const cleanTitle = tabInfo.title
-                    .replace(/[\\/:*?"<>|]/g, '_') // Remove invalid filename chars
-                    .replace(/\s+/g, '_') // Replace spaces with underscores
-                    .substring(0, 100); // Limit length
-
-                filename = `${cleanTitle}-${filename}`;
+            const settings = this.getSettings();
+            let output = ImageProcessor.getOutputOptions(settings, 'download');
+
+            // A preview opened from the cache is the smaller cached copy, converting it to a
+            // lossless format would only make the file bigger, so it keeps its cached format
+            const cachedFormat = tabInfo && tabInfo.cachedType ? ImageProcessor.getFormat(tabInfo.cachedType) : null;
+            const keepCachedFormat = !!cachedFormat && cachedFormat.lossy && !ImageProcessor.getFormat(output.format).lossy;
+            if (keepCachedFormat) {
+                output = { ...output, format: cachedFormat.mimeType };
+            }
+            const format = ImageProcessor.getFormat(output.format);
+
+            // Re-encode the previewed image with the download settings, an unchanged cached copy is used as it is
+            const sourceBlob = await this.getExportBlob(imageUrl, tabInfo);
+            let downloadBlob = keepCachedFormat && sourceBlob.type === format.mimeType && !output.maxWidth
+                ? sourceBlob
+                : await ImageProcessor.encodeImage(sourceBlob, output);
+
+            // Record where the screenshot came from inside the file
+            if (settings.embedMetadata) {
+                try {
+                    downloadBlob = await ImageMetadata.embed(downloadBlob, ImageMetadata.fromTabInfo(tabInfo));
+                } catch (metadataError) {
+                    console.warn('Could not embed metadata, downloading without it:', metadataError);
+                }
             }
 
-            // Set download attributes
-            downloadLink.download = `${filename}.png`;
-            downloadLink.style.display = 'none';
+            await this.saveDownload(downloadBlob, tabInfo, format.extension, 'Screenshot');
+        } catch (error) {
+            console.error('Error downloading screenshot:', error);
+            this.showError('Download Failed', 'Could not download the screenshot: ' + error.message);
+        }
+    }
 
-            // Add to document, click, and remove
-            document.body.appendChild(downloadLink);
-            downloadLink.click();
+    /**
+     * Export a screenshot as a multi-page PDF using the PDF settings
+     * @param {string} imageUrl - URL of the screenshot (object URL or data URL)
+     * @param {Object} tabInfo - Information about the source tab
+     * @param {HTMLElement} button - Button to disable while the PDF is written
+     */
+    async exportPdf(imageUrl, tabInfo, button = null) {
+        if (button) {
+            button.disabled = true;
+        }
 
-            // Show success message
-            this.showMessage('Screenshot downloaded successfully!', 3000);
+        try {
+            const settings = this.getSettings();
+            const imageBlob = await this.getExportBlob(imageUrl, tabInfo);
+
+            this.showMessage('Creating PDF...', 'info');
+            const pdfBlob = await PdfExporter.createPdf(imageBlob, {
+                pageSize: settings.pdfPageSize,
+                margin: settings.pdfMargin,
+                includeHeader: settings.pdfIncludeHeader,
+                title: tabInfo && tabInfo.title,
+                url: tabInfo && tabInfo.url,
+                capturedAt: (tabInfo && tabInfo.capturedAt) || Date.now()
+            });
 
-            // Cleanup
-            setTimeout(() => {
-                if (downloadLink.parentNode) {
-                    downloadLink.parentNode.removeChild(downloadLink);
-                }
-            }, 100);
+            await this.saveDownload(pdfBlob, tabInfo, 'pdf', 'PDF');
         } catch (error) {
-            console.error('Error downloading screenshot:', error);
-            this.showError('Download Failed', 'Could not download the screenshot: ' + error.message);
+            console.error('Error exporting PDF:', error);
+            this.showError('PDF Export Failed', 'Could not create the PDF: ' + error.message);
+        } finally {
+            if (button) {
+                button.disabled = false;
+            }
+        }
+    }
+
+    /**
+     * Get the user's settings (defaults until a settings manager is set)
+     * @returns {Object} - All settings
+     */
+    getSettings() {
+        return this.settingsManager ? this.settingsManager.getAll() : { ...SettingsManager.DEFAULTS };
+    }
+
+    /**
+     * Save an exported file with the download settings and report the result
+     * @param {Blob} blob - File contents
+     * @param {Object} tabInfo - Information about the source tab
+     * @param {string} extension - File extension without the dot
+     * @param {string} label - What was saved, used in messages ('Screenshot', 'PDF')
+     * @returns {Promise<boolean>} - Whether the file was saved
+     */
+    async saveDownload(blob, tabInfo, extension, label) {
+        const settings = this.getSettings();
+        const filename = DownloadManager.buildFilename(settings.downloadFilenameTemplate, {
+            title: tabInfo && tabInfo.title,
+            url: tabInfo && tabInfo.url,
+            date: (tabInfo && tabInfo.capturedAt) || Date.now(),
+            extension: extension
+        });
+
+        try {
+            const result = await DownloadManager.download(blob, filename, {
+                conflictAction: settings.downloadConflictAction,
+                saveAs: settings.downloadSaveAs
+            });
+
+            // Chrome reports the absolute path, the name is enough here
+            const savedName = (result.filename || filename).split(/[\\/]/).pop();
+            this.showMessage(`${label} saved as ${savedName}`, 'success', 3000);
+            return true;
+        } catch (error) {
+            if (error.cancelled) {
+                this.showMessage('Download cancelled', 'info', 3000);
+                return false;
+            }
+            throw error;
         }
     }
 
+    /**
+     * Create an object URL for a screenshot, revoked with the others when the preview is reset
+     * @param {Blob} blob - Screenshot
+     * @returns {string} - Object URL
+     */
+    createScreenshotUrl(blob) {
+        const url = URL.createObjectURL(blob);
+        this.screenshotUrls.add(url);
+        return url;
+    }
+
     /**
      * Clean up screenshot URLs to prevent memory leaks
      */
@@ -0,0 +1,68 @@
+/**
+ * URL Normalizer Module
+ * Reduces page URLs to the form cached previews are stored under, so the
+ * same page opened from a newsletter, an ad or a bookmark shares one preview
+ */
+
+class UrlNormalizer {
+    // Query parameters that only tell the site where a visitor came from
+    static TRACKING_PARAMS = new Set([
+        'fbclid', 'gclid', 'gclsrc', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid',
+        'twclid', 'ttclid', 'li_fat_id', 'igshid', 'mc_cid', 'mc_eid', 'mkt_tok',
+        '_ga', '_gl', '_hsenc', '_hsmi', 'oly_anon_id', 'oly_enc_id', 'vero_id', 'vero_conv'
+    ]);
+
+    // Parameter families used by campaign tools (utm_source, utm_medium, ...)
+    static TRACKING_PREFIXES = ['utm_', 'pk_', 'mtm_'];
+
+    // Fragments that are routes of single-page apps ('#/inbox', '#!/settings') rather than anchors
+    static ROUTE_FRAGMENT_PREFIXES = ['#/', '#!'];
+
+    /**
+     * Check whether a query parameter is a tracking parameter
+     * @param {string} name - Parameter name
+     * @returns {boolean} - Whether it can be dropped
+     */
+    static isTrackingParam(name) {
+        const lower = name.toLowerCase();
+        return this.TRACKING_PARAMS.has(lower) ||
+            this.TRACKING_PREFIXES.some(prefix => lower.startsWith(prefix));
+    }
+
+    /**
+     * Normalize a page URL: tracking parameters and in-page anchors are removed,
+     * the host is lowercased and default ports are dropped
+     * @param {string} url - Page URL
+     * @returns {string|null} - Normalized URL, or null when the URL cannot be parsed
+     */
+    static normalize(url) {
+        if (!url || typeof url !== 'string') {
+            return null;
+        }
+
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return null;
+        }
+
+        // In-page anchors show the same page, hash routes show different ones
+        if (!this.ROUTE_FRAGMENT_PREFIXES.some(prefix => parsed.hash.startsWith(prefix))) {
+            parsed.hash = '';
+        }
+
+        // Only rewrite the query when needed, rewriting re-encodes the remaining parameters
+        const tracking = [...parsed.searchParams.keys()].filter(name => this.isTrackingParam(name));
+        if (tracking.length > 0) {
+            tracking.forEach(name => parsed.searchParams.delete(name));
+            if (!parsed.searchParams.toString()) {
+                parsed.search = '';
+            }
+        }
+
+        return parsed.href;
+    }
+}
+
+export default UrlNormalizer;
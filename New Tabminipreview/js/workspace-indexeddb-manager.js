@@ -2,11 +2,11 @@
  * Workspace IndexedDB Manager
  * Handles saving, loading, and managing tab workspaces in IndexedDB
  */
+import StorageDatabase from './storage-database.js';
+
 export default class WorkspaceIndexedDBManager {
     constructor() {
-        this.DB_NAME = 'declutterWorkspacesDB';
-        this.STORE_NAME = 'workspaces';
-        this.DB_VERSION = 1;
+        this.STORE_NAME = 'workspaces'; // Store of the shared storage database
         this.db = null;
     }
 
@@ -14,32 +14,14 @@ export default class WorkspaceIndexedDBManager {
      * Initialize the database connection
      */
     async init() {
-        return new Promise((resolve, reject) => {
-            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
-            
-            request.onerror = (event) => {
-                console.error('IndexedDB error:', event.target.error);
-                reject(event.target.error);
-            };
-            
-            request.onsuccess = (event) => {
-                this.db = event.target.result;
-                console.log('Workspace IndexedDB initialized successfully');
-                resolve(true);
-            };
-            
-            request.onupgradeneeded = (event) => {
-                const db = event.target.result;
-                
-                // Create object store for workspaces
-                if (!db.objectStoreNames.contains(this.STORE_NAME)) {
-                    const store = db.createObjectStore(this.STORE_NAME, { keyPath: 'id' });
-                    store.createIndex('name', 'name', { unique: false });
-                    store.createIndex('createdAt', 'createdAt', { unique: false });
-                    console.log('Workspace object store created');
-                }
-            };
-        });
+        try {
+            this.db = await StorageDatabase.open();
+            console.log('Workspace IndexedDB initialized successfully');
+            return true;
+        } catch (error) {
+            console.error('IndexedDB error:', error);
+            throw error;
+        }
     }
 
     /**
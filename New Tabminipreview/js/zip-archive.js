@@ -0,0 +1,194 @@
+/**
+ * ZIP Archive Module
+ * Writes and reads ZIP files in the browser. Entries are written uncompressed
+ * (images are compressed already); stored and deflated entries can be read.
+ */
+
+import Crc32 from './crc32.js';
+
+class ZipArchive {
+    static LOCAL_HEADER_SIGNATURE = 0x04034B50;
+    static CENTRAL_HEADER_SIGNATURE = 0x02014B50;
+    static END_SIGNATURE = 0x06054B50;
+
+    static METHOD_STORE = 0;
+    static METHOD_DEFLATE = 8;
+
+    // General purpose flag: file names are UTF-8
+    static FLAG_UTF8 = 0x0800;
+
+    // Without the ZIP64 extension sizes and offsets are 32-bit
+    static MAX_SIZE = 0xFFFFFFFF;
+
+    /**
+     * Build a ZIP file
+     * @param {Array<Object>} files - Entries with name and data (Blob, Uint8Array or string)
+     * @param {Date} date - Modification time recorded for every entry
+     * @returns {Promise<Blob>} - ZIP file
+     */
+    static async create(files, date = new Date()) {
+        const encoder = new TextEncoder();
+        const { time, day } = this.toDosDateTime(date);
+        const parts = [];
+        const centralHeaders = [];
+        let offset = 0;
+
+        for (const file of files) {
+            const name = encoder.encode(file.name);
+            const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+            const bytes = data instanceof Blob ? new Uint8Array(await data.arrayBuffer()) : data;
+            const crc = Crc32.compute(bytes);
+
+            if (bytes.length > this.MAX_SIZE || offset + bytes.length > this.MAX_SIZE) {
+                throw new Error('The archive is larger than 4 GB');
+            }
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, this.LOCAL_HEADER_SIGNATURE, true);
+            local.setUint16(4, 20, true); // Version needed to extract
+            local.setUint16(6, this.FLAG_UTF8, true);
+            local.setUint16(8, this.METHOD_STORE, true);
+            local.setUint16(10, time, true);
+            local.setUint16(12, day, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, bytes.length, true); // Compressed size
+            local.setUint32(22, bytes.length, true); // Uncompressed size
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true); // Extra field length
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, this.CENTRAL_HEADER_SIGNATURE, true);
+            central.setUint16(4, 20, true); // Version made by
+            central.setUint16(6, 20, true); // Version needed to extract
+            central.setUint16(8, this.FLAG_UTF8, true);
+            central.setUint16(10, this.METHOD_STORE, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, day, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, bytes.length, true);
+            central.setUint32(24, bytes.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true); // Offset of the local header
+
+            parts.push(local, name, data instanceof Blob ? data : bytes);
+            centralHeaders.push(central, name);
+            offset += 30 + name.length + bytes.length;
+        }
+
+        const centralSize = centralHeaders.reduce((size, part) => size + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, this.END_SIGNATURE, true);
+        end.setUint16(8, files.length, true); // Entries on this disk
+        end.setUint16(10, files.length, true); // Entries in total
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true); // Offset of the central directory
+
+        return new Blob([...parts, ...centralHeaders, end], { type: 'application/zip' });
+    }
+
+    /**
+     * Read the entries of a ZIP file
+     * @param {Blob} blob - ZIP file
+     * @returns {Promise<Map<string, Blob>>} - Entry contents keyed by name
+     */
+    static async read(blob) {
+        const end = await this.findEnd(blob);
+        const count = end.getUint16(10, true);
+        const centralSize = end.getUint32(12, true);
+        const centralOffset = end.getUint32(16, true);
+
+        const central = new DataView(await blob.slice(centralOffset, centralOffset + centralSize).arrayBuffer());
+        const decoder = new TextDecoder();
+        const entries = new Map();
+        let position = 0;
+
+        for (let i = 0; i < count; i++) {
+            if (position + 46 > central.byteLength || central.getUint32(position, true) !== this.CENTRAL_HEADER_SIGNATURE) {
+                throw new Error('The archive directory is damaged');
+            }
+
+            const method = central.getUint16(position + 10, true);
+            const crc = central.getUint32(position + 16, true);
+            const compressedSize = central.getUint32(position + 20, true);
+            const nameLength = central.getUint16(position + 28, true);
+            const extraLength = central.getUint16(position + 30, true);
+            const commentLength = central.getUint16(position + 32, true);
+            const localOffset = central.getUint32(position + 42, true);
+            const name = decoder.decode(new Uint8Array(central.buffer, position + 46, nameLength));
+            position += 46 + nameLength + extraLength + commentLength;
+
+            // Folders have no contents
+            if (name.endsWith('/')) {
+                continue;
+            }
+
+            // The local header can carry a different extra field than the directory
+            const local = new DataView(await blob.slice(localOffset, localOffset + 30).arrayBuffer());
+            if (local.byteLength < 30 || local.getUint32(0, true) !== this.LOCAL_HEADER_SIGNATURE) {
+                throw new Error(`The archive entry ${name} is damaged`);
+            }
+            const dataStart = localOffset + 30 + local.getUint16(26, true) + local.getUint16(28, true);
+            const data = await this.inflate(blob.slice(dataStart, dataStart + compressedSize), method, name);
+
+            if (Crc32.compute(new Uint8Array(await data.arrayBuffer())) !== crc) {
+                throw new Error(`The archive entry ${name} is damaged (checksum mismatch)`);
+            }
+            entries.set(name, data);
+        }
+
+        return entries;
+    }
+
+    /**
+     * Find the end of central directory record
+     * @param {Blob} blob - ZIP file
+     * @returns {Promise<DataView>} - The record
+     */
+    static async findEnd(blob) {
+        // The record is at the end, followed by a comment of at most 65535 bytes
+        const start = Math.max(0, blob.size - 22 - 0xFFFF);
+        const tail = new DataView(await blob.slice(start).arrayBuffer());
+
+        for (let position = tail.byteLength - 22; position >= 0; position--) {
+            if (tail.getUint32(position, true) === this.END_SIGNATURE) {
+                return new DataView(tail.buffer, position, 22);
+            }
+        }
+
+        throw new Error('The file is not a ZIP archive');
+    }
+
+    /**
+     * Get the uncompressed contents of an entry
+     * @param {Blob} data - Entry data as stored
+     * @param {number} method - Compression method
+     * @param {string} name - Entry name, for error messages
+     * @returns {Promise<Blob>} - Uncompressed contents
+     */
+    static async inflate(data, method, name) {
+        if (method === this.METHOD_STORE) {
+            return data;
+        }
+        if (method === this.METHOD_DEFLATE) {
+            const stream = data.stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            return new Response(stream).blob();
+        }
+        throw new Error(`The archive entry ${name} uses an unsupported compression method (${method})`);
+    }
+
+    /**
+     * Convert a date to the MS-DOS time and date fields
+     * @param {Date} date - Date to convert
+     * @returns {Object} - time and day fields
+     */
+    static toDosDateTime(date) {
+        // MS-DOS dates start in 1980
+        const year = Math.max(date.getFullYear(), 1980);
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            day: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+}
+
+export default ZipArchive;